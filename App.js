@@ -1,4 +1,141 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import GraphView from './components/GraphView';
+import ConflictResolver from './components/ConflictResolver';
+import FolderTree, { startNoteDrag } from './components/FolderTree';
+import TagPane from './components/TagPane';
+import ReviewView from './components/ReviewView';
+import HistoryPanel from './components/HistoryPanel';
+import CalendarWidget from './components/CalendarWidget';
+import FolgezettelOutline from './components/FolgezettelOutline';
+import MarkdownEditor from './components/MarkdownEditor';
+import AuditView from './components/AuditView';
+import ImportPreview from './components/ImportPreview';
+import PublishView from './components/PublishView';
+import EncryptionView from './components/EncryptionView';
+import CommandPalette from './components/CommandPalette';
+import ShortcutsOverlay from './components/ShortcutsOverlay';
+import DraftRecovery from './components/DraftRecovery';
+import SyncView, { SyncBadge } from './components/SyncView';
+import SplitPanes from './components/SplitPanes';
+import NotePane from './components/NotePane';
+import { renderMarkdown } from './lib/markdown';
+import {
+  getLinkTarget,
+  createLinkResolver,
+  findBacklinks,
+  findUnlinkedMentions,
+  linkMention,
+  findLinkReferences,
+  rewriteLinks
+} from './lib/links';
+import {
+  safeFilename,
+  joinPath,
+  splitPath,
+  getNoteFilename,
+  getNotePath,
+  findFilenameCollision,
+  walkDirectory,
+  getFolderHandle,
+  getFileHandleAtPath,
+  removeFileAtPath,
+  writeFileAtPath,
+  collectFolders
+} from './lib/files';
+import { createSearchIndex } from './lib/search';
+import { hashContent, scanForChanges } from './lib/sync';
+import { createWriteQueue } from './lib/writeQueue';
+import { syncNotes, isSameNote, createDeviceId } from './lib/remoteSync';
+import { createHttpProvider } from './lib/httpSync';
+import { createWebDavProvider } from './lib/webdav';
+import {
+  createDefaultWorkspace,
+  restoreWorkspace,
+  currentNoteId,
+  pushHistory,
+  stepHistory,
+  canStep,
+  getActiveTab,
+  updateTab,
+  addTab,
+  closeTab,
+  addPane,
+  updatePane,
+  closePane
+} from './lib/workspace';
+import {
+  DEFAULT_DAILY_SETTINGS,
+  DEFAULT_TEMPLATE_FOLDER,
+  formatDate,
+  findTemplatePrompts,
+  applyTemplate,
+  getTemplates
+} from './lib/templates';
+import { DEFAULT_ID_SCHEME, generateId, nextChildId, findParentNote } from './lib/zettel';
+import { retargetLinks, replaceTags, renameCollisions } from './lib/audit';
+import { buildSiteZip } from './lib/publish';
+import { attachmentPathFor, attachmentMarkup, createAttachmentResolver } from './lib/attachments';
+import { extractTags, noteTags, frontMatterOnlyTags, filterByTags, renameTagPatches } from './lib/tags';
+import { assignCardIds, gradeCard } from './lib/flashcards';
+import {
+  setUpEncryption,
+  unlockWith,
+  encryptValue,
+  decryptValue,
+  sealNote,
+  openNote,
+  sealedBody,
+  readSealed
+} from './lib/crypto';
+import { DEFAULT_KEYMAP, actionForEvent, isCommandKey, rebind, formatKeys } from './lib/keymap';
+import {
+  importObsidian,
+  importRoam,
+  importLogseq,
+  importNotion,
+  planImport,
+  finishImport,
+  entriesFromFiles,
+  entriesFromZip
+} from './lib/importers';
+import {
+  BROWSER_VAULT,
+  getSetting,
+  setSetting,
+  listVaults,
+  saveVault,
+  removeVault,
+  findVaultForHandle,
+  loadVaultNotes,
+  saveVaultNotes,
+  migrateLegacyNotes,
+  verifyPermission,
+  listVersions,
+  addVersion,
+  listTrash,
+  moveToTrash,
+  removeFromTrash,
+  transformStoredNotes,
+  listAttachments,
+  saveAttachment,
+  removeAttachment,
+  loadCardStates,
+  listDrafts,
+  saveDraft,
+  removeDraft,
+  NEW_NOTE_DRAFT,
+  loadSyncBases,
+  saveSyncBases,
+  saveCardState
+} from './lib/storage';
+import {
+  parseFrontMatter,
+  readNoteMetadata,
+  serializeFrontMatter,
+  propertiesToRows,
+  rowsToProperties,
+  formatPropertyValue
+} from './lib/frontmatter';
 
 export default function ZettelkastenApp() {
   const [notes, setNotes] = useState([]);
@@ -6,30 +143,350 @@ export default function ZettelkastenApp() {
   const [searchTerm, setSearchTerm] = useState('');
   const [noteContent, setNoteContent] = useState('');
   const [noteTitle, setNoteTitle] = useState('');
-  const [viewMode, setViewMode] = useState('list'); // 'list', 'edit', 'view'
+  const [noteAliases, setNoteAliases] = useState('');
+  const [noteProperties, setNoteProperties] = useState([]); // [{ key, value }] rows for the editor
+  const [renamePreview, setRenamePreview] = useState(null); // pending title change awaiting confirmation
+  const [noteFolder, setNoteFolder] = useState(''); // folder a new note will be created in
+  const [emptyFolders, setEmptyFolders] = useState([]); // folders that exist without notes in them
+  const [selectedFolder, setSelectedFolder] = useState(null); // sidebar folder filter, null for all
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]); // sidebar tag filter
+  const [tagMode, setTagMode] = useState('and'); // whether notes need all selected tags or any
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'edit', 'view', 'graph', 'trash'
   const [directoryHandle, setDirectoryHandle] = useState(null);
+  const [recentVaults, setRecentVaults] = useState([]);
+  const [currentVaultId, setCurrentVaultId] = useState(BROWSER_VAULT.id);
+  const [loadedVaultId, setLoadedVaultId] = useState(null); // vault the notes in state belong to
+  const [pendingVault, setPendingVault] = useState(null); // stored vault waiting for permission again
   const [statusMessage, setStatusMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [conflicts, setConflicts] = useState([]); // notes changed both in the app and on disk
+  const [showHistory, setShowHistory] = useState(false);
+  const [noteVersions, setNoteVersions] = useState([]);
+  const [historyInVault, setHistoryInVault] = useState(false); // also write versions to .zettel/history
+  const [trashItems, setTrashItems] = useState([]);
+  const [dailySettings, setDailySettings] = useState(DEFAULT_DAILY_SETTINGS);
+  const [templateFolder, setTemplateFolder] = useState(DEFAULT_TEMPLATE_FOLDER);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [idScheme, setIdScheme] = useState(DEFAULT_ID_SCHEME);
+  const [importPreview, setImportPreview] = useState(null); // { source, name, notes, attachments } awaiting confirmation
+  const [attachments, setAttachments] = useState([]); // [{ path, type, size, url }] files in the vault besides notes
+  const [cardStates, setCardStates] = useState(null); // flashcard schedules (card ID -> state), loaded for review
+  const [encryption, setEncryption] = useState(null); // { kdf, iterations, salt, check, vaultMode, autoLockMinutes }
+  const [isLocked, setIsLocked] = useState(true); // no key in memory for encrypted notes
+  const [keymap, setKeymap] = useState(DEFAULT_KEYMAP); // shortcut action -> keys
+  const [overlay, setOverlay] = useState(null); // 'palette', 'switcher' or 'shortcuts'
+  const [pendingWriteCount, setPendingWriteCount] = useState(0); // file writes queued or retrying
+  const [recoverableDrafts, setRecoverableDrafts] = useState([]); // drafts left over from the last session
+  const [syncConfig, setSyncConfig] = useState(null); // where the vault syncs to, null when it doesn't
+  const [syncBases, setSyncBases] = useState(new Map()); // path -> remote file as of the last sync
+  const [syncErrors, setSyncErrors] = useState(new Set()); // paths that failed to sync last time
+  const [syncedAt, setSyncedAt] = useState(null);
+  const [isRemoteSyncing, setIsRemoteSyncing] = useState(false);
+  const [workspace, setWorkspace] = useState(createDefaultWorkspace); // tabs, side panes and their widths
+  const [focusedPane, setFocusedPane] = useState(null); // side pane that back and forward move, null for the tabs
+  const searchIndex = useRef(null);
+  if (searchIndex.current === null) {
+    searchIndex.current = createSearchIndex();
+  }
+  const writeQueue = useRef(null);
+  if (writeQueue.current === null) {
+    writeQueue.current = createWriteQueue({ onChange: setPendingWriteCount });
+  }
+  
+  // What each file looked like when the app last read or wrote it: relative path -> { lastModified, hash }
+  const fileSnapshots = useRef(new Map());
+  // Files the app is writing right now, so the sync doesn't mistake them for outside edits
+  const pendingWrites = useRef(new Set());
+  const isSyncing = useRef(false);
+  const syncHandlers = useRef({});
+  const currentVault = useRef(BROWSER_VAULT.id);
+  const editorRef = useRef(null);
+  const pendingCursor = useRef(null); // where to put the caret once the editor shows a template
+  const encryptionKey = useRef(null); // the vault's AES key while it is unlocked
+  const undecryptable = useRef(new WeakSet()); // sealed notes the key didn't open, so they aren't retried
+  const lockHandler = useRef(null);
+  const openVaultHandler = useRef(null);
+  const cryptoHandlers = useRef({});
+  const draftHandlers = useRef({});
+  const workspaceHandlers = useRef({});
+  const isNavigating = useRef(false); // going back or forward, which doesn't add to the tab's history
+  const draftWrites = useRef(Promise.resolve()); // draft saves and removals, kept in order
+  const draftPending = useRef(false); // the editor changed and the draft isn't saved yet
+  const editingDraft = useRef(null); // draft ID of the note in the editor
+  const unsavedDraft = useRef(null); // the editor's fields while they differ from the note
+  const deviceId = useRef(null); // this browser's name in revision vectors
+  const remoteSyncHandlers = useRef({});
+  const remoteSyncRunning = useRef(false);
+
+  // Reopen the vault from the last session
+  useEffect(() => {
+    const restoreLastVault = async () => {
+      try {
+        await migrateLegacyNotes();
+        setHistoryInVault(Boolean(await getSetting('historyInVault')));
+        setDailySettings({ ...DEFAULT_DAILY_SETTINGS, ...await getSetting('dailyNotes') });
+        setTemplateFolder(await getSetting('templateFolder') || DEFAULT_TEMPLATE_FOLDER);
+        setIdScheme(await getSetting('idScheme') || DEFAULT_ID_SCHEME);
+        setKeymap({ ...DEFAULT_KEYMAP, ...await getSetting('keymap') });
+        deviceId.current = await getSetting('deviceId');
+        if (!deviceId.current) {
+          deviceId.current = createDeviceId();
+          await setSetting('deviceId', deviceId.current);
+        }
+        const vaults = await listVaults();
+        const lastId = await getSetting('currentVault');
+        const lastVault = vaults.find(vault => vault.id === lastId) || BROWSER_VAULT;
+        await openVaultHandler.current(lastVault);
+      } catch (error) {
+        console.error('Error restoring vault:', error);
+        setStatusMessage('Failed to restore the last vault.');
+      }
+    };
+    restoreLastVault();
+  }, []);
+
+  // Install the service worker that lets the app start offline. Only in production builds:
+  // during development it would keep serving stale bundles.
+  useEffect(() => {
+    if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+      navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+        console.error('Error registering service worker:', error);
+      });
+    }
+  }, []);
+
+  // Whether the editor holds anything not yet saved: changed fields of the note it shows, or the
+  // first words of a new note
+  const editorChanged = viewMode === 'edit' && (activeNote
+    ? noteTitle !== activeNote.title ||
+      noteContent !== activeNote.content ||
+      noteAliases !== (activeNote.aliases || []).join(', ') ||
+      JSON.stringify(noteProperties) !== JSON.stringify(propertiesToRows(activeNote.properties))
+    : Boolean(noteTitle || noteContent));
+
+  // Autosave the editor's contents as a draft a second after typing stops, so closing the tab
+  // mid-edit loses nothing. Leaving the editor (saving, cancelling or opening something else)
+  // drops the draft.
+  useEffect(() => {
+    const previous = editingDraft.current;
+    const current = viewMode === 'edit'
+      ? { vaultId: currentVault.current, noteId: activeNote ? activeNote.id : NEW_NOTE_DRAFT }
+      : null;
+    if (previous && (!current || previous.vaultId !== current.vaultId || previous.noteId !== current.noteId)) {
+      queueDraftWrite(() => removeDraft(previous.vaultId, previous.noteId));
+      draftPending.current = false;
+    }
+    editingDraft.current = current;
+    unsavedDraft.current = null;
+    if (!current || !editorChanged) return;
+    
+    draftPending.current = true;
+    const draft = {
+      noteId: current.noteId,
+      title: noteTitle,
+      content: noteContent,
+      aliases: noteAliases,
+      properties: noteProperties,
+      folder: noteFolder,
+      baseUpdatedAt: activeNote ? activeNote.updatedAt : null
+    };
+    unsavedDraft.current = draft;
+    const timer = setTimeout(() => {
+      queueDraftWrite(async () => {
+        const saved = await draftHandlers.current.sealDraft({ ...draft, savedAt: new Date().toISOString() }, activeNote);
+        await saveDraft(current.vaultId, saved);
+        draftPending.current = false;
+      });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [viewMode, activeNote, editorChanged, noteTitle, noteContent, noteAliases, noteProperties, noteFolder]);
+
+  // Offer the drafts left over from the last session once a vault's notes are loaded
+  useEffect(() => {
+    if (!loadedVaultId) return;
+    listDrafts(loadedVaultId)
+      .then(drafts => setRecoverableDrafts(drafts.filter(draft => (
+        !editingDraft.current || draft.noteId !== editingDraft.current.noteId
+      ))))
+      .catch(error => {
+        console.error('Error loading drafts:', error);
+      });
+  }, [loadedVaultId]);
+
+  // Show the note the active tab was on last time once a vault's notes are loaded
+  useEffect(() => {
+    if (loadedVaultId) workspaceHandlers.current.reopenTab();
+  }, [loadedVaultId]);
+
+  // Keep each vault's layout for the next session. While another vault is opening, the
+  // workspace already belongs to it, so nothing is saved under the old one.
+  useEffect(() => {
+    if (!loadedVaultId || loadedVaultId !== currentVaultId) return;
+    setSetting(`workspace:${loadedVaultId}`, workspace).catch(error => {
+      console.error('Error saving workspace:', error);
+    });
+  }, [workspace, loadedVaultId, currentVaultId]);
+
+  // Warn before the tab closes while files are still being written or a draft isn't saved yet
+  useEffect(() => {
+    const guard = (e) => {
+      if (writeQueue.current.pending() > 0 || draftPending.current) {
+        e.preventDefault();
+        e.returnValue = '';
+      }
+    };
+    window.addEventListener('beforeunload', guard);
+    return () => window.removeEventListener('beforeunload', guard);
+  }, []);
 
   useEffect(() => {
     // If we have a directory handle, load notes from it
     if (directoryHandle) {
       loadNotesFromDirectory();
-    } else {
-      // Otherwise, fall back to localStorage
-      const savedNotes = localStorage.getItem('zettelkasten-notes');
-      if (savedNotes) {
-        setNotes(JSON.parse(savedNotes));
-      }
     }
   }, [directoryHandle]);
 
-  // Save to localStorage as fallback when notes change
+  // Watch the directory for changes made outside the app
+  useEffect(() => {
+    if (!directoryHandle) return;
+    
+    const check = () => {
+      if (!document.hidden) syncHandlers.current.checkForExternalChanges();
+    };
+    const interval = setInterval(check, 3000);
+    
+    // Browsers with FileSystemObserver tell us about changes straight away; polling stays as the fallback
+    let observer = null;
+    if ('FileSystemObserver' in window) {
+      observer = new window.FileSystemObserver(check);
+      observer.observe(directoryHandle).catch(error => {
+        console.error('Error observing directory:', error);
+      });
+    }
+    
+    return () => {
+      clearInterval(interval);
+      if (observer) observer.disconnect();
+    };
+  }, [directoryHandle]);
+
+  // Place the caret where a template's {{cursor}} was
   useEffect(() => {
-    if (notes.length > 0) {
-      localStorage.setItem('zettelkasten-notes', JSON.stringify(notes));
+    if (viewMode === 'edit' && pendingCursor.current !== null && editorRef.current) {
+      editorRef.current.focus();
+      editorRef.current.setSelectionRange(pendingCursor.current, pendingCursor.current);
+      pendingCursor.current = null;
     }
-  }, [notes]);
+  }, [viewMode, noteContent]);
+
+  // Release the object URLs of attachments that are gone (switching vaults replaces them all)
+  const attachmentUrls = useRef(new Set());
+  useEffect(() => {
+    const current = new Set(attachments.map(attachment => attachment.url));
+    attachmentUrls.current.forEach(url => {
+      if (!current.has(url)) URL.revokeObjectURL(url);
+    });
+    attachmentUrls.current = current;
+  }, [attachments]);
+
+  // Cache notes in IndexedDB, under the vault they were loaded from, when they change.
+  // Encrypted notes are cached sealed, never as plain text.
+  useEffect(() => {
+    if (!loadedVaultId) return;
+    
+    let isCurrent = true;
+    Promise.all(notes.map(note => cryptoHandlers.current.sealIfNeeded(note)))
+      .then(stored => isCurrent && saveVaultNotes(loadedVaultId, stored))
+      .catch(error => {
+        console.error('Error caching notes:', error);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [notes, loadedVaultId, encryption, isLocked]);
+  
+  // Decrypt notes that arrive sealed (loaded, changed on disk or restored) while the vault is unlocked
+  useEffect(() => {
+    const sealed = notes.filter(note => note.sealed && !undecryptable.current.has(note));
+    if (isLocked || sealed.length === 0) return;
+    
+    const openAll = async () => {
+      const opened = new Map();
+      for (const note of sealed) {
+        try {
+          opened.set(note, await cryptoHandlers.current.decryptNote(note));
+        } catch (error) {
+          undecryptable.current.add(note);
+        }
+      }
+      
+      if (opened.size < sealed.length) {
+        setStatusMessage(`${sealed.length - opened.size} notes could not be decrypted with this passphrase.`);
+      }
+      if (opened.size === 0) return;
+      setNotes(current => current.map(note => opened.get(note) || note));
+      cryptoHandlers.current.showDecrypted(opened);
+    };
+    openAll();
+  }, [notes, isLocked]);
+  
+  // Lock the vault after a stretch without typing or mouse activity
+  useEffect(() => {
+    if (isLocked || !encryption || !encryption.autoLockMinutes) return;
+    
+    let lastActivity = Date.now();
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    const events = ['keydown', 'pointerdown', 'pointermove', 'wheel'];
+    events.forEach(event => window.addEventListener(event, markActive, { passive: true }));
+    const interval = setInterval(() => {
+      if (Date.now() - lastActivity >= encryption.autoLockMinutes * 60 * 1000) {
+        lockHandler.current();
+      }
+    }, 15000);
+    
+    return () => {
+      events.forEach(event => window.removeEventListener(event, markActive));
+      clearInterval(interval);
+    };
+  }, [isLocked, encryption]);
+  
+  // Sync with the remote copy once the vault is loaded, then every minute and whenever the
+  // connection comes back
+  useEffect(() => {
+    if (!syncConfig || !loadedVaultId) return;
+    
+    const sync = () => {
+      if (!document.hidden && navigator.onLine) remoteSyncHandlers.current.syncWithRemote({ quiet: true });
+    };
+    sync();
+    const interval = setInterval(sync, 60000);
+    window.addEventListener('online', sync);
+    
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', sync);
+    };
+  }, [syncConfig, loadedVaultId]);
+  
+  // Keyboard shortcuts. Keys without a modifier are left alone while the user types in a field.
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.defaultPrevented) return;
+      const action = actionForEvent(keymap, e);
+      if (!action) return;
+      
+      const isTyping = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+      if (isTyping && !isCommandKey(keymap[action])) return;
+      
+      e.preventDefault();
+      runShortcut(action);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
 
   // Check if File System Access API is available
   const isFileSystemAccessAPIAvailable = () => {
@@ -47,17 +504,83 @@ export default function ZettelkastenApp() {
       const handle = await window.showDirectoryPicker({
         mode: 'readwrite',
       });
-      setDirectoryHandle(handle);
-      setStatusMessage(`Directory "${handle.name}" selected for note storage.`);
       
-      // Load notes from the selected directory
-      await loadNotesFromDirectory(handle);
+      // Reuse the recent vault for this directory, or remember it as a new one
+      const vault = await findVaultForHandle(handle) ||
+        { id: `vault-${Date.now()}`, name: handle.name, handle: handle };
+      await openVault({ ...vault, handle: handle });
+      setStatusMessage(`Directory "${handle.name}" selected for note storage.`);
     } catch (error) {
       console.error('Error selecting directory:', error);
       setStatusMessage('Directory selection was canceled or failed.');
     }
   };
 
+  // Switch to a vault. Directory vaults need permission again after a reload; until the user
+  // grants it (`requestAccess` is set from a click), the cached copy of the notes is shown.
+  const openVault = async (vault, { requestAccess = false } = {}) => {
+    // Ask first: the browser only allows a permission prompt right after the click
+    const hasAccess = vault.handle ? await verifyPermission(vault.handle, requestAccess) : false;
+    
+    // Seal this vault's encrypted notes while its key is still around
+    await lockVault();
+    
+    currentVault.current = vault.id;
+    setCurrentVaultId(vault.id);
+    setConflicts([]);
+    // Every vault has its own passphrase, and starts locked
+    encryptionKey.current = null;
+    setIsLocked(true);
+    setEncryption(await getSetting(`encryption:${vault.id}`) || null);
+    const syncState = await getSetting(`syncState:${vault.id}`);
+    setSyncConfig(await getSetting(`sync:${vault.id}`) || null);
+    setSyncBases(await loadSyncBases(vault.id));
+    setSyncErrors(new Set());
+    setSyncedAt(syncState ? syncState.syncedAt : null);
+    setWorkspace(restoreWorkspace(await getSetting(`workspace:${vault.id}`)));
+    setFocusedPane(null);
+    await setSetting('currentVault', vault.id);
+    await saveVault({ ...vault, lastOpened: new Date().toISOString() });
+    setRecentVaults(await listVaults());
+    
+    if (hasAccess) {
+      setPendingVault(null);
+      setDirectoryHandle(vault.handle);
+      return;
+    }
+    
+    setDirectoryHandle(null);
+    setActiveNote(null);
+    setViewMode('list');
+    setPendingVault(vault.handle ? vault : null);
+    setEmptyFolders([]);
+    setSelectedFolder(null);
+    setSelectedTags([]);
+    setNotes(await loadVaultNotes(vault.id));
+    setAttachments(vault.handle ? [] : (await listAttachments(vault.id)).map(({ path, blob }) => ({
+      path,
+      type: blob.type,
+      size: blob.size,
+      url: URL.createObjectURL(blob)
+    })));
+    setLoadedVaultId(vault.id);
+    
+    if (vault.handle) {
+      setStatusMessage(`Showing the cached copy of "${vault.name}". Click "Reconnect" to load it from disk.`);
+    }
+  };
+  
+  openVaultHandler.current = openVault;
+
+  // Drop a vault from the recent list
+  const forgetVault = async (vault) => {
+    await removeVault(vault.id);
+    setRecentVaults(await listVaults());
+    if (vault.id === currentVaultId) {
+      await openVault(BROWSER_VAULT);
+    }
+  };
+
   // Load notes from the selected directory
   const loadNotesFromDirectory = async (handle = directoryHandle) => {
     if (!handle) return;
@@ -67,19 +590,40 @@ export default function ZettelkastenApp() {
     
     try {
       const loadedNotes = [];
+      const loadedAttachments = [];
+      const snapshots = new Map();
+      const folders = [];
       
-      for await (const entry of handle.values()) {
-        if (entry.kind === 'file' && entry.name.endsWith('.md')) {
-          const file = await entry.getFile();
-          const content = await file.text();
-          
-          // Parse the markdown content
-          const note = parseMarkdownToNote(content, entry.name.replace('.md', ''));
-          loadedNotes.push(note);
+      // Walk the whole tree, subfolders included
+      for await (const { kind, path, entry } of walkDirectory(handle, '', { attachments: true })) {
+        if (kind === 'directory') {
+          folders.push(path);
+          continue;
+        }
+        
+        const file = await entry.getFile();
+        if (kind === 'attachment') {
+          loadedAttachments.push({ path, type: file.type, size: file.size, url: URL.createObjectURL(file) });
+          continue;
         }
+        
+        const content = await file.text();
+        
+        // Parse the markdown content
+        loadedNotes.push(noteFromFile(content, path));
+        snapshots.set(path, { lastModified: file.lastModified, hash: await hashContent(content) });
       }
       
+      fileSnapshots.current = snapshots;
+      setEmptyFolders(folders);
+      setSelectedFolder(null);
+      setSelectedTags([]);
+      setConflicts([]);
+      setActiveNote(null);
+      setViewMode('list');
       setNotes(loadedNotes);
+      setAttachments(loadedAttachments);
+      setLoadedVaultId(currentVault.current);
       setStatusMessage(`Loaded ${loadedNotes.length} notes.`);
     } catch (error) {
       console.error('Error loading notes:', error);
@@ -90,10 +634,34 @@ export default function ZettelkastenApp() {
   };
 
   // Parse markdown content to note object
-  const parseMarkdownToNote = (markdown, filename) => {
-    const lines = markdown.split('\n');
-    let title = filename;
-    let content = markdown;
+  const parseMarkdownToNote = (markdown, filename, fallbackId = filename) => {
+    // Metadata from the YAML front matter, if the file has any
+    const { data, body } = parseFrontMatter(markdown);
+    const metadata = readNoteMetadata(data);
+    const now = new Date().toISOString();
+    
+    // An encrypted note stays sealed until the vault is unlocked
+    if (metadata.encrypted) {
+      return {
+        id: metadata.id || fallbackId,
+        title: metadata.title || filename,
+        content: '',
+        tags: [],
+        frontMatterTags: [],
+        links: [],
+        aliases: [],
+        parent: metadata.parent,
+        properties: {},
+        createdAt: metadata.createdAt || now,
+        updatedAt: metadata.updatedAt || metadata.createdAt || now,
+        revisions: metadata.revisions,
+        sealed: readSealed(metadata.encrypted, body)
+      };
+    }
+    
+    const lines = body.split('\n');
+    let title = metadata.title || filename;
+    let content = body;
     
     // Check if the first line is a title (# Title)
     if (lines.length > 0 && lines[0].startsWith('# ')) {
@@ -101,50 +669,281 @@ export default function ZettelkastenApp() {
       content = lines.slice(1).join('\n').trim();
     }
     
+    const frontMatterTags = frontMatterOnlyTags(content, metadata.tags);
     const note = {
-      id: filename,
+      id: metadata.id || fallbackId,
       title: title,
       content: content,
-      tags: extractTags(content),
+      tags: noteTags(content, frontMatterTags),
+      frontMatterTags: frontMatterTags,
       links: extractLinks(content),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      aliases: metadata.aliases,
+      parent: metadata.parent,
+      properties: metadata.properties,
+      createdAt: metadata.createdAt || now,
+      updatedAt: metadata.updatedAt || metadata.createdAt || now,
+      revisions: metadata.revisions
     };
     
     return note;
   };
 
+  // Build a note from a file in the directory tree; files without an id in their front
+  // matter are identified by their relative path, so same-named files in two folders don't clash
+  const noteFromFile = (markdown, path) => {
+    const { folder, name } = splitPath(path);
+    const note = parseMarkdownToNote(markdown, name.replace(/\.md$/, ''), path.replace(/\.md$/, ''));
+    note.filename = name;
+    note.folder = folder;
+    return note;
+  };
+
   // Convert note to markdown
   const noteToMarkdown = (note) => {
-    return `# ${note.title}\n\n${note.content}`;
+    if (note.sealed) {
+      return `${serializeFrontMatter(note)}\n${sealedBody(note.sealed)}`;
+    }
+    return `${serializeFrontMatter(note)}\n# ${note.title}\n\n${note.content}`;
+  };
+  
+  // Whether a note is only ever stored encrypted: it is marked so, or the whole vault is
+  const needsEncryption = (note, config = encryption) => {
+    return Boolean(note.sealed || note.encrypted || (config && config.vaultMode));
+  };
+  
+  // The form of a note that may be written to files, caches and exports
+  const sealIfNeeded = async (note, config = encryption) => {
+    if (note.sealed || !needsEncryption(note, config)) return note;
+    if (!encryptionKey.current) {
+      throw new Error(`"${note.title}" must be encrypted, but the vault is locked`);
+    }
+    return sealNote(note, encryptionKey.current, config);
   };
+  
+  const decryptNote = async (note) => {
+    const opened = await openNote(note, encryptionKey.current);
+    return {
+      ...opened,
+      tags: noteTags(opened.content, opened.frontMatterTags),
+      links: extractLinks(opened.content)
+    };
+  };
+  
+  // Swap in the decrypted note if it's the one on screen by the time decryption finishes
+  const showDecrypted = (opened) => {
+    if (activeNote && opened.has(activeNote)) {
+      viewNote(opened.get(activeNote));
+    }
+  };
+  
+  cryptoHandlers.current = { sealIfNeeded, decryptNote, showDecrypted };
 
-  // Save a single note to the directory
-  const saveNoteToFile = async (note) => {
+  // Parse the comma-separated aliases field from the editor
+  const parseAliases = (text) => {
+    return [...new Set(text.split(',').map(alias => alias.trim()).filter(Boolean))];
+  };
+
+  // Save a single note to the directory.
+  // Unless `force` is set, a file that changed on disk since the app last saw it is not
+  // overwritten; a conflict is raised for the user to resolve instead. `config` is the encryption
+  // setting to save under, when it is changing. The save waits its turn in the write queue, which
+  // retries it if the file can't be written.
+  const saveNoteToFile = async (note, { force = false, config = encryption } = {}) => {
     if (!directoryHandle) return false;
     
+    const path = getNotePath(note);
+    pendingWrites.current.add(path);
+    
     try {
-      // Create a safe filename from the note title
-      const safeFilename = note.title
-        .replace(/[^a-z0-9]/gi, '-')
-        .toLowerCase() + '.md';
-      
-      // Try to get the file or create it if it doesn't exist
-      const fileHandle = await directoryHandle.getFileHandle(safeFilename, { create: true });
-      
       // Convert the note to markdown
-      const content = noteToMarkdown(note);
-      
-      // Write to the file
-      const writable = await fileHandle.createWritable();
-      await writable.write(content);
-      await writable.close();
+      const content = noteToMarkdown(await sealIfNeeded(note, config));
       
-      return true;
+      return await writeQueue.current.run(async () => {
+        // Try to get the file or create it (and its folders) if it doesn't exist
+        const fileHandle = await getFileHandleAtPath(directoryHandle, path, { create: true });
+        
+        if (!force) {
+          const file = await fileHandle.getFile();
+          const known = fileSnapshots.current.get(path);
+          const isNewFile = !known && file.size === 0;
+          
+          if (!isNewFile && (!known || known.lastModified !== file.lastModified)) {
+            const markdown = await file.text();
+            if (!known || known.hash !== await hashContent(markdown)) {
+              addConflict(path, note, markdown);
+              return false;
+            }
+          }
+        }
+        
+        const written = await writeFileAtPath(directoryHandle, path, content);
+        fileSnapshots.current.set(path, {
+          lastModified: written.lastModified,
+          hash: await hashContent(content)
+        });
+        return true;
+      });
     } catch (error) {
       console.error('Error saving note to file:', error);
       setStatusMessage(`Failed to save note "${note.title}".`);
       return false;
+    } finally {
+      pendingWrites.current.delete(path);
+    }
+  };
+
+  // Queue a conflict between our version of a note and what's on disk (null when the file is gone)
+  const addConflict = (path, localNote, diskMarkdown) => {
+    let diskNote = null;
+    if (diskMarkdown !== null) {
+      diskNote = { ...noteFromFile(diskMarkdown, path), id: localNote.id };
+    }
+    
+    setConflicts(current => [
+      ...current.filter(conflict => conflict.path !== path),
+      { path, local: localNote, disk: diskNote }
+    ]);
+  };
+
+  // Whether the editor holds unsaved changes to `note`
+  const hasUnsavedEdits = (note) => {
+    return editorChanged && activeNote !== null && activeNote.id === note.id;
+  };
+
+  // Poll the directory and fold in files that were added, changed or deleted outside the app
+  const checkForExternalChanges = async () => {
+    if (!directoryHandle || isSyncing.current) return;
+    isSyncing.current = true;
+    
+    try {
+      const changes = await scanForChanges(directoryHandle, fileSnapshots.current, pendingWrites.current);
+      // The scan is async; apply with the handlers from the latest render so state isn't stale
+      if (changes.length > 0) {
+        syncHandlers.current.applyExternalChanges(changes);
+      }
+    } catch (error) {
+      console.error('Error checking for external changes:', error);
+    } finally {
+      isSyncing.current = false;
+    }
+  };
+
+  const applyExternalChanges = (changes) => {
+    let updatedNotes = notes;
+    let reloaded = 0;
+    
+    for (const change of changes) {
+      const existing = updatedNotes.find(note => getNotePath(note) === change.path);
+      
+      if (change.type === 'deleted') {
+        fileSnapshots.current.delete(change.path);
+        if (!existing) continue;
+        
+        if (hasUnsavedEdits(existing)) {
+          addConflict(change.path, { ...existing, title: noteTitle, content: noteContent }, null);
+          continue;
+        }
+        
+        updatedNotes = updatedNotes.filter(note => note.id !== existing.id);
+        if (activeNote && activeNote.id === existing.id) {
+          setActiveNote(null);
+          setViewMode('list');
+        }
+        reloaded++;
+        continue;
+      }
+      
+      fileSnapshots.current.set(change.path, change.snapshot);
+      
+      if (existing && hasUnsavedEdits(existing)) {
+        const localContent = noteContent;
+        addConflict(change.path, {
+          ...existing,
+          title: noteTitle,
+          content: localContent,
+          tags: noteTags(localContent, existing.frontMatterTags),
+          links: extractLinks(localContent)
+        }, change.markdown);
+        continue;
+      }
+      
+      const diskNote = noteFromFile(change.markdown, change.path);
+      
+      if (existing) {
+        diskNote.id = existing.id;
+        updatedNotes = updatedNotes.map(note => note.id === existing.id ? diskNote : note);
+        if (activeNote && activeNote.id === existing.id) {
+          viewNote(diskNote);
+          if (viewMode === 'edit') setViewMode('edit');
+        }
+      } else {
+        updatedNotes = [...updatedNotes, diskNote];
+      }
+      reloaded++;
+    }
+    
+    if (updatedNotes !== notes) {
+      setNotes(updatedNotes);
+    }
+    if (reloaded > 0) {
+      setStatusMessage(`Reloaded ${reloaded} ${reloaded === 1 ? 'note' : 'notes'} changed outside the app.`);
+    }
+  };
+
+  syncHandlers.current = { checkForExternalChanges, applyExternalChanges };
+
+  // Conflict resolution: write our version over the disk copy
+  const resolveConflictKeepMine = async (conflict) => {
+    await applyResolvedNote(conflict, conflict.local);
+  };
+
+  // Conflict resolution: take the disk copy (or drop the note if its file was deleted)
+  const resolveConflictTakeDisk = (conflict) => {
+    setConflicts(conflicts.filter(c => c !== conflict));
+    
+    if (!conflict.disk) {
+      setNotes(notes.filter(note => note.id !== conflict.local.id));
+      if (activeNote && activeNote.id === conflict.local.id) {
+        setActiveNote(null);
+        setViewMode('list');
+      }
+      return;
+    }
+    
+    setNotes(notes.map(note => note.id === conflict.disk.id ? conflict.disk : note));
+    if (activeNote && activeNote.id === conflict.disk.id) {
+      const wasEditing = viewMode === 'edit';
+      viewNote(conflict.disk);
+      if (wasEditing) setViewMode('edit');
+    }
+  };
+
+  // Conflict resolution: save hand-merged content
+  const resolveConflictMerged = async (conflict, content) => {
+    await applyResolvedNote(conflict, {
+      ...conflict.local,
+      content: content,
+      tags: noteTags(content, conflict.local.frontMatterTags),
+      links: extractLinks(content)
+    });
+  };
+
+  const applyResolvedNote = async (conflict, resolvedNote) => {
+    const note = { ...resolvedNote, updatedAt: new Date().toISOString() };
+    setConflicts(conflicts.filter(c => c !== conflict));
+    
+    const exists = notes.some(n => n.id === note.id);
+    setNotes(exists ? notes.map(n => n.id === note.id ? note : n) : [...notes, note]);
+    
+    if (activeNote && activeNote.id === note.id) {
+      const wasEditing = viewMode === 'edit';
+      viewNote(note);
+      if (wasEditing) setViewMode('edit');
+    }
+    
+    recordVersion(note, conflict.disk);
+    if (await saveNoteToFile(note, { force: true })) {
+      setStatusMessage(`Saved your version of "${note.title}".`);
     }
   };
 
@@ -175,9 +974,21 @@ export default function ZettelkastenApp() {
     }
   };
 
-  // Export all notes as a single markdown file
-  const exportNotesAsMarkdown = () => {
-    const markdown = notes.map(note => {
+  // Export all notes as a single markdown file. Encrypted notes are exported as their ciphertext.
+  const exportNotesAsMarkdown = async () => {
+    let exported;
+    try {
+      exported = await Promise.all(notes.map(note => sealIfNeeded(note)));
+    } catch (error) {
+      console.error('Error exporting notes:', error);
+      setStatusMessage('Unlock the vault to export its encrypted notes.');
+      return;
+    }
+    
+    const markdown = exported.map(note => {
+      if (note.sealed) {
+        return `# ${note.title}\n\n\`\`\`encrypted\n${JSON.stringify(note.sealed)}\n\`\`\`\n\n---\n\n`;
+      }
       return `# ${note.title}\n\n${note.content}\n\n---\n\n`;
     }).join('');
     
@@ -194,9 +1005,18 @@ export default function ZettelkastenApp() {
     setStatusMessage('Notes exported as markdown.');
   };
 
-  // Export notes as JSON
-  const exportNotesAsJSON = () => {
-    const json = JSON.stringify(notes, null, 2);
+  // Export notes as JSON. Encrypted notes stay sealed; importing them again needs the passphrase.
+  const exportNotesAsJSON = async () => {
+    let exported;
+    try {
+      exported = await Promise.all(notes.map(note => sealIfNeeded(note)));
+    } catch (error) {
+      console.error('Error exporting notes:', error);
+      setStatusMessage('Unlock the vault to export its encrypted notes.');
+      return;
+    }
+    
+    const json = JSON.stringify(exported, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -210,109 +1030,505 @@ export default function ZettelkastenApp() {
     setStatusMessage('Notes exported as JSON.');
   };
 
+  // Export the chosen notes as a static website zip. Notes that are stored encrypted (every
+  // note, in an encrypted vault) are never published.
+  const exportWebsite = async (selected, options) => {
+    const published = selected.filter(note => !needsEncryption(note));
+    if (published.length === 0) {
+      setStatusMessage('There are no unencrypted notes to publish.');
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      const blob = await buildSiteZip(published, {
+        ...options,
+        attachments,
+        readAttachment: (attachment) => fetch(attachment.url).then(response => response.blob())
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'zettelkasten-site.zip';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      setStatusMessage(`Website exported with ${published.length} notes.`);
+      setViewMode('list');
+    } catch (error) {
+      console.error('Error exporting website:', error);
+      setStatusMessage('Failed to export the website.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Let the user pick files (or a whole folder); resolves with [] if the picker is dismissed
+  const pickFiles = ({ accept = '', multiple = false, directory = false } = {}) => {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.multiple = multiple;
+      input.webkitdirectory = directory;
+      input.onchange = (e) => resolve([...(e.target.files || [])]);
+      input.oncancel = () => resolve([]);
+      input.click();
+    });
+  };
+
   // Import notes from JSON file
-  const importNotesFromJSON = () => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
+  const importNotesFromJSON = async () => {
+    const [file] = await pickFiles({ accept: '.json' });
+    if (!file) return;
+    
+    try {
+      const text = await file.text();
+      const importedNotes = JSON.parse(text);
       
+      if (Array.isArray(importedNotes)) {
+        const validNotes = importedNotes.filter(note => note && typeof note.title === 'string');
+        setImportPreview({ source: 'json', name: '', notes: await openImportedNotes(validNotes), attachments: [] });
+        setViewMode('import');
+      } else {
+        setStatusMessage('Invalid notes format in the imported file.');
+      }
+    } catch (error) {
+      console.error('Error importing notes:', error);
+      setStatusMessage('Failed to import notes.');
+    }
+  };
+
+  // Decrypt the encrypted notes in an import with the vault's key; ones it can't open are left out
+  const openImportedNotes = async (importedNotes) => {
+    const opened = [];
+    for (const note of importedNotes) {
+      if (!note.sealed) {
+        opened.push(note);
+        continue;
+      }
       try {
-        const text = await file.text();
-        const importedNotes = JSON.parse(text);
-        
-        if (Array.isArray(importedNotes)) {
-          setNotes(importedNotes);
-          setStatusMessage(`Imported ${importedNotes.length} notes.`);
-          
-          // If we have a directory handle, save the imported notes
-          if (directoryHandle) {
-            saveAllNotesToFiles();
-          }
-        } else {
-          setStatusMessage('Invalid notes format in the imported file.');
-        }
+        opened.push(await decryptNote(note));
       } catch (error) {
-        console.error('Error importing notes:', error);
-        setStatusMessage('Failed to import notes.');
+        console.error('Error decrypting imported note:', error);
       }
-    };
-    input.click();
+    }
+    
+    const skipped = importedNotes.length - opened.length;
+    if (skipped > 0) {
+      setStatusMessage(`Left out ${skipped} encrypted notes: unlock the vault with the passphrase they were encrypted with.`);
+    }
+    return opened;
   };
 
   // Import notes from markdown files
-  const importNotesFromMarkdown = () => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.md';
-    input.multiple = true;
-    input.onchange = async (e) => {
-      const files = e.target.files;
-      if (!files || files.length === 0) return;
+  const importNotesFromMarkdown = async () => {
+    const files = await pickFiles({ accept: '.md', multiple: true });
+    if (files.length === 0) return;
+    
+    try {
+      const importedNotes = [];
       
-      try {
-        const importedNotes = [];
-        
-        for (let i = 0; i < files.length; i++) {
-          const file = files[i];
-          const content = await file.text();
-          const filename = file.name.replace('.md', '');
-          const note = parseMarkdownToNote(content, filename);
-          importedNotes.push(note);
-        }
-        
-        setNotes([...notes, ...importedNotes]);
-        setStatusMessage(`Imported ${importedNotes.length} notes.`);
-        
-        // If we have a directory handle, save the imported notes
-        if (directoryHandle) {
-          saveAllNotesToFiles();
-        }
-      } catch (error) {
-        console.error('Error importing markdown notes:', error);
-        setStatusMessage('Failed to import some markdown notes.');
+      for (const file of files) {
+        const content = await file.text();
+        const filename = file.name.replace('.md', '');
+        const note = parseMarkdownToNote(content, filename);
+        importedNotes.push({ ...note, folder: '' });
       }
-    };
-    input.click();
+      
+      setImportPreview({ source: 'markdown', name: '', notes: await openImportedNotes(importedNotes), attachments: [] });
+      setViewMode('import');
+    } catch (error) {
+      console.error('Error importing markdown notes:', error);
+      setStatusMessage('Failed to import some markdown notes.');
+    }
   };
 
-  const createNewNote = () => {
-    const now = new Date();
-    const newId = now.getTime().toString();
-    const newNote = {
-      id: newId,
-      title: noteTitle || `Note ${notes.length + 1}`,
-      content: noteContent,
-      tags: extractTags(noteContent),
-      links: extractLinks(noteContent),
-      createdAt: now.toISOString(),
-      updatedAt: now.toISOString()
-    };
+  // Read another app's export and show what importing it would do
+  const importFromApp = async (source) => {
+    const files = source === 'roam'
+      ? await pickFiles({ accept: '.json' })
+      : source === 'notion'
+        ? await pickFiles({ accept: '.zip' })
+        : await pickFiles({ directory: true });
+    if (files.length === 0) return;
     
-    const updatedNotes = [...notes, newNote];
-    setNotes(updatedNotes);
-    setNoteTitle('');
-    setNoteContent('');
-    setViewMode('list');
+    setIsLoading(true);
+    setStatusMessage('Reading export...');
+    
+    try {
+      const entries = source === 'notion' ? await entriesFromZip(files[0]) : entriesFromFiles(files);
+      const importer = { obsidian: importObsidian, roam: importRoam, logseq: importLogseq, notion: importNotion }[source];
+      const { notes: importedNotes, attachments } = await importer(entries, { daily: dailySettings });
+      
+      const name = files[0].webkitRelativePath
+        ? files[0].webkitRelativePath.split('/')[0]
+        : files[0].name.replace(/\.[^.]+$/, '');
+      setImportPreview({ source, name, notes: importedNotes, attachments });
+      setViewMode('import');
+      setStatusMessage('');
+    } catch (error) {
+      console.error('Error reading export:', error);
+      setStatusMessage('Failed to read the export. Is it the right kind of file?');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Add the previewed import to the vault: new notes are created, clashing ones renamed,
+  // replaced or skipped as chosen, and attachments copied into the directory
+  const commitImport = async (options) => {
+    if (isVaultLocked()) {
+      setStatusMessage('Unlock the vault to import notes into it.');
+      return;
+    }
+    
+    const plan = planImport(notes, importPreview.notes, options);
+    const { created, replaced, attachments } = finishImport(plan, importPreview.attachments, options);
+    const now = new Date().toISOString();
+    
+    const createdNotes = [];
+    for (const imported of created) {
+      const idTaken = !imported.id || [...notes, ...createdNotes].some(note => note.id === imported.id);
+      const frontMatterTags = frontMatterOnlyTags(imported.content, imported.tags || []);
+      createdNotes.push({
+        id: idTaken ? generateId(idScheme, [...notes, ...createdNotes]) : imported.id,
+        title: imported.title,
+        filename: safeFilename(imported.title),
+        folder: imported.folder,
+        content: imported.content,
+        tags: noteTags(imported.content, frontMatterTags),
+        frontMatterTags: frontMatterTags,
+        links: extractLinks(imported.content),
+        aliases: imported.aliases || [],
+        properties: imported.properties || {},
+        encrypted: Boolean(imported.encrypted),
+        createdAt: imported.createdAt || now,
+        updatedAt: imported.updatedAt || imported.createdAt || now
+      });
+    }
+    
+    const patches = replaced.map(({ existing, note }) => ({
+      id: existing.id,
+      content: note.content,
+      frontMatterTags: frontMatterOnlyTags(note.content, note.tags || []),
+      aliases: note.aliases || [],
+      properties: note.properties || {}
+    }));
+    
+    setImportPreview(null);
+    setViewMode('list');
+    try {
+      await applyNotePatches(patches, createdNotes);
+    } catch (error) {
+      console.error('Error importing notes:', error);
+      setStatusMessage('Failed to import notes.');
+      return;
+    }
+    
+    // A damaged entry in the export only loses that attachment
+    const files = [];
+    for (const attachment of attachments) {
+      try {
+        files.push({ path: attachment.path, blob: await attachment.entry.blob() });
+      } catch (error) {
+        console.error('Error reading attachment:', error);
+      }
+    }
+    const copied = await storeAttachments(files);
+    
+    setStatusMessage(`Imported ${createdNotes.length} new notes, replaced ${patches.length}` +
+      `${attachments.length > 0 ? `, copied ${copied.length} of ${attachments.length} attachments` : ''}.`);
+  };
+
+  // Write files into the vault: to disk in a directory vault, as blobs in the browser vault.
+  // Resolves with the attachments that were stored.
+  const storeAttachments = async (files) => {
+    if (!directoryHandle && currentVault.current !== BROWSER_VAULT.id) {
+      setStatusMessage('Reconnect the vault before adding attachments.');
+      return [];
+    }
+    
+    const stored = [];
+    for (const { path, blob } of files) {
+      try {
+        if (directoryHandle) {
+          await writeQueue.current.run(() => writeFileAtPath(directoryHandle, path, blob));
+        } else {
+          await saveAttachment(currentVault.current, path, blob);
+        }
+        stored.push({ path, type: blob.type, size: blob.size, url: URL.createObjectURL(blob) });
+      } catch (error) {
+        console.error('Error saving attachment:', error);
+      }
+    }
+    
+    const paths = new Set(stored.map(attachment => attachment.path));
+    setAttachments(prev => [...prev.filter(attachment => !paths.has(attachment.path)), ...stored]);
+    return stored;
+  };
+
+  // Files pasted or dropped into the editor: store them under attachments/ and return the
+  // references to insert into the note
+  const attachFiles = async (files) => {
+    const known = [...attachments];
+    const named = files.map(file => {
+      const path = attachmentPathFor(file, known);
+      known.push({ path });
+      return { path, blob: file };
+    });
+    
+    const stored = await storeAttachments(named);
+    if (stored.length < files.length) {
+      setStatusMessage(`Failed to save ${files.length - stored.length} of ${files.length} attachments.`);
+    }
+    return stored.map(attachment => attachmentMarkup(attachment.path, known));
+  };
+
+  // Delete attachments for good (the audit offers this for files nothing links to)
+  const deleteAttachments = async (paths) => {
+    const deleted = [];
+    for (const path of paths) {
+      try {
+        if (directoryHandle) {
+          await removeFileAtPath(directoryHandle, path);
+        } else {
+          await removeAttachment(currentVault.current, path);
+        }
+        deleted.push(path);
+      } catch (error) {
+        console.error('Error deleting attachment:', error);
+      }
+    }
+    
+    setAttachments(prev => prev.filter(attachment => !deleted.includes(attachment.path)));
+    setStatusMessage(`Deleted ${deleted.length} attachments.`);
+  };
+
+  // Add a new note to the collection and save it; refuses titles whose file is already taken
+  const insertNote = (newNote) => {
+    if (isVaultLocked()) {
+      setStatusMessage('Unlock the vault to add notes to it.');
+      return false;
+    }
+    
+    const collision = findFilenameCollision(notes, getNotePath(newNote));
+    if (collision) {
+      setStatusMessage(`"${newNote.title}" would be saved to the same file as "${collision.title}". Choose a different title.`);
+      return false;
+    }
+    
+    setNotes([...notes, newNote]);
+    recordVersion(newNote);
     
     // Save to file if we have a directory handle
     if (directoryHandle) {
       saveNoteToFile(newNote);
     }
+    return true;
+  };
+
+  const createNewNote = () => {
+    const now = new Date();
+    const title = noteTitle || `Note ${notes.length + 1}`;
+    const content = assignCardIds(noteContent);
+    
+    const newNote = {
+      id: generateId(idScheme, notes, now),
+      title: title,
+      filename: safeFilename(title),
+      folder: noteFolder,
+      content: content,
+      tags: extractTags(content),
+      links: extractLinks(content),
+      aliases: parseAliases(noteAliases),
+      properties: rowsToProperties(noteProperties),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    
+    if (!insertNote(newNote)) return;
+    
+    setNoteTitle('');
+    setNoteContent('');
+    setNoteAliases('');
+    setNoteProperties([]);
+    setViewMode('list');
+  };
+
+  // Ask for the values a template's {{prompt:...}} fields need; null if the user cancels
+  const promptTemplateValues = (template) => {
+    const values = {};
+    for (const field of findTemplatePrompts(template.content)) {
+      const value = window.prompt(field);
+      if (value === null) return null;
+      values[field] = value;
+    }
+    return values;
+  };
+
+  // Fill a template's string properties the same way as its content
+  const applyTemplateProperties = (template, context) => {
+    const properties = {};
+    for (const [key, value] of Object.entries(template.properties || {})) {
+      properties[key] = typeof value === 'string' ? applyTemplate(value, context).content : value;
+    }
+    return properties;
+  };
+
+  // Open the editor on a new note filled in from a template
+  const startNoteFromTemplate = (template) => {
+    const title = window.prompt('Note title');
+    if (title === null) return;
+    
+    const values = promptTemplateValues(template);
+    if (values === null) return;
+    
+    const context = { title, date: new Date(), values };
+    const { content, cursor } = applyTemplate(template.content, context);
+    
+    setActiveNote(null);
+    setNoteTitle(title);
+    setNoteContent(content);
+    setNoteAliases('');
+    setNoteProperties(propertiesToRows(applyTemplateProperties(template, context)));
+    setNoteFolder(selectedFolder !== null && selectedFolder !== templateFolder ? selectedFolder : '');
+    pendingCursor.current = cursor;
+    setViewMode('edit');
+  };
+
+  // Open the daily note for `date`, creating it from the daily template if it doesn't exist yet
+  const openDailyNote = (date = new Date()) => {
+    if (!confirmLeaveEditor()) return;
+    const title = formatDate(date, dailySettings.format);
+    const existing = notes.find(note => note.title === title);
+    if (existing) {
+      viewNote(existing);
+      return;
+    }
+    
+    const template = dailySettings.template
+      ? getTemplates(notes, templateFolder).find(note => note.title === dailySettings.template)
+      : null;
+    const values = template ? promptTemplateValues(template) : {};
+    if (values === null) return;
+    
+    const context = { title, date, values };
+    const { content, cursor } = template ? applyTemplate(template.content, context) : { content: '', cursor: null };
+    const now = new Date().toISOString();
+    const dailyNote = {
+      id: generateId(idScheme, notes),
+      title: title,
+      filename: safeFilename(title),
+      folder: dailySettings.folder,
+      content: content,
+      tags: extractTags(content),
+      links: extractLinks(content),
+      aliases: [],
+      properties: template ? applyTemplateProperties(template, context) : {},
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    if (!insertNote(dailyNote)) return;
+    
+    viewNote(dailyNote);
+    pendingCursor.current = cursor === null ? content.length : cursor;
+    setViewMode('edit');
+  };
+
+  // Start a note that follows on from `parent`, numbered as its next child in the sequence
+  const createFollowUp = (parent) => {
+    const title = window.prompt(`Follow-up to "${parent.title}"`);
+    if (!title) return;
+    
+    const now = new Date().toISOString();
+    const followUp = {
+      id: nextChildId(idScheme, parent, notes),
+      title: title,
+      filename: safeFilename(title),
+      folder: parent.folder || '',
+      content: '',
+      tags: [],
+      links: [],
+      aliases: [],
+      parent: parent.id,
+      properties: {},
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    if (!insertNote(followUp)) return;
+    
+    viewNote(followUp);
+    setViewMode('edit');
+  };
+
+  // A new note that isn't in `notes` yet; `pending` are other new notes it must not share an ID with
+  const makeNote = (title, folder, content = '', pending = []) => {
+    const now = new Date();
+    return {
+      id: generateId(idScheme, [...notes, ...pending], now),
+      title: title,
+      filename: safeFilename(title),
+      folder: folder,
+      content: content,
+      tags: extractTags(content),
+      links: extractLinks(content),
+      aliases: [],
+      properties: {},
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+  };
+
+  // Create an empty note for a link picked from the editor's "Create note" suggestion,
+  // next to the note being edited, without leaving the editor
+  const createLinkedNote = (title) => {
+    const linkedNote = makeNote(title, activeNote ? activeNote.folder || '' : noteFolder);
+    
+    if (insertNote(linkedNote)) {
+      setStatusMessage(`Created note "${title}"`);
+    }
+  };
+
+  const changeIdScheme = (scheme) => {
+    setIdScheme(scheme);
+    setSetting('idScheme', scheme);
+  };
+
+  const changeDailySettings = (settings) => {
+    setDailySettings(settings);
+    setSetting('dailyNotes', settings);
+  };
+
+  const changeTemplateFolder = (folder) => {
+    setTemplateFolder(folder);
+    setSetting('templateFolder', folder);
   };
 
   const updateNote = () => {
     if (!activeNote) return;
     
+    // Title changes go through the rename preview so links elsewhere can be updated
+    if (noteTitle !== activeNote.title) {
+      prepareRename();
+      return;
+    }
+    
+    // Flashcards get block IDs written in, so their review schedule survives later edits
+    const content = assignCardIds(noteContent);
     const now = new Date();
     const updatedNote = {
       ...activeNote,
       title: noteTitle,
-      content: noteContent,
-      tags: extractTags(noteContent),
-      links: extractLinks(noteContent),
+      content: content,
+      tags: noteTags(content, activeNote.frontMatterTags),
+      links: extractLinks(content),
+      aliases: parseAliases(noteAliases),
+      properties: rowsToProperties(noteProperties),
       updatedAt: now.toISOString()
     };
     
@@ -323,6 +1539,8 @@ export default function ZettelkastenApp() {
     setNotes(updatedNotes);
     setViewMode('view');
     setActiveNote(updatedNote);
+    setNoteContent(content);
+    recordVersion(updatedNote, activeNote);
     
     // Save to file if we have a directory handle
     if (directoryHandle) {
@@ -330,35 +1548,922 @@ export default function ZettelkastenApp() {
     }
   };
 
+  // Work out what a title change will touch before committing to it
+  const prepareRename = () => {
+    const newTitle = noteTitle.trim();
+    if (!newTitle) {
+      setStatusMessage('A note needs a title.');
+      return;
+    }
+    
+    setRenamePreview({
+      oldTitle: activeNote.title,
+      newTitle: newTitle,
+      collision: findFilenameCollision(
+        notes,
+        joinPath(activeNote.folder || '', safeFilename(newTitle)),
+        activeNote.id
+      ),
+      references: findLinkReferences(notes, activeNote.title)
+        .filter(reference => reference.note.id !== activeNote.id)
+    });
+  };
+
+  // Rename the active note, move its file and rewrite every link that pointed to the old title
+  const renameNote = async () => {
+    if (!activeNote || !renamePreview || renamePreview.collision) return;
+    
+    const { oldTitle, newTitle, references } = renamePreview;
+    const now = new Date().toISOString();
+    const oldPath = getNotePath(activeNote);
+    const content = rewriteLinks(assignCardIds(noteContent), oldTitle, newTitle);
+    
+    const renamedNote = {
+      ...activeNote,
+      title: newTitle,
+      filename: safeFilename(newTitle),
+      content: content,
+      tags: noteTags(content, activeNote.frontMatterTags),
+      links: extractLinks(content),
+      aliases: parseAliases(noteAliases),
+      properties: rowsToProperties(noteProperties),
+      updatedAt: now
+    };
+    
+    const referencingIds = new Set(references.map(reference => reference.note.id));
+    const relinkedNotes = [];
+    const updatedNotes = notes.map(note => {
+      if (note.id === activeNote.id) return renamedNote;
+      if (!referencingIds.has(note.id)) return note;
+      
+      const relinkedContent = rewriteLinks(note.content, oldTitle, newTitle);
+      const relinkedNote = {
+        ...note,
+        content: relinkedContent,
+        tags: noteTags(relinkedContent, note.frontMatterTags),
+        links: extractLinks(relinkedContent),
+        updatedAt: now
+      };
+      relinkedNotes.push(relinkedNote);
+      return relinkedNote;
+    });
+    
+    setNotes(updatedNotes);
+    setActiveNote(renamedNote);
+    setNoteTitle(newTitle);
+    setNoteContent(content);
+    setRenamePreview(null);
+    setViewMode('view');
+    setStatusMessage(`Renamed "${oldTitle}" to "${newTitle}" and updated links in ${relinkedNotes.length} notes.`);
+    recordVersion(renamedNote, activeNote);
+    
+    // Move the file: write the new one first so a failure never loses the note
+    if (directoryHandle) {
+      const saved = await saveNoteToFile(renamedNote);
+      if (saved && oldPath !== getNotePath(renamedNote)) {
+        try {
+          await removeFileAtPath(directoryHandle, oldPath);
+          fileSnapshots.current.delete(oldPath);
+        } catch (error) {
+          console.error('Error removing old file:', error);
+          setStatusMessage(`Renamed "${oldTitle}", but could not remove the old file "${oldPath}".`);
+        }
+      }
+      
+      for (const note of relinkedNotes) {
+        await saveNoteToFile(note);
+      }
+    }
+  };
+
+  // Deleting moves the note to the trash, where it can be restored from
   const deleteNote = async (id) => {
+    const noteToDelete = notes.find(note => note.id === id);
+    if (!noteToDelete) return;
+    
+    try {
+      await moveToTrash(currentVault.current, await sealIfNeeded(noteToDelete));
+    } catch (error) {
+      console.error('Error moving note to trash:', error);
+      setStatusMessage(`Failed to move "${noteToDelete.title}" to the trash; it was not deleted.`);
+      return;
+    }
+    
+    setStatusMessage(`Moved "${noteToDelete.title}" to the trash.`);
+    
     // If we have a directory handle, try to delete the file
     if (directoryHandle) {
-      const noteToDelete = notes.find(note => note.id === id);
-      if (noteToDelete) {
+      try {
+        await removeFileAtPath(directoryHandle, getNotePath(noteToDelete));
+        fileSnapshots.current.delete(getNotePath(noteToDelete));
+      } catch (error) {
+        console.error('Error deleting file:', error);
+        setStatusMessage(`Failed to delete file for note "${noteToDelete.title}".`);
+      }
+    }
+    
+    setNotes(notes.filter(note => note.id !== id));
+    
+    if (activeNote && activeNote.id === id) {
+      setActiveNote(null);
+      setViewMode('list');
+    }
+  };
+
+  // Move several notes to the trash at once (the audit's bulk fix for empty notes)
+  const trashNotes = async (ids) => {
+    const trashed = new Set();
+    
+    for (const note of notes.filter(candidate => ids.includes(candidate.id))) {
+      try {
+        await moveToTrash(currentVault.current, await sealIfNeeded(note));
+      } catch (error) {
+        console.error('Error moving note to trash:', error);
+        continue;
+      }
+      trashed.add(note.id);
+      
+      if (directoryHandle) {
         try {
-          const safeFilename = noteToDelete.title
-            .replace(/[^a-z0-9]/gi, '-')
-            .toLowerCase() + '.md';
-          await directoryHandle.removeEntry(safeFilename);
+          await removeFileAtPath(directoryHandle, getNotePath(note));
+          fileSnapshots.current.delete(getNotePath(note));
         } catch (error) {
           console.error('Error deleting file:', error);
-          setStatusMessage(`Failed to delete file for note "${noteToDelete.title}".`);
         }
       }
     }
     
-    setNotes(notes.filter(note => note.id !== id));
+    setNotes(notes.filter(note => !trashed.has(note.id)));
+    setStatusMessage(`Moved ${trashed.size} of ${ids.length} notes to the trash.`);
+    
+    if (activeNote && trashed.has(activeNote.id)) {
+      setActiveNote(null);
+    }
+  };
+
+  // Apply bulk changes from the audit and imports: patches ({ id, title?, filename?, content?, ... })
+  // to existing notes plus brand-new notes, saved in one go. Files whose name changed are moved.
+  const applyNotePatches = async (patches, createdNotes = []) => {
+    const now = new Date().toISOString();
+    const patchesById = new Map(patches.map(patch => [patch.id, patch]));
+    const changes = [];
+    
+    const updatedNotes = notes.map(note => {
+      const patch = patchesById.get(note.id);
+      if (!patch) return note;
+      
+      const content = patch.content !== undefined ? patch.content : note.content;
+      const frontMatterTags = patch.frontMatterTags || note.frontMatterTags;
+      const updatedNote = {
+        ...note,
+        ...patch,
+        content: content,
+        tags: noteTags(content, frontMatterTags),
+        links: extractLinks(content),
+        updatedAt: now
+      };
+      changes.push({ before: note, after: updatedNote });
+      return updatedNote;
+    });
+    
+    setNotes([...updatedNotes, ...createdNotes]);
+    changes.forEach(({ before, after }) => recordVersion(after, before));
+    createdNotes.forEach(note => recordVersion(note));
+    
+    const parts = [];
+    if (changes.length > 0) parts.push(`updated ${changes.length} notes`);
+    if (createdNotes.length > 0) parts.push(`created ${createdNotes.length} notes`);
+    setStatusMessage(parts.length > 0 ? `Done: ${parts.join(' and ')}.` : 'Nothing to change.');
+    
+    if (!directoryHandle) return;
+    
+    for (const note of createdNotes) {
+      await saveNoteToFile(note);
+    }
+    for (const { before, after } of changes) {
+      const saved = await saveNoteToFile(after);
+      const oldPath = getNotePath(before);
+      if (saved && oldPath !== getNotePath(after)) {
+        try {
+          await removeFileAtPath(directoryHandle, oldPath);
+          fileSnapshots.current.delete(oldPath);
+        } catch (error) {
+          console.error('Error removing old file:', error);
+        }
+      }
+    }
+  };
+
+  // Broken links: point them at the chosen notes, and create notes for the rest
+  const fixBrokenLinks = (fixes, missingTitles) => {
+    const createdNotes = [];
+    for (const title of missingTitles) {
+      if (!findFilenameCollision(notes, safeFilename(title))) {
+        createdNotes.push(makeNote(title, '', '', createdNotes));
+      }
+    }
+    applyNotePatches(retargetLinks(notes, fixes), createdNotes);
+  };
+
+  // Orphans: gather links to them in a new index note
+  const linkFromIndexNote = (ids) => {
+    const orphans = notes.filter(note => ids.includes(note.id));
+    const title = `Orphans ${formatDate(new Date(), 'YYYY-MM-DD HH-mm')}`;
+    const indexNote = makeNote(title, '', orphans.map(note => `- [[${note.title}]]`).join('\n'));
+    
+    applyNotePatches([], [indexNote]);
+    viewNote(indexNote);
+  };
+
+  // Rename files to match their notes' titles, skipping any whose new name is taken
+  const renameFilesToTitles = (ids) => {
+    const patches = [];
+    for (const note of notes.filter(candidate => ids.includes(candidate.id))) {
+      const path = joinPath(note.folder || '', safeFilename(note.title));
+      const taken = findFilenameCollision(notes, path, note.id) ||
+        patches.some(patch => joinPath(note.folder || '', patch.filename) === path);
+      if (!taken) patches.push({ id: note.id, filename: safeFilename(note.title) });
+    }
+    applyNotePatches(patches);
+  };
+
+  // Whether the whole vault is encrypted and locked, so nothing can be added to it
+  const isVaultLocked = () => Boolean(encryption && encryption.vaultMode && isLocked);
+  
+  const saveEncryption = async (config) => {
+    setEncryption(config);
+    await setSetting(`encryption:${currentVault.current}`, config);
+  };
+  
+  // Choose the vault's passphrase. Only the key derived from it is kept, and only in memory.
+  const setUpVaultEncryption = async (passphrase) => {
+    try {
+      const { key, config } = await setUpEncryption(passphrase);
+      encryptionKey.current = key;
+      await saveEncryption({ ...config, vaultMode: false, autoLockMinutes: 10 });
+      setIsLocked(false);
+      setStatusMessage('Passphrase set. Encrypt single notes with "Encrypt", or the whole vault here.');
+      return null;
+    } catch (error) {
+      console.error('Error setting up encryption:', error);
+      return 'Encryption is not available in this browser.';
+    }
+  };
+  
+  // Resolves with an error message for the unlock form, or null once unlocked
+  const unlockVault = async (passphrase) => {
+    // A vault with encrypted notes but no settings in this browser is checked against one of its notes
+    const sealedNote = notes.find(note => note.sealed);
+    const params = encryption || sealedNote.sealed;
+    
+    let key;
+    try {
+      key = await unlockWith(passphrase, params);
+    } catch (error) {
+      console.error('Error unlocking vault:', error);
+      return 'The vault could not be unlocked.';
+    }
+    if (!key) return 'Wrong passphrase.';
+    
+    encryptionKey.current = key;
+    undecryptable.current = new WeakSet();
+    if (!encryption) {
+      const { kdf, iterations, salt } = sealedNote.sealed;
+      await saveEncryption({ kdf, iterations, salt, check: sealedNote.sealed, vaultMode: false, autoLockMinutes: 10 });
+    }
+    setIsLocked(false);
+    setViewMode(activeNote ? 'view' : 'list');
+    setStatusMessage('Vault unlocked.');
+    return null;
+  };
+  
+  // Forget the key and seal the encrypted notes again, so only their ciphertext is left in memory
+  const lockVault = async () => {
+    if (!encryptionKey.current) return;
+    
+    // The editor and the other views may hold decrypted text too
+    const keepEditor = activeNote ? !needsEncryption(activeNote) : !(encryption && encryption.vaultMode);
+    let draft = null;
+    try {
+      // Unsaved edits are kept as a sealed draft rather than dropped with the editor's contents
+      if (!keepEditor && viewMode === 'edit' && unsavedDraft.current) {
+        draft = await sealDraft({ ...unsavedDraft.current, savedAt: new Date().toISOString() }, activeNote);
+      }
+      const locked = await Promise.all(notes.map(note => sealIfNeeded(note)));
+      encryptionKey.current = null;
+      setIsLocked(true);
+      setNotes(locked);
+    } catch (error) {
+      console.error('Error locking vault:', error);
+      setStatusMessage('Failed to lock the vault.');
+      return;
+    }
+    
+    if (!keepEditor) {
+      if (draft) {
+        // Detached from the editor, so closing it below doesn't remove the draft
+        editingDraft.current = null;
+        draftPending.current = false;
+        queueDraftWrite(() => saveDraft(currentVault.current, draft));
+        setRecoverableDrafts(current => [...current.filter(d => d.noteId !== draft.noteId), draft]);
+      }
+      setActiveNote(null);
+      setShowHistory(false);
+      setNoteVersions([]);
+      setNoteTitle('');
+      setNoteContent('');
+      setNoteAliases('');
+      setNoteProperties([]);
+      setViewMode('list');
+    } else if (!['list', 'view', 'edit'].includes(viewMode)) {
+      setViewMode('list');
+    }
+    setStatusMessage(draft ? 'Vault locked. Your unsaved edits were kept as a draft.' : 'Vault locked.');
+  };
+  
+  lockHandler.current = lockVault;
+  
+  // Auto-lock and whole-vault encryption. Switching the vault mode rewrites every file, and the
+  // history and trash, encrypted or not as the new setting says.
+  const changeEncryptionSettings = async (changes) => {
+    const config = { ...encryption, ...changes };
+    await saveEncryption(config);
+    if (changes.vaultMode === undefined || changes.vaultMode === Boolean(encryption.vaultMode)) return;
+    
+    setIsLoading(true);
+    try {
+      await transformStoredNotes(currentVault.current, async note => sealIfNeeded(await openVersionNote(note), config));
+      if (directoryHandle) {
+        for (const note of notes) {
+          await saveNoteToFile(note, { config });
+        }
+      }
+      setStatusMessage(config.vaultMode
+        ? 'The whole vault is encrypted now.'
+        : 'Only the notes marked "Encrypt" are encrypted now.');
+    } catch (error) {
+      console.error('Error changing vault encryption:', error);
+      setStatusMessage('Failed to re-save some notes with the new setting.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Mark a single note to be stored encrypted, or go back to plain text
+  const toggleNoteEncryption = async (note) => {
+    if (!encryption || isLocked) {
+      setStatusMessage(encryption ? 'Unlock the vault first.' : 'Set a passphrase first.');
+      setViewMode('encryption');
+      return;
+    }
+    
+    const updated = { ...note, encrypted: !note.encrypted };
+    setNotes(notes.map(n => n.id === note.id ? updated : n));
+    setActiveNote(updated);
+    
+    try {
+      await transformStoredNotes(currentVault.current, async stored => (stored.id === note.id
+        ? sealIfNeeded({ ...await openVersionNote(stored), encrypted: updated.encrypted })
+        : stored));
+    } catch (error) {
+      console.error('Error re-saving note history:', error);
+    }
+    if (directoryHandle && !await saveNoteToFile(updated)) return;
+    setStatusMessage(updated.encrypted ? `"${note.title}" is encrypted now.` : `"${note.title}" is no longer encrypted.`);
+  };
+  
+  // Draft saves and removals run one after another, so a removal can't be overtaken by a save
+  const queueDraftWrite = (write) => {
+    draftWrites.current = draftWrites.current.then(write).catch(error => {
+      console.error('Error saving draft:', error);
+    });
+  };
+  
+  // The draft of an encrypted note (or of any note in an encrypted vault) is stored encrypted too
+  const sealDraft = async (draft, note) => {
+    const isEncrypted = note ? needsEncryption(note) : Boolean(encryption && encryption.vaultMode);
+    if (!isEncrypted) return draft;
+    
+    const { noteId, baseUpdatedAt, savedAt, ...fields } = draft;
+    return { noteId, baseUpdatedAt, savedAt, sealed: await encryptValue(encryptionKey.current, encryption, fields) };
+  };
+  
+  draftHandlers.current = { sealDraft };
+  
+  // Reopen a draft from the last session in the editor
+  const recoverDraft = async (draft) => {
+    let fields = draft;
+    if (draft.sealed) {
+      try {
+        fields = await decryptValue(encryptionKey.current, draft.sealed);
+      } catch (error) {
+        setStatusMessage('Unlock the vault to recover this draft.');
+        return;
+      }
+    }
+    
+    setRecoverableDrafts(recoverableDrafts.filter(d => d !== draft));
+    queueDraftWrite(() => removeDraft(currentVault.current, draft.noteId));
+    
+    setActiveNote(notes.find(note => note.id === draft.noteId) || null);
+    setRenamePreview(null);
+    setShowHistory(false);
+    setNoteTitle(fields.title);
+    setNoteContent(fields.content);
+    setNoteAliases(fields.aliases);
+    setNoteProperties(fields.properties);
+    setNoteFolder(fields.folder || '');
+    setViewMode('edit');
+    setStatusMessage('Draft recovered. Save it to keep it.');
+  };
+  
+  const discardDraft = (draft) => {
+    setRecoverableDrafts(recoverableDrafts.filter(d => d !== draft));
+    queueDraftWrite(() => removeDraft(currentVault.current, draft.noteId));
+  };
+  
+  const createSyncProvider = (config) => {
+    return config.provider === 'webdav' ? createWebDavProvider(config) : createHttpProvider(config);
+  };
+  
+  // Turn sync on or off, or point it somewhere else. Another server starts from scratch: its
+  // files are compared with the notes as if neither side had synced before.
+  const changeSyncConfig = async (config) => {
+    const vaultId = currentVault.current;
+    const isSameRemote = syncConfig && config && syncConfig.provider === config.provider && syncConfig.url === config.url;
+    
+    try {
+      await setSetting(`sync:${vaultId}`, config);
+      if (!isSameRemote) {
+        await saveSyncBases(vaultId, new Map(), { replace: true });
+        await setSetting(`syncState:${vaultId}`, null);
+        setSyncBases(new Map());
+        setSyncErrors(new Set());
+        setSyncedAt(null);
+      }
+      setSyncConfig(config);
+      setStatusMessage(config ? 'Sync settings saved.' : 'Sync is turned off for this vault.');
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      setStatusMessage('Failed to save the sync settings.');
+    }
+  };
+  
+  // The readable note in a file from the sync server
+  const decodeRemoteNote = async (markdown, path) => {
+    const note = noteFromFile(markdown, path);
+    return note.sealed ? decryptNote(note) : note;
+  };
+  
+  // Sync the vault with its remote copy. The automatic syncs are `quiet`: they only speak up
+  // when something changed or went wrong.
+  const syncWithRemote = async ({ quiet = false } = {}) => {
+    if (!syncConfig || remoteSyncRunning.current || loadedVaultId !== currentVault.current) return;
+    // Only the vault's files are up to date enough to sync, not the cached copy
+    if (pendingVault) {
+      if (!quiet) setStatusMessage('Reconnect the vault to sync it.');
+      return;
+    }
+    if ((encryption && isLocked) || notes.some(note => note.sealed)) {
+      if (!quiet) setStatusMessage('Unlock the vault to sync it.');
+      return;
+    }
+    
+    const vaultId = currentVault.current;
+    remoteSyncRunning.current = true;
+    setIsRemoteSyncing(true);
+    
+    try {
+      const syncState = await getSetting(`syncState:${vaultId}`);
+      const { results, cursor } = await syncNotes({
+        provider: createSyncProvider(syncConfig),
+        notes: notes,
+        bases: await loadSyncBases(vaultId),
+        cursor: syncState ? syncState.cursor : null,
+        deviceId: deviceId.current,
+        encode: async (note) => noteToMarkdown(await sealIfNeeded(note)),
+        decode: decodeRemoteNote
+      });
+      // Apply with the handlers from the latest render, to the notes as they are now
+      if (currentVault.current === vaultId) {
+        await remoteSyncHandlers.current.applySyncResults(vaultId, results, cursor, quiet);
+      }
+    } catch (error) {
+      console.error('Error syncing:', error);
+      setStatusMessage(`Sync failed: ${error.message}`);
+    } finally {
+      remoteSyncRunning.current = false;
+      setIsRemoteSyncing(false);
+    }
+  };
+  
+  // Bring the outcome of a sync into the vault. Notes edited while it ran (or with unsaved edits
+  // in the editor) keep their edits and their old base, so the next sync merges them, unless all
+  // the sync did was upload their previous version.
+  const applySyncResults = async (vaultId, results, cursor, quiet) => {
+    let updatedNotes = notes;
+    const bases = new Map();
+    const errors = new Set();
+    const saved = [];
+    const removed = [];
+    let changed = 0;
+    let conflicted = 0;
+    
+    for (const result of results) {
+      if (result.status === 'error') {
+        errors.add(result.path);
+        continue;
+      }
+      
+      const current = result.local && updatedNotes.find(note => note.id === result.local.id);
+      const isEdited = result.local &&
+        (!current || current.updatedAt !== result.local.updatedAt || hasUnsavedEdits(current));
+      if (isEdited) {
+        if (current && result.note && isSameNote(result.note, result.local)) {
+          const note = { ...current, revisions: result.note.revisions };
+          updatedNotes = updatedNotes.map(n => n === current ? note : n);
+          bases.set(result.path, { ...result.base, updatedAt: result.local.updatedAt, status: result.status });
+        }
+        continue;
+      }
+      
+      if (!result.note) {
+        if (current) {
+          updatedNotes = updatedNotes.filter(note => note !== current);
+          removed.push(current);
+          changed++;
+        }
+        bases.set(result.path, null);
+        continue;
+      }
+      
+      let note = result.note;
+      if (note !== result.local) {
+        note = { ...note, tags: noteTags(note.content, note.frontMatterTags), links: extractLinks(note.content) };
+        updatedNotes = current ? updatedNotes.map(n => n === current ? note : n) : [...updatedNotes, note];
+        saved.push(note);
+        const isChanged = !result.local || !isSameNote(note, result.local);
+        if (isChanged) {
+          changed++;
+          if (result.status === 'conflict') conflicted++;
+        }
+        if (activeNote && current && activeNote.id === current.id) {
+          if (isChanged) {
+            viewNote(note);
+            if (viewMode === 'edit') setViewMode('edit');
+          } else {
+            setActiveNote(note);
+          }
+        }
+      }
+      bases.set(result.path, result.base && { ...result.base, updatedAt: note.updatedAt, status: result.status });
+    }
+    
+    setNotes(updatedNotes);
+    if (activeNote && removed.some(note => note.id === activeNote.id)) {
+      setActiveNote(null);
+      setViewMode('list');
+    }
+    
+    try {
+      // Notes deleted on another device can still be restored from the trash here
+      for (const note of removed) {
+        await moveToTrash(vaultId, await sealIfNeeded(note));
+        if (directoryHandle) {
+          await removeFileAtPath(directoryHandle, getNotePath(note));
+          fileSnapshots.current.delete(getNotePath(note));
+        }
+      }
+      for (const note of saved) {
+        await saveNoteToFile(note);
+      }
+      
+      const now = new Date().toISOString();
+      await saveSyncBases(vaultId, bases);
+      await setSetting(`syncState:${vaultId}`, { cursor, syncedAt: now });
+      setSyncBases(await loadSyncBases(vaultId));
+      setSyncErrors(errors);
+      setSyncedAt(now);
+    } catch (error) {
+      console.error('Error saving synced notes:', error);
+      setStatusMessage('Failed to save the notes from the sync.');
+      return;
+    }
+    
+    if (errors.size > 0) {
+      setStatusMessage(`Synced, but ${errors.size} ${errors.size === 1 ? 'note' : 'notes'} failed to sync.`);
+    } else if (conflicted > 0) {
+      setStatusMessage(`Synced. ${conflicted} ${conflicted === 1 ? 'note was' : 'notes were'} edited on two devices ` +
+        'at once; look for the conflict markers.');
+    } else if (changed > 0) {
+      setStatusMessage(`Synced ${changed} ${changed === 1 ? 'note' : 'notes'} changed on other devices.`);
+    } else if (!quiet) {
+      setStatusMessage('Everything is in sync.');
+    }
+  };
+  
+  remoteSyncHandlers.current = { syncWithRemote, applySyncResults };
+  
+  // How a note stands with the sync server: 'synced', 'pending', 'conflict' or 'error'
+  const noteSyncStatus = (note) => {
+    const path = getNotePath(note);
+    if (syncErrors.has(path)) return 'error';
+    const base = syncBases.get(path);
+    return base && base.updatedAt === note.updatedAt ? base.status : 'pending';
+  };
+  
+  const countSyncStatuses = () => {
+    const counts = { synced: 0, pending: 0, conflict: 0, error: 0 };
+    notes.forEach(note => counts[noteSyncStatus(note)]++);
+    return counts;
+  };
+  
+  // Start a review session with the current vault's flashcard schedules
+  const openReview = async () => {
+    try {
+      setCardStates(await loadCardStates(currentVault.current));
+      setActiveNote(null);
+      setViewMode('review');
+    } catch (error) {
+      console.error('Error loading flashcards:', error);
+      setStatusMessage('Failed to load flashcard schedules.');
+    }
+  };
+
+  const gradeReviewCard = (card, grade) => {
+    const state = gradeCard(cardStates.get(card.id) || null, card, grade, formatDate(new Date(), 'YYYY-MM-DD'));
+    setCardStates(new Map(cardStates).set(card.id, state));
+    saveCardState(currentVault.current, state).catch(error => {
+      console.error('Error saving flashcard schedule:', error);
+      setStatusMessage('Failed to save the review.');
+    });
+  };
+
+  const openTrash = async () => {
+    setTrashItems(await listTrash(currentVault.current));
+    setActiveNote(null);
+    setViewMode('trash');
+  };
+
+  // Put a deleted note back, in its old folder and file
+  const restoreFromTrash = async (item) => {
+    const note = item.note;
+    const collision = findFilenameCollision(notes, getNotePath(note), note.id);
+    if (collision || notes.some(n => n.id === note.id)) {
+      setStatusMessage(`Cannot restore "${note.title}": "${(collision || note).title}" is in the way.`);
+      return;
+    }
+    
+    try {
+      await removeFromTrash(currentVault.current, note.id);
+    } catch (error) {
+      console.error('Error restoring note from trash:', error);
+      setStatusMessage(`Failed to restore "${note.title}".`);
+      return;
+    }
+    setTrashItems(trashItems.filter(i => i !== item));
+    setNotes([...notes, note]);
+    setStatusMessage(`Restored "${note.title}" from the trash.`);
+    
+    if (directoryHandle) {
+      saveNoteToFile(note);
+    }
+  };
+
+  const deleteForever = async (item) => {
+    if (!window.confirm(`Delete "${item.note.title}" permanently? This can't be undone.`)) return;
+    
+    try {
+      await removeFromTrash(currentVault.current, item.note.id);
+      setTrashItems(trashItems.filter(i => i !== item));
+    } catch (error) {
+      console.error('Error deleting note from trash:', error);
+      setStatusMessage(`Failed to delete "${item.note.title}".`);
+    }
+  };
+
+  // Deletes what it can; items that fail stay in the trash
+  const emptyTrash = async () => {
+    if (!window.confirm(`Delete all ${trashItems.length} notes in the trash permanently? This can't be undone.`)) return;
+    
+    const deleted = new Set();
+    for (const item of trashItems) {
+      try {
+        await removeFromTrash(currentVault.current, item.note.id);
+        deleted.add(item);
+      } catch (error) {
+        console.error('Error deleting note from trash:', error);
+      }
+    }
+    setTrashItems(trashItems.filter(item => !deleted.has(item)));
+    setStatusMessage(deleted.size === trashItems.length
+      ? 'Trash emptied.'
+      : `Deleted ${deleted.size} of ${trashItems.length} notes; the rest are still in the trash.`);
+  };
+
+  // Snapshot a saved note into its history (IndexedDB, plus .zettel/history when enabled)
+  const recordVersion = async (note, previousNote = null) => {
+    const vaultId = currentVault.current;
+    
+    try {
+      // The first save also keeps what the note looked like before it
+      const stored = { seal: sealIfNeeded, open: openVersionNote };
+      if (previousNote && (await listVersions(vaultId, note.id)).length === 0) {
+        await addVersion(vaultId, previousNote, stored);
+      }
+      
+      const added = await addVersion(vaultId, note, stored);
+      if (added && historyInVault && directoryHandle) {
+        const folder = `.zettel/history/${note.id.replace(/[^a-z0-9-]/gi, '-')}`;
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}.md`;
+        const markdown = noteToMarkdown(await sealIfNeeded(note));
+        await writeQueue.current.run(() => writeFileAtPath(directoryHandle, joinPath(folder, name), markdown));
+      }
+      
+      if (showHistory && activeNote && activeNote.id === note.id) {
+        setNoteVersions(await loadVersions(note.id));
+      }
+    } catch (error) {
+      console.error('Error recording note version:', error);
+    }
+  };
+
+  // A stored version as it can be shown: decrypted when possible, sealed while the vault is locked
+  const openVersionNote = async (note) => {
+    if (!note.sealed || isLocked) return note;
+    try {
+      return await decryptNote(note);
+    } catch (error) {
+      return note;
+    }
+  };
+  
+  const loadVersions = async (noteId) => {
+    const versions = await listVersions(currentVault.current, noteId);
+    return Promise.all(versions.map(async version => ({ ...version, note: await openVersionNote(version.note) })));
+  };
+  
+  const toggleHistory = async () => {
+    if (!showHistory && activeNote) {
+      setNoteVersions(await loadVersions(activeNote.id));
+    }
+    setShowHistory(!showHistory);
+  };
+
+  const toggleHistoryInVault = async (enabled) => {
+    setHistoryInVault(enabled);
+    await setSetting('historyInVault', enabled);
+  };
+
+  // Bring back an older version. Title changes go through the editor so the rename preview runs.
+  const restoreVersion = (version) => {
+    const restored = version.note;
+    
+    if (restored.title !== activeNote.title) {
+      setNoteTitle(restored.title);
+      setNoteContent(restored.content);
+      setNoteAliases((restored.aliases || []).join(', '));
+      setNoteProperties(propertiesToRows(restored.properties));
+      setViewMode('edit');
+      setStatusMessage('This version has a different title. Save to restore it and rename the note.');
+      return;
+    }
+    
+    const restoredNote = {
+      ...activeNote,
+      content: restored.content,
+      tags: noteTags(restored.content, restored.frontMatterTags),
+      frontMatterTags: restored.frontMatterTags || [],
+      links: extractLinks(restored.content),
+      aliases: restored.aliases || [],
+      properties: restored.properties || {},
+      updatedAt: new Date().toISOString()
+    };
+    
+    setNotes(notes.map(note => note.id === activeNote.id ? restoredNote : note));
+    viewNote(restoredNote);
+    setShowHistory(true);
+    setStatusMessage(`Restored the version from ${new Date(version.savedAt).toLocaleString()}.`);
+    recordVersion(restoredNote, activeNote);
+    
+    if (directoryHandle) {
+      saveNoteToFile(restoredNote);
+    }
+  };
+
+  // Move a note into another folder (drag and drop in the folder tree)
+  const moveNoteToFolder = async (id, folder) => {
+    const note = notes.find(n => n.id === id);
+    if (!note || (note.folder || '') === folder) return;
+    
+    const movedNote = { ...note, folder: folder, filename: getNoteFilename(note) };
+    const collision = findFilenameCollision(notes, getNotePath(movedNote), id);
+    if (collision) {
+      setStatusMessage(`"${folder || 'the root folder'}" already has a file named ${movedNote.filename}.`);
+      return;
+    }
+    
+    setNotes(notes.map(n => n.id === id ? movedNote : n));
+    if (activeNote && activeNote.id === id) {
+      setActiveNote(movedNote);
+    }
+    setStatusMessage(`Moved "${note.title}" to ${folder || 'the root folder'}.`);
+    
+    // Write the file in its new place before removing the old one
+    if (directoryHandle) {
+      const oldPath = getNotePath(note);
+      if (await saveNoteToFile(movedNote)) {
+        try {
+          await removeFileAtPath(directoryHandle, oldPath);
+          fileSnapshots.current.delete(oldPath);
+        } catch (error) {
+          console.error('Error removing old file:', error);
+          setStatusMessage(`Moved "${note.title}", but could not remove the old file "${oldPath}".`);
+        }
+      }
+    }
+  };
+
+  // Create a folder inside the selected one (or at the root)
+  const createFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
+    if (name.includes('/') || name.startsWith('.')) {
+      setStatusMessage('Folder names cannot contain "/" or start with ".".');
+      return;
+    }
+    
+    const folder = joinPath(selectedFolder || '', name.trim());
+    if (directoryHandle) {
+      try {
+        await getFolderHandle(directoryHandle, folder, { create: true });
+      } catch (error) {
+        console.error('Error creating folder:', error);
+        setStatusMessage(`Failed to create folder "${folder}".`);
+        return;
+      }
+    }
     
-    if (activeNote && activeNote.id === id) {
-      setActiveNote(null);
-      setViewMode('list');
+    setEmptyFolders([...emptyFolders, folder]);
+    setSelectedFolder(folder);
+  };
+
+  const toggleFolder = (folder) => {
+    setCollapsedFolders(collapsedFolders.includes(folder)
+      ? collapsedFolders.filter(f => f !== folder)
+      : [...collapsedFolders, folder]);
+  };
+
+  const toggleTagFilter = (tag) => {
+    setSelectedTags(selectedTags.includes(tag)
+      ? selectedTags.filter(t => t !== tag)
+      : [...selectedTags, tag]);
+  };
+
+  // Rename a tag in every note, tags nested under it included; renaming onto an existing tag merges the two
+  const renameTagEverywhere = (tag) => {
+    const input = window.prompt(`Rename #${tag} to (use an existing tag to merge into it)`, tag);
+    if (input === null) return;
+    const newTag = input.trim().replace(/^#/, '').replace(/\/+$/, '');
+    if (!newTag || newTag === tag) return;
+    if (!extractTags(`#${newTag}`).includes(newTag)) {
+      setStatusMessage(`"${newTag}" isn't a valid tag. Tags can use letters, digits, _, - and /.`);
+      return;
     }
+    
+    applyNotePatches(renameTagPatches(notes, tag, newTag));
+    setSelectedTags(selectedTags.map(t => (t === tag ? newTag : t)));
+  };
+
+  // Remove a tag, and the tags nested under it, from every note
+  const deleteTagEverywhere = (tag) => {
+    if (!window.confirm(`Remove #${tag} from every note?`)) return;
+    applyNotePatches(renameTagPatches(notes, tag, ''));
+    setSelectedTags(selectedTags.filter(t => t !== tag && !t.startsWith(`${tag}/`)));
   };
 
-  const extractTags = (content) => {
-    const tagRegex = /#(\w+)/g;
-    const matches = content.match(tagRegex);
-    return matches ? [...new Set(matches.map(tag => tag.substring(1)))] : [];
+  // Turn a plain-text mention of the active note into a real [[link]]
+  const linkUnlinkedMention = (mention) => {
+    const note = notes.find(n => n.id === mention.note.id);
+    if (!note || !activeNote) return;
+
+    const content = linkMention(note.content, mention, activeNote.title);
+    const updatedNote = {
+      ...note,
+      content: content,
+      tags: noteTags(content, note.frontMatterTags),
+      links: extractLinks(content),
+      updatedAt: new Date().toISOString()
+    };
+
+    setNotes(notes.map(n => n.id === note.id ? updatedNote : n));
+    setStatusMessage(`Linked mention in "${note.title}".`);
+    recordVersion(updatedNote, note);
+
+    // Save to file if we have a directory handle
+    if (directoryHandle) {
+      saveNoteToFile(updatedNote);
+    }
   };
 
   const extractLinks = (content) => {
@@ -368,83 +2473,543 @@ export default function ZettelkastenApp() {
   };
 
   const viewNote = (note) => {
+    // Viewing a note from anywhere but back/forward adds it to the active tab's history
+    if (!isNavigating.current) {
+      setWorkspace(current => updateTab(current, current.activeTab, tab => ({ history: pushHistory(tab.history, note.id) })));
+    }
+    
     setActiveNote(note);
+    setRenamePreview(null);
+    setShowHistory(false);
     setNoteTitle(note.title);
     setNoteContent(note.content);
+    setNoteAliases((note.aliases || []).join(', '));
+    setNoteProperties(propertiesToRows(note.properties));
     setViewMode('view');
   };
 
+  const updatePropertyRow = (index, field, value) => {
+    setNoteProperties(noteProperties.map((row, i) => 
+      i === index ? { ...row, [field]: value } : row
+    ));
+  };
+
   const editNote = () => {
     setViewMode('edit');
   };
+  
+  const noteExists = (id) => notes.some(note => note.id === id);
+  const findNote = (id) => notes.find(note => note.id === id);
+  
+  // Go `step` notes back (-1) or forward (1) through the notes viewed in the active tab, or in
+  // the focused side pane, skipping deleted ones
+  const navigate = (step) => {
+    const pane = workspace.panes.find(pane => pane.id === focusedPane);
+    if (pane && pane.kind === 'note') {
+      navigatePane(pane, step);
+      return;
+    }
+    
+    const tab = getActiveTab(workspace);
+    const history = stepHistory(tab.history, step, noteExists);
+    if (!history || !confirmLeaveEditor()) return;
+    
+    setWorkspace(updateTab(workspace, tab.id, () => ({ history })));
+    isNavigating.current = true;
+    viewNote(findNote(currentNoteId(history)));
+    isNavigating.current = false;
+  };
+  
+  const navigatePane = (pane, step) => {
+    const history = stepHistory(pane.history, step, noteExists);
+    if (history) setWorkspace(updatePane(workspace, pane.id, () => ({ history })));
+  };
+  
+  // Tabs in the main pane each show a note of their own; an empty tab shows the note list
+  const showTab = (tab) => {
+    const note = findNote(currentNoteId(tab.history));
+    if (note) {
+      viewNote(note);
+    } else {
+      setActiveNote(null);
+      setViewMode('list');
+    }
+  };
+  
+  workspaceHandlers.current = {
+    reopenTab: () => {
+      const note = findNote(currentNoteId(getActiveTab(workspace).history));
+      if (note) viewNote(note);
+    }
+  };
+  
+  const switchTab = (tabId) => {
+    if (tabId === workspace.activeTab || !confirmLeaveEditor()) return;
+    setWorkspace({ ...workspace, activeTab: tabId });
+    setFocusedPane(null);
+    showTab(workspace.tabs.find(tab => tab.id === tabId));
+  };
+  
+  const openNewTab = () => {
+    if (!confirmLeaveEditor()) return;
+    const next = addTab(workspace);
+    setWorkspace(next);
+    setFocusedPane(null);
+    showTab(getActiveTab(next));
+  };
+  
+  const closeWorkspaceTab = (tabId) => {
+    if (tabId === workspace.activeTab && !confirmLeaveEditor()) return;
+    const next = closeTab(workspace, tabId);
+    setWorkspace(next);
+    if (next.activeTab !== workspace.activeTab) showTab(getActiveTab(next));
+  };
+  
+  // A new side pane next to the others, showing `note`, or the preview of the main pane
+  const openPane = (kind, note = null) => {
+    setWorkspace(addPane(workspace, kind, note ? note.id : null));
+  };
+  
+  const showInPane = (pane, note) => {
+    setWorkspace(updatePane(workspace, pane.id, () => ({ history: pushHistory(pane.history, note.id) })));
+  };
+  
+  const closeWorkspacePane = (paneId) => {
+    setWorkspace(closePane(workspace, paneId));
+    if (focusedPane === paneId) setFocusedPane(null);
+  };
+  
+  // Opening another note or starting a new one replaces what's in the editor, so unsaved changes
+  // there are only dropped once the user agrees
+  const confirmLeaveEditor = () => {
+    return !editorChanged || window.confirm('Discard your unsaved changes to this note?');
+  };
+  
+  // Show `note` in the main pane unless the user would rather keep editing
+  const openInMain = (note) => {
+    if (confirmLeaveEditor()) viewNote(note);
+  };
+  
+  const startNewNote = () => {
+    if (!confirmLeaveEditor()) return;
+    setActiveNote(null);
+    setNoteTitle('');
+    setNoteContent('');
+    setNoteAliases('');
+    setNoteProperties([]);
+    setNoteFolder(selectedFolder || '');
+    setViewMode('edit');
+  };
+  
+  // Leave the editor without saving
+  const cancelEdit = () => {
+    setRenamePreview(null);
+    if (activeNote) {
+      setViewMode('view');
+      setNoteTitle(activeNote.title);
+      setNoteContent(activeNote.content);
+      setNoteAliases((activeNote.aliases || []).join(', '));
+      setNoteProperties(propertiesToRows(activeNote.properties));
+    } else {
+      setViewMode('list');
+    }
+  };
+  
+  const runShortcut = (action) => {
+    switch (action) {
+      case 'palette':
+      case 'quickSwitcher':
+      case 'cheatsheet': {
+        const name = { palette: 'palette', quickSwitcher: 'switcher', cheatsheet: 'shortcuts' }[action];
+        setOverlay(overlay === name ? null : name);
+        break;
+      }
+      case 'save':
+        if (viewMode === 'edit') {
+          if (activeNote) updateNote();
+          else createNewNote();
+        }
+        break;
+      case 'cancel':
+        if (overlay) setOverlay(null);
+        else if (viewMode === 'edit') cancelEdit();
+        else if (!['list', 'view', 'import'].includes(viewMode)) setViewMode(activeNote ? 'view' : 'list');
+        break;
+      case 'toggleEdit':
+        if (viewMode === 'view' && activeNote && !activeNote.sealed) editNote();
+        else if (viewMode === 'edit' && activeNote) {
+          if (hasUnsavedEdits(activeNote)) updateNote();
+          else cancelEdit();
+        }
+        break;
+      case 'back':
+        navigate(-1);
+        break;
+      case 'forward':
+        navigate(1);
+        break;
+      case 'newNote':
+        startNewNote();
+        break;
+      default:
+        break;
+    }
+  };
+  
+  const rebindShortcut = async (action, keys) => {
+    const next = rebind(keymap, action, keys);
+    setKeymap(next);
+    await setSetting('keymap', next);
+  };
+  
+  const resetShortcuts = async () => {
+    setKeymap(DEFAULT_KEYMAP);
+    await setSetting('keymap', DEFAULT_KEYMAP);
+  };
 
-  const filteredNotes = notes.filter(note => {
-    const matchesSearch = 
-      note.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      note.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      note.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()));
-    return matchesSearch;
-  });
+  // Ranked results for the search box; every note, unranked, when the query is empty
+  const searchResults = useMemo(() => {
+    // Only notes whose object changed since the last search get re-indexed
+    searchIndex.current.sync(notes);
+    return searchIndex.current.search(searchTerm) || notes.map(note => ({ note, snippet: [] }));
+  }, [notes, searchTerm]);
 
-  const formatContent = (content) => {
-    // Format tags
-    let formattedContent = content.replace(/#(\w+)/g, '<span class="text-blue-500 font-medium">#$1</span>');
-    
-    // Format links
-    formattedContent = formattedContent.replace(/\[\[(.*?)\]\]/g, (match, linkText) => {
-      const linkedNote = notes.find(note => note.title === linkText);
-      return linkedNote 
-        ? `<span class="cursor-pointer text-green-600 underline" data-link="${linkText}">${linkText}</span>`
-        : `<span class="cursor-pointer text-red-500 underline" data-link="${linkText}">${linkText}</span>`;
+  const folders = collectFolders(notes, emptyFolders);
+
+  // Search results limited to the folder picked in the tree (and its subfolders)
+  const folderResults = selectedFolder === null
+    ? searchResults
+    : searchResults.filter(({ note }) => {
+      const folder = note.folder || '';
+      return selectedFolder === ''
+        ? folder === ''
+        : folder === selectedFolder || folder.startsWith(`${selectedFolder}/`);
     });
-    
-    return formattedContent;
+
+  // ...and to the tags selected in the tag pane
+  const taggedNotes = new Set(filterByTags(folderResults.map(({ note }) => note), selectedTags, tagMode));
+  const visibleResults = folderResults.filter(({ note }) => taggedNotes.has(note));
+
+  // Links resolve by title, or by Zettel ID for [[202610191230]]-style links
+  const resolveLink = useMemo(() => createLinkResolver(notes), [notes]);
+
+  const resolveAttachment = createAttachmentResolver(attachments);
+
+  // Render markdown to sanitized HTML; wiki-links, tags and attachments are handled by the parser
+  const formatContent = (content, noteId) => {
+    return renderMarkdown(content, { resolveLink, resolveAttachment, noteId });
   };
 
-  const handleLinkClick = (linkText) => {
-    const linkedNote = notes.find(note => note.title === linkText);
+  const handleLinkClick = (link) => {
+    const linkText = getLinkTarget(link);
+    const linkedNote = resolveLink(linkText);
     if (linkedNote) {
       viewNote(linkedNote);
     } else {
+      setActiveNote(null);
+      setNoteFolder(activeNote ? activeNote.folder || '' : selectedFolder || '');
       setNoteTitle(linkText);
       setNoteContent(`This is a new note about ${linkText}`);
+      setNoteAliases('');
+      setNoteProperties([]);
       setViewMode('edit');
     }
   };
 
+  // These scan every note, so they only run again when the notes or the note shown change,
+  // not on every keystroke in the editor
+  const backlinks = useMemo(() => activeNote ? findBacklinks(notes, activeNote) : [], [notes, activeNote]);
+  const parentNote = useMemo(() => (
+    activeNote ? findParentNote(activeNote, new Map(notes.map(note => [note.id, note]))) : null
+  ), [notes, activeNote]);
+  const unlinkedMentions = useMemo(() => (
+    activeNote ? findUnlinkedMentions(notes, activeNote) : []
+  ), [notes, activeNote]);
+
+  // Ctrl-click (Cmd-click on a Mac) opens a note in a new pane instead of the main one
+  const handleNoteClick = (note, e) => {
+    if (e.ctrlKey || e.metaKey) openPane('note', note);
+    else openInMain(note);
+  };
+  
+  // Links clicked in a side pane open there; links to missing notes start the note in the editor
+  const openLink = (link, e, pane = null) => {
+    const linkedNote = resolveLink(getLinkTarget(link));
+    if (!linkedNote) {
+      if (confirmLeaveEditor()) handleLinkClick(link);
+    } else if (pane && !(e.ctrlKey || e.metaKey)) {
+      showInPane(pane, linkedNote);
+    } else {
+      handleNoteClick(linkedNote, e);
+    }
+  };
+  
+  const handleContentClick = (e, pane = null) => {
+    const link = e.target.closest('[data-link]');
+    const tag = e.target.closest('[data-tag]');
+    if (link) {
+      openLink(link.dataset.link, e, pane);
+    } else if (tag) {
+      setSearchTerm(`tag:${tag.dataset.tag}`);
+    }
+  };
+
   const renderNoteContent = () => {
     return (
       <div 
         className="prose prose-sm max-w-none"
-        dangerouslySetInnerHTML={{ __html: formatContent(activeNote.content) }}
-        onClick={(e) => {
-          if (e.target.dataset.link) {
-            handleLinkClick(e.target.dataset.link);
-          }
-        }}
+        dangerouslySetInnerHTML={{ __html: formatContent(activeNote.content, activeNote.id) }}
+        onClick={(e) => handleContentClick(e)}
+      />
+    );
+  };
+
+  // A side pane: another note with its own history, or a live preview of the main pane's note
+  const renderPane = (pane) => {
+    const isFocused = focusedPane === pane.id;
+    if (pane.kind === 'preview') {
+      const source = viewMode === 'edit'
+        ? { id: activeNote ? activeNote.id : null, title: noteTitle, content: noteContent }
+        : viewMode === 'view' && activeNote && !activeNote.sealed ? activeNote : null;
+      return (
+        <NotePane
+          key={pane.id}
+          title={source ? `Preview: ${source.title || 'Untitled'}` : 'Preview'}
+          html={source ? formatContent(source.content, source.id) : null}
+          emptyText="Open or edit a note to see it rendered here."
+          isFocused={isFocused}
+          onFocus={() => setFocusedPane(pane.id)}
+          onClose={() => closeWorkspacePane(pane.id)}
+          onContentClick={(e) => handleContentClick(e)}
+        />
+      );
+    }
+    
+    const note = findNote(currentNoteId(pane.history));
+    return (
+      <NotePane
+        key={pane.id}
+        title={note ? note.title : 'Note not found'}
+        html={note && !note.sealed ? formatContent(note.content, note.id) : null}
+        emptyText={note ? 'This note is encrypted. Unlock the vault to read it.' : 'This note has been deleted.'}
+        isFocused={isFocused}
+        canGoBack={canStep(pane.history, -1, noteExists)}
+        canGoForward={canStep(pane.history, 1, noteExists)}
+        onBack={() => navigatePane(pane, -1)}
+        onForward={() => navigatePane(pane, 1)}
+        onOpenInMain={note ? () => openInMain(note) : null}
+        onFocus={() => setFocusedPane(pane.id)}
+        onClose={() => closeWorkspacePane(pane.id)}
+        onContentClick={(e) => handleContentClick(e, pane)}
       />
     );
   };
 
+  // Everything the command palette can do right now. Shortcut actions show their keys.
+  const isViewing = viewMode === 'view' && activeNote;
+  const commands = [
+    { id: 'newNote', label: 'New note', keys: keymap.newNote, run: startNewNote },
+    isViewing && !activeNote.sealed && { id: 'editNote', label: 'Edit note', keys: keymap.toggleEdit, run: editNote },
+    viewMode === 'edit' && {
+      id: 'saveNote',
+      label: 'Save note',
+      keys: keymap.save,
+      run: activeNote ? updateNote : createNewNote
+    },
+    viewMode === 'edit' && { id: 'cancelEdit', label: 'Cancel editing', keys: keymap.cancel, run: cancelEdit },
+    isViewing && { id: 'deleteNote', label: 'Delete note', run: () => deleteNote(activeNote.id) },
+    isViewing && { id: 'followUp', label: 'New follow-up note', run: () => createFollowUp(activeNote) },
+    isViewing && !activeNote.sealed && { id: 'history', label: 'Show or hide history', run: toggleHistory },
+    isViewing && !activeNote.sealed && !(encryption && encryption.vaultMode) && {
+      id: 'toggleEncryption',
+      label: activeNote.encrypted ? 'Decrypt note' : 'Encrypt note',
+      run: () => toggleNoteEncryption(activeNote)
+    },
+    { id: 'back', label: 'Go back', keys: keymap.back, run: () => navigate(-1) },
+    { id: 'forward', label: 'Go forward', keys: keymap.forward, run: () => navigate(1) },
+    { id: 'newTab', label: 'New tab', run: openNewTab },
+    { id: 'closeTab', label: 'Close tab', run: () => closeWorkspaceTab(workspace.activeTab) },
+    activeNote && { id: 'splitNote', label: 'Open note in a new pane', run: () => openPane('note', activeNote) },
+    { id: 'previewPane', label: 'Open preview pane', run: () => openPane('preview') },
+    focusedPane && { id: 'closePane', label: 'Close pane', run: () => closeWorkspacePane(focusedPane) },
+    { id: 'quickSwitcher', label: 'Open note…', keys: keymap.quickSwitcher, run: () => setOverlay('switcher') },
+    { id: 'today', label: "Open today's daily note", run: () => openDailyNote() },
+    { id: 'graph', label: 'Show graph', run: () => setViewMode('graph') },
+    { id: 'outline', label: 'Show outline', run: () => setViewMode('outline') },
+    { id: 'audit', label: 'Audit vault', run: () => setViewMode('audit') },
+    { id: 'review', label: 'Review flashcards', run: openReview },
+    { id: 'trash', label: 'Open trash', run: openTrash },
+    { id: 'calendar', label: 'Show or hide calendar', run: () => setShowCalendar(!showCalendar) },
+    { id: 'encryption', label: 'Encryption settings', run: () => setViewMode('encryption') },
+    { id: 'syncSettings', label: 'Sync settings', run: () => setViewMode('sync') },
+    syncConfig && { id: 'syncNow', label: 'Sync now', run: () => syncWithRemote() },
+    (encryption || notes.some(note => note.sealed)) && {
+      id: 'lock',
+      label: isLocked ? 'Unlock vault' : 'Lock vault',
+      run: isLocked ? () => setViewMode('encryption') : lockVault
+    },
+    {
+      id: 'selectDirectory',
+      label: directoryHandle ? 'Change directory' : 'Select directory',
+      run: selectDirectory
+    },
+    pendingVault && { id: 'reconnect', label: 'Reconnect vault', run: () => openVault(pendingVault, { requestAccess: true }) },
+    ...[BROWSER_VAULT, ...recentVaults.filter(vault => vault.id !== BROWSER_VAULT.id)]
+      .filter(vault => vault.id !== currentVaultId)
+      .map(vault => ({
+        id: `vault:${vault.id}`,
+        label: `Switch to vault: ${vault.name}`,
+        run: () => openVault(vault, { requestAccess: true })
+      })),
+    { id: 'importJSON', label: 'Import from JSON', run: importNotesFromJSON },
+    { id: 'importMarkdown', label: 'Import Markdown files', run: importNotesFromMarkdown },
+    { id: 'importObsidian', label: 'Import Obsidian vault', run: () => importFromApp('obsidian') },
+    { id: 'importRoam', label: 'Import Roam JSON', run: () => importFromApp('roam') },
+    { id: 'importLogseq', label: 'Import Logseq graph', run: () => importFromApp('logseq') },
+    { id: 'importNotion', label: 'Import Notion zip', run: () => importFromApp('notion') },
+    { id: 'exportJSON', label: 'Export as JSON', run: exportNotesAsJSON },
+    { id: 'exportMarkdown', label: 'Export as Markdown', run: exportNotesAsMarkdown },
+    { id: 'exportWebsite', label: 'Export as website', run: () => setViewMode('publish') },
+    directoryHandle && { id: 'saveAll', label: 'Save all to files', run: saveAllNotesToFiles },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', keys: keymap.cheatsheet, run: () => setOverlay('shortcuts') }
+  ].filter(Boolean);
+
   return (
     <div className="flex flex-col h-screen bg-gray-100">
+      {(overlay === 'palette' || overlay === 'switcher') && (
+        <CommandPalette
+          key={overlay}
+          commands={commands}
+          notes={notes}
+          notesOnly={overlay === 'switcher'}
+          onOpenNote={openInMain}
+          onClose={() => setOverlay(null)}
+        />
+      )}
+      
+      {overlay === 'shortcuts' && (
+        <ShortcutsOverlay
+          keymap={keymap}
+          onRebind={rebindShortcut}
+          onReset={resetShortcuts}
+          onClose={() => setOverlay(null)}
+        />
+      )}
+      
+      {conflicts.length > 0 && (
+        <ConflictResolver
+          key={conflicts[0].path}
+          conflict={conflicts[0]}
+          onKeepMine={resolveConflictKeepMine}
+          onTakeDisk={resolveConflictTakeDisk}
+          onSaveMerged={resolveConflictMerged}
+        />
+      )}
       <header className="bg-gray-800 text-white p-4">
         <div className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">Zettelkasten Notes</h1>
+          <h1 className="text-2xl font-bold">
+            Zettelkasten Notes
+            {pendingWriteCount > 0 && (
+              <span className="ml-3 text-sm font-normal text-gray-300">
+                Saving {pendingWriteCount} {pendingWriteCount === 1 ? 'file' : 'files'}…
+              </span>
+            )}
+          </h1>
           <div className="flex gap-2">
+            <button
+              className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded text-sm"
+              title="Command palette"
+              onClick={() => setOverlay('palette')}
+            >
+              Commands <span className="text-xs opacity-75">{formatKeys(keymap.palette)}</span>
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={() => setViewMode('graph')}
+            >
+              Graph
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={() => setViewMode('outline')}
+            >
+              Outline
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={() => setViewMode('audit')}
+            >
+              Audit
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={openReview}
+            >
+              Review
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={() => setViewMode('encryption')}
+            >
+              Encryption
+            </button>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-sm"
+              onClick={() => setViewMode('sync')}
+            >
+              {isRemoteSyncing ? 'Syncing…' : 'Sync'}
+            </button>
+            {(encryption || notes.some(note => note.sealed)) && (
+              <button
+                className="bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded text-sm"
+                onClick={isLocked ? () => setViewMode('encryption') : lockVault}
+              >
+                {isLocked ? 'Unlock' : 'Lock'}
+              </button>
+            )}
             <button
               className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm"
               onClick={selectDirectory}
             >
               {directoryHandle ? 'Change Directory' : 'Select Directory'}
             </button>
+            <div className="relative group">
+              <button
+                className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded text-sm"
+              >
+                Vaults
+              </button>
+              <div className="absolute right-0 hidden group-hover:block group-focus-within:block bg-white text-gray-800 shadow-lg rounded p-2 w-64 z-10">
+                {[BROWSER_VAULT, ...recentVaults.filter(vault => vault.id !== BROWSER_VAULT.id)].map(vault => (
+                  <div key={vault.id} className="flex items-center hover:bg-gray-100">
+                    <button
+                      className={`flex-1 text-left px-2 py-1 text-sm ${
+                        vault.id === currentVaultId ? 'font-bold' : ''
+                      }`}
+                      onClick={() => openVault(vault, { requestAccess: true })}
+                    >
+                      {vault.name}
+                    </button>
+                    {vault.id !== BROWSER_VAULT.id && (
+                      <button
+                        className="px-2 text-gray-400 hover:text-red-500 text-sm"
+                        title="Remove from recent vaults"
+                        onClick={() => forgetVault(vault)}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
             <div className="relative group">
               <button
                 className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm"
               >
                 Import/Export
               </button>
-              <div className="absolute right-0 hidden group-hover:block bg-white shadow-lg rounded p-2 w-48 z-10">
+              <div className="absolute right-0 hidden group-hover:block group-focus-within:block bg-white shadow-lg rounded p-2 w-48 z-10">
                 <button
                   className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
                   onClick={importNotesFromJSON}
@@ -457,6 +3022,30 @@ export default function ZettelkastenApp() {
                 >
                   Import Markdown Files
                 </button>
+                <button
+                  className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
+                  onClick={() => importFromApp('obsidian')}
+                >
+                  Import Obsidian Vault
+                </button>
+                <button
+                  className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
+                  onClick={() => importFromApp('roam')}
+                >
+                  Import Roam JSON
+                </button>
+                <button
+                  className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
+                  onClick={() => importFromApp('logseq')}
+                >
+                  Import Logseq Graph
+                </button>
+                <button
+                  className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
+                  onClick={() => importFromApp('notion')}
+                >
+                  Import Notion Zip
+                </button>
                 <button
                   className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
                   onClick={exportNotesAsJSON}
@@ -469,6 +3058,12 @@ export default function ZettelkastenApp() {
                 >
                   Export as Markdown
                 </button>
+                <button
+                  className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
+                  onClick={() => setViewMode('publish')}
+                >
+                  Export as Website
+                </button>
                 {directoryHandle && (
                   <button
                     className="block w-full text-left px-2 py-1 hover:bg-gray-100 text-sm"
@@ -481,9 +3076,17 @@ export default function ZettelkastenApp() {
             </div>
           </div>
         </div>
-        {statusMessage && (
-          <div className="mt-2 text-sm bg-gray-700 p-2 rounded">
-            {statusMessage}
+        {(statusMessage || pendingVault) && (
+          <div className="mt-2 text-sm bg-gray-700 p-2 rounded flex items-center justify-between">
+            <span>{statusMessage}</span>
+            {pendingVault && (
+              <button
+                className="bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded text-sm"
+                onClick={() => openVault(pendingVault, { requestAccess: true })}
+              >
+                Reconnect
+              </button>
+            )}
           </div>
         )}
       </header>
@@ -495,6 +3098,7 @@ export default function ZettelkastenApp() {
             <input
               type="text"
               placeholder="Search notes..."
+              title='Supports "quoted phrases", tag:, title:, links-to:, -exclusion, OR and created:>2026-01-01 / updated:<2026-06'
               className="w-full p-2 border rounded"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
@@ -503,37 +3107,116 @@ export default function ZettelkastenApp() {
           
           <button
             className="bg-green-500 text-white p-2 rounded mb-4 hover:bg-green-600"
-            onClick={() => {
-              setActiveNote(null);
-              setNoteTitle('');
-              setNoteContent('');
-              setViewMode('edit');
-            }}
+            onClick={startNewNote}
           >
             + New Note
           </button>
           
+          <div className="flex gap-2 mb-4">
+            <button
+              className="bg-blue-500 text-white px-2 py-1 rounded hover:bg-blue-600 text-sm"
+              onClick={() => openDailyNote()}
+            >
+              Today
+            </button>
+            <select
+              className="flex-1 p-1 border rounded text-sm"
+              value=""
+              onChange={(e) => {
+                const template = notes.find(note => note.id === e.target.value);
+                if (template) startNoteFromTemplate(template);
+              }}
+            >
+              <option value="">New from template…</option>
+              {getTemplates(notes, templateFolder).map(template => (
+                <option key={template.id} value={template.id}>{template.title}</option>
+              ))}
+            </select>
+          </div>
+          
+          <button
+            className="text-sm text-gray-700 text-left mb-1 hover:underline"
+            onClick={() => setShowCalendar(!showCalendar)}
+          >
+            {showCalendar ? '▾' : '▸'} Calendar
+          </button>
+          {showCalendar && (
+            <CalendarWidget
+              notes={notes}
+              settings={dailySettings}
+              templates={getTemplates(notes, templateFolder)}
+              templateFolder={templateFolder}
+              onOpenDay={openDailyNote}
+              onChangeSettings={changeDailySettings}
+              onChangeTemplateFolder={changeTemplateFolder}
+            />
+          )}
+          
+          <FolderTree
+            folders={folders}
+            notes={notes}
+            selectedFolder={selectedFolder}
+            collapsedFolders={collapsedFolders}
+            onSelectFolder={setSelectedFolder}
+            onToggleFolder={toggleFolder}
+            onMoveNote={moveNoteToFolder}
+            onCreateFolder={createFolder}
+          />
+          
+          <TagPane
+            notes={notes}
+            selectedTags={selectedTags}
+            tagMode={tagMode}
+            onToggleTag={toggleTagFilter}
+            onChangeMode={setTagMode}
+            onClearTags={() => setSelectedTags([])}
+            onRenameTag={renameTagEverywhere}
+            onDeleteTag={deleteTagEverywhere}
+          />
+          
           <div className="flex-1 overflow-y-auto">
             {isLoading ? (
               <div className="text-center py-4">
                 <p>Loading notes...</p>
               </div>
-            ) : filteredNotes.length === 0 ? (
+            ) : visibleResults.length === 0 ? (
               <p className="text-gray-500 italic">No notes found</p>
             ) : (
               <ul>
-                {filteredNotes.map(note => (
+                {visibleResults.map(({ note, snippet }) => (
                   <li 
                     key={note.id} 
                     className={`p-2 mb-2 rounded cursor-pointer hover:bg-gray-300 ${
                       activeNote && activeNote.id === note.id ? 'bg-gray-300' : 'bg-gray-100'
                     }`}
-                    onClick={() => viewNote(note)}
+                    draggable
+                    onDragStart={(e) => startNoteDrag(e, note)}
+                    onClick={(e) => handleNoteClick(note, e)}
                   >
-                    <div className="font-medium">{note.title}</div>
+                    <div className="font-medium">
+                      {note.title}
+                      {(note.encrypted || note.sealed) && (
+                        <span className="text-xs text-gray-500 ml-1" title={note.sealed ? 'Encrypted, locked' : 'Encrypted'}>
+                          {note.sealed ? '(locked)' : '(encrypted)'}
+                        </span>
+                      )}
+                      {syncConfig && <SyncBadge status={noteSyncStatus(note)} />}
+                    </div>
+                    {note.folder && (
+                      <div className="text-xs text-gray-500 truncate">{note.folder}/</div>
+                    )}
                     <div className="text-xs text-gray-500">
                       {new Date(note.updatedAt).toLocaleDateString()}
                     </div>
+                    {snippet.length > 0 && (
+                      <div className="text-xs text-gray-600 mt-1">
+                        {snippet.map((segment, i) => segment.highlight ? (
+                          <mark key={i} className="bg-yellow-200">{segment.text}</mark>
+                        ) : (
+                          <span key={i}>{segment.text}</span>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex flex-wrap gap-1 mt-1">
                       {note.tags.map(tag => (
                         <span key={tag} className="bg-blue-100 text-blue-800 text-xs px-1 rounded">
@@ -546,134 +3229,574 @@ export default function ZettelkastenApp() {
               </ul>
             )}
           </div>
+          
+          <button
+            className="mt-2 text-sm text-gray-600 hover:text-gray-800 text-left"
+            onClick={openTrash}
+          >
+            Trash
+          </button>
         </div>
         
         {/* Main Content */}
-        <div className="flex-1 overflow-y-auto p-6 bg-white">
-          {viewMode === 'list' && (
-            <div className="text-center text-gray-500 mt-20">
-              <p className="text-2xl mb-2">Select a note or create a new one</p>
-              <p>Use #tags to categorize and [[links]] to connect notes</p>
-              {!directoryHandle && (
-                <div className="mt-8 p-4 bg-yellow-50 border border-yellow-200 rounded max-w-md mx-auto">
-                  <p className="font-medium text-yellow-800">Using Browser Storage</p>
-                  <p className="text-sm mt-2 text-yellow-700">
-                    Select a directory to save notes as Markdown files on your computer instead of in browser storage.
-                  </p>
-                  <button
-                    className="mt-4 bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700"
-                    onClick={selectDirectory}
+        <SplitPanes sizes={workspace.sizes} onResize={(sizes) => setWorkspace({ ...workspace, sizes })}>
+          <div
+            key="main"
+            className="flex flex-col flex-1 min-h-0"
+            onPointerDown={() => setFocusedPane(null)}
+            onFocus={() => setFocusedPane(null)}
+          >
+            <div className="flex items-center gap-1 border-b bg-gray-100 px-2 pt-1 text-sm">
+              {workspace.tabs.map(tab => {
+                const note = findNote(currentNoteId(tab.history));
+                return (
+                  <div
+                    key={tab.id}
+                    className={`flex items-center max-w-xs px-2 py-1 rounded-t cursor-pointer ${
+                      tab.id === workspace.activeTab ? 'bg-white' : 'hover:bg-gray-200'
+                    }`}
+                    onClick={() => switchTab(tab.id)}
                   >
-                    Select Directory
-                  </button>
-                </div>
-              )}
-            </div>
-          )}
-          
-          {viewMode === 'edit' && (
-            <div>
-              <input
-                type="text"
-                placeholder="Note Title"
-                className="w-full p-2 text-2xl font-bold border-b mb-4"
-                value={noteTitle}
-                onChange={(e) => setNoteTitle(e.target.value)}
-              />
-              
-              <textarea
-                placeholder="Note content. Use #tags for categorization and [[Note Title]] to link to other notes."
-                className="w-full p-2 border rounded h-96"
-                value={noteContent}
-                onChange={(e) => setNoteContent(e.target.value)}
-              />
-              
-              <div className="mt-4 flex justify-end gap-2">
-                <button
-                  className="bg-gray-300 px-4 py-2 rounded"
-                  onClick={() => {
-                    if (activeNote) {
-                      setViewMode('view');
-                      setNoteTitle(activeNote.title);
-                      setNoteContent(activeNote.content);
-                    } else {
-                      setViewMode('list');
-                    }
-                  }}
-                >
-                  Cancel
-                </button>
+                    <span className="truncate">{note ? note.title : 'New tab'}</span>
+                    <button
+                      className="ml-2 text-gray-500 hover:text-gray-800"
+                      title="Close tab"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        closeWorkspaceTab(tab.id);
+                      }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+              <button className="px-2 rounded text-gray-600 hover:bg-gray-200" title="New tab" onClick={openNewTab}>
+                +
+              </button>
+              <div className="flex-1" />
+              {activeNote && (
                 <button
-                  className="bg-green-500 text-white px-4 py-2 rounded"
-                  onClick={activeNote ? updateNote : createNewNote}
+                  className="px-2 rounded text-gray-600 hover:bg-gray-200"
+                  title="Show this note in a new pane (or Ctrl-click a link)"
+                  onClick={() => openPane('note', activeNote)}
                 >
-                  Save
+                  Split
                 </button>
-              </div>
+              )}
+              <button
+                className="px-2 rounded text-gray-600 hover:bg-gray-200"
+                title="Show the rendered note next to the editor"
+                onClick={() => openPane('preview')}
+              >
+                Preview
+              </button>
             </div>
-          )}
-          
-          {viewMode === 'view' && activeNote && (
-            <div>
-              <div className="flex justify-between items-center mb-4">
-                <h2 className="text-2xl font-bold">{activeNote.title}</h2>
-                <div className="flex gap-2">
-                  <button
-                    className="bg-blue-500 text-white px-3 py-1 rounded"
-                    onClick={editNote}
-                  >
-                    Edit
-                  </button>
-                  <button
-                    className="bg-red-500 text-white px-3 py-1 rounded"
-                    onClick={() => deleteNote(activeNote.id)}
-                  >
-                    Delete
-                  </button>
+            
+            <div className="flex-1 overflow-y-auto p-6 bg-white">
+              {recoverableDrafts.length > 0 && (
+                <DraftRecovery
+                  drafts={recoverableDrafts}
+                  notes={notes}
+                  isLocked={isLocked}
+                  onRecover={recoverDraft}
+                  onDiscard={discardDraft}
+                />
+              )}
+              
+              {viewMode === 'list' && (
+                <div className="text-center text-gray-500 mt-20">
+                  <p className="text-2xl mb-2">Select a note or create a new one</p>
+                  <p>Use #tags to categorize and [[links]] to connect notes</p>
+                  {!directoryHandle && (
+                    <div className="mt-8 p-4 bg-yellow-50 border border-yellow-200 rounded max-w-md mx-auto">
+                      <p className="font-medium text-yellow-800">Using Browser Storage</p>
+                      <p className="text-sm mt-2 text-yellow-700">
+                        Select a directory to save notes as Markdown files on your computer instead of in browser storage.
+                      </p>
+                      <button
+                        className="mt-4 bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700"
+                        onClick={selectDirectory}
+                      >
+                        Select Directory
+                      </button>
+                    </div>
+                  )}
                 </div>
-              </div>
+              )}
               
-              <div className="text-gray-500 text-sm mb-4">
-                Created: {new Date(activeNote.createdAt).toLocaleString()}<br />
-                Updated: {new Date(activeNote.updatedAt).toLocaleString()}
-              </div>
+              {viewMode === 'trash' && (
+                <div>
+                  <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold">Trash</h2>
+                    {trashItems.length > 0 && (
+                      <button
+                        className="bg-red-500 text-white px-3 py-1 rounded"
+                        onClick={emptyTrash}
+                      >
+                        Empty Trash
+                      </button>
+                    )}
+                  </div>
+                  {trashItems.length === 0 ? (
+                    <p className="text-gray-500 italic">The trash is empty</p>
+                  ) : (
+                    <ul>
+                      {trashItems.map(item => (
+                        <li key={item.id} className="flex items-center justify-between border-b py-2">
+                          <div>
+                            <div className="font-medium">{item.note.title}</div>
+                            <div className="text-xs text-gray-500">
+                              Deleted {new Date(item.deletedAt).toLocaleString()}
+                            </div>
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              className="bg-green-500 text-white px-3 py-1 rounded text-sm"
+                              onClick={() => restoreFromTrash(item)}
+                            >
+                              Restore
+                            </button>
+                            <button
+                              className="bg-gray-300 px-3 py-1 rounded text-sm"
+                              onClick={() => deleteForever(item)}
+                            >
+                              Delete Forever
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
               
-              <div className="mb-4 flex flex-wrap gap-1">
-                {activeNote.tags.map(tag => (
-                  <span key={tag} className="bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                    #{tag}
-                  </span>
-                ))}
-              </div>
+              {viewMode === 'graph' && (
+                <GraphView
+                  notes={notes}
+                  activeNote={activeNote}
+                  onOpenNote={openInMain}
+                  onOpenLink={handleLinkClick}
+                  onSelectTag={(tag) => setSearchTerm(`tag:${tag}`)}
+                />
+              )}
               
-              <div className="prose border-t pt-4">
-                {renderNoteContent()}
-              </div>
+              {viewMode === 'import' && importPreview && (
+                <ImportPreview
+                  key={importPreview.name + importPreview.source}
+                  preview={importPreview}
+                  existingNotes={notes}
+                  canAddAttachments={Boolean(directoryHandle) || currentVaultId === BROWSER_VAULT.id}
+                  onImport={commitImport}
+                  onCancel={() => {
+                    setImportPreview(null);
+                    setViewMode('list');
+                  }}
+                />
+              )}
+              
+              {viewMode === 'encryption' && (
+                <EncryptionView
+                  encryption={encryption}
+                  isLocked={isLocked}
+                  hasLockedNotes={notes.some(note => note.sealed)}
+                  onSetUp={setUpVaultEncryption}
+                  onUnlock={unlockVault}
+                  onLock={lockVault}
+                  onChangeSettings={changeEncryptionSettings}
+                />
+              )}
+              
+              {viewMode === 'sync' && (
+                <SyncView
+                  key={currentVaultId}
+                  config={syncConfig}
+                  deviceId={deviceId.current}
+                  syncedAt={syncedAt}
+                  isSyncing={isRemoteSyncing}
+                  counts={countSyncStatuses()}
+                  onSave={changeSyncConfig}
+                  onSyncNow={() => syncWithRemote()}
+                />
+              )}
+              
+              {viewMode === 'review' && cardStates && (
+                <ReviewView
+                  notes={notes}
+                  cardStates={cardStates}
+                  today={formatDate(new Date(), 'YYYY-MM-DD')}
+                  renderContent={formatContent}
+                  onGrade={gradeReviewCard}
+                  onOpenNote={openInMain}
+                />
+              )}
+              
+              {viewMode === 'publish' && (
+                <PublishView
+                  notes={notes.filter(note => !needsEncryption(note))}
+                  onExport={exportWebsite}
+                  onCancel={() => setViewMode('list')}
+                />
+              )}
+              
+              {viewMode === 'audit' && (
+                <AuditView
+                  notes={notes}
+                  onOpenNote={openInMain}
+                  onFixLinks={fixBrokenLinks}
+                  onLinkFromIndex={linkFromIndexNote}
+                  onRenameCollisions={(ids) => applyNotePatches(renameCollisions(notes, ids))}
+                  onRenameFiles={renameFilesToTitles}
+                  onTrashNotes={trashNotes}
+                  onReplaceTags={(fixes) => applyNotePatches(replaceTags(notes, fixes))}
+                  attachments={attachments}
+                  onDeleteAttachments={deleteAttachments}
+                />
+              )}
+              
+              {viewMode === 'outline' && (
+                <FolgezettelOutline
+                  notes={notes}
+                  activeNote={activeNote}
+                  idScheme={idScheme}
+                  onChangeIdScheme={changeIdScheme}
+                  onOpenNote={openInMain}
+                  onCreateFollowUp={createFollowUp}
+                />
+              )}
               
-              {activeNote.links.length > 0 && (
-                <div className="mt-6">
-                  <h3 className="text-lg font-medium mb-2">Links</h3>
-                  <ul className="flex flex-wrap gap-2">
-                    {activeNote.links.map(link => {
-                      const linkedNote = notes.find(note => note.title === link);
-                      return (
-                        <li 
-                          key={link}
-                          className={`cursor-pointer px-2 py-1 rounded ${
-                            linkedNote ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                          }`}
-                          onClick={() => handleLinkClick(link)}
+              {viewMode === 'edit' && (
+                <div>
+                  <input
+                    type="text"
+                    placeholder="Note Title"
+                    className="w-full p-2 text-2xl font-bold border-b mb-4"
+                    value={noteTitle}
+                    onChange={(e) => setNoteTitle(e.target.value)}
+                  />
+                  
+                  {!activeNote && (
+                    <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+                      Folder
+                      <select
+                        className="p-1 border rounded"
+                        value={noteFolder}
+                        onChange={(e) => setNoteFolder(e.target.value)}
+                      >
+                        <option value="">/ (root)</option>
+                        {folders.map(folder => (
+                          <option key={folder} value={folder}>{folder}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  
+                  <input
+                    type="text"
+                    placeholder="Aliases (comma separated)"
+                    className="w-full p-2 border rounded mb-4 text-sm"
+                    value={noteAliases}
+                    onChange={(e) => setNoteAliases(e.target.value)}
+                  />
+                  
+                  <div className="mb-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="text-sm font-medium text-gray-700">Properties</h3>
+                      <button
+                        className="text-sm text-blue-600 hover:underline"
+                        onClick={() => setNoteProperties([...noteProperties, { key: '', value: '' }])}
+                      >
+                        + Add property
+                      </button>
+                    </div>
+                    {noteProperties.map((row, index) => (
+                      <div key={index} className="flex gap-2 mb-2">
+                        <input
+                          type="text"
+                          placeholder="key"
+                          className="w-1/3 p-1 border rounded text-sm"
+                          value={row.key}
+                          onChange={(e) => updatePropertyRow(index, 'key', e.target.value)}
+                        />
+                        <input
+                          type="text"
+                          placeholder="value"
+                          className="flex-1 p-1 border rounded text-sm"
+                          value={row.value}
+                          onChange={(e) => updatePropertyRow(index, 'value', e.target.value)}
+                        />
+                        <button
+                          className="text-red-500 px-2 text-sm"
+                          onClick={() => setNoteProperties(noteProperties.filter((_, i) => i !== index))}
                         >
-                          {link}
-                        </li>
-                      );
-                    })}
-                  </ul>
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  
+                  <MarkdownEditor
+                    ref={editorRef}
+                    placeholder="Note content. Use #tags for categorization and [[Note Title]] to link to other notes."
+                    className="w-full p-2 border rounded h-96"
+                    value={noteContent}
+                    onChange={setNoteContent}
+                    notes={notes}
+                    onCreateNote={createLinkedNote}
+                    onAttachFiles={attachFiles}
+                  />
+                  
+                  <div className="mt-4 flex justify-end gap-2">
+                    <button
+                      className="bg-gray-300 px-4 py-2 rounded"
+                      onClick={cancelEdit}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      className="bg-green-500 text-white px-4 py-2 rounded"
+                      onClick={activeNote ? updateNote : createNewNote}
+                    >
+                      Save
+                    </button>
+                  </div>
+                  
+                  {renamePreview && (
+                    <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded">
+                      <p className="font-medium text-yellow-800">
+                        Rename "{renamePreview.oldTitle}" to "{renamePreview.newTitle}"
+                      </p>
+                      {renamePreview.collision ? (
+                        <p className="text-sm mt-2 text-red-600">
+                          "{renamePreview.newTitle}" would be saved to {safeFilename(renamePreview.newTitle)}, 
+                          which already belongs to "{renamePreview.collision.title}". Choose a different title.
+                        </p>
+                      ) : renamePreview.references.length === 0 ? (
+                        <p className="text-sm mt-2 text-yellow-700">No other notes link to this note.</p>
+                      ) : (
+                        <>
+                          <p className="text-sm mt-2 text-yellow-700">
+                            Links will be updated in {renamePreview.references.length} notes:
+                          </p>
+                          <ul className="mt-2 text-sm">
+                            {renamePreview.references.map(({ note, count, snippets }) => (
+                              <li key={note.id} className="mb-2">
+                                <span className="font-medium">{note.title}</span>
+                                <span className="text-gray-500"> ({count} {count === 1 ? 'link' : 'links'})</span>
+                                <p className="text-gray-600">{snippets[0]}</p>
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                      <div className="mt-4 flex justify-end gap-2">
+                        <button
+                          className="bg-gray-300 px-4 py-2 rounded"
+                          onClick={() => setRenamePreview(null)}
+                        >
+                          Back
+                        </button>
+                        <button
+                          className="bg-yellow-600 text-white px-4 py-2 rounded disabled:opacity-50"
+                          disabled={!!renamePreview.collision}
+                          onClick={renameNote}
+                        >
+                          Rename
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+              
+              {viewMode === 'view' && activeNote && (
+                <div>
+                  <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold">{activeNote.title}</h2>
+                    <div className="flex gap-2">
+                      {!(encryption && encryption.vaultMode) && !activeNote.sealed && (
+                        <button
+                          className="bg-gray-300 px-3 py-1 rounded"
+                          title={activeNote.encrypted ? 'Store this note as plain text again' : 'Store this note encrypted'}
+                          onClick={() => toggleNoteEncryption(activeNote)}
+                        >
+                          {activeNote.encrypted ? 'Decrypt' : 'Encrypt'}
+                        </button>
+                      )}
+                      {!activeNote.sealed && (
+                        <button
+                          className="bg-gray-300 px-3 py-1 rounded"
+                          onClick={toggleHistory}
+                        >
+                          {showHistory ? 'Hide History' : 'History'}
+                        </button>
+                      )}
+                      <button
+                        className="bg-gray-300 px-3 py-1 rounded"
+                        onClick={() => createFollowUp(activeNote)}
+                      >
+                        Follow-up
+                      </button>
+                      {!activeNote.sealed && (
+                        <button
+                          className="bg-blue-500 text-white px-3 py-1 rounded"
+                          onClick={editNote}
+                        >
+                          Edit
+                        </button>
+                      )}
+                      <button
+                        className="bg-red-500 text-white px-3 py-1 rounded"
+                        onClick={() => deleteNote(activeNote.id)}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  
+                  <div className="text-gray-500 text-sm mb-4">
+                    ID: <span className="font-mono">{activeNote.id}</span><br />
+                    Created: {new Date(activeNote.createdAt).toLocaleString()}<br />
+                    Updated: {new Date(activeNote.updatedAt).toLocaleString()}
+                    {activeNote.aliases && activeNote.aliases.length > 0 && (
+                      <><br />Aliases: {activeNote.aliases.join(', ')}</>
+                    )}
+                    {parentNote && (
+                      <><br />Follows: <span
+                        className="cursor-pointer text-blue-600 hover:underline"
+                        onClick={(e) => handleNoteClick(parentNote, e)}
+                      >{parentNote.title}</span></>
+                    )}
+                  </div>
+                  
+                  {activeNote.properties && Object.keys(activeNote.properties).length > 0 && (
+                    <table className="mb-4 text-sm">
+                      <tbody>
+                        {Object.entries(activeNote.properties).map(([key, value]) => (
+                          <tr key={key}>
+                            <td className="pr-4 py-1 font-medium text-gray-700 align-top">{key}</td>
+                            <td className="py-1 text-gray-600">{formatPropertyValue(value)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  
+                  <div className="mb-4 flex flex-wrap gap-1">
+                    {activeNote.tags.map(tag => (
+                      <span key={tag} className="bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                        #{tag}
+                      </span>
+                    ))}
+                  </div>
+                  
+                  {activeNote.sealed ? (
+                    <div className="border-t pt-4 text-gray-600">
+                      This note is encrypted.{' '}
+                      <span className="cursor-pointer text-blue-600 hover:underline" onClick={() => setViewMode('encryption')}>
+                        Unlock the vault
+                      </span>{' '}
+                      to read and edit it.
+                    </div>
+                  ) : (
+                    <div className="prose border-t pt-4">
+                      {renderNoteContent()}
+                    </div>
+                  )}
+                  
+                  {showHistory && (
+                    <HistoryPanel
+                      key={noteVersions.length > 0 ? noteVersions[0].versionId : 'empty'}
+                      versions={noteVersions}
+                      onRestore={restoreVersion}
+                      keepInVault={historyInVault}
+                      canKeepInVault={!!directoryHandle}
+                      onToggleKeepInVault={toggleHistoryInVault}
+                    />
+                  )}
+                  
+                  {activeNote.links.length > 0 && (
+                    <div className="mt-6">
+                      <h3 className="text-lg font-medium mb-2">Links</h3>
+                      <ul className="flex flex-wrap gap-2">
+                        {activeNote.links.map(link => {
+                          const linkedNote = resolveLink(getLinkTarget(link));
+                          return (
+                            <li 
+                              key={link}
+                              className={`cursor-pointer px-2 py-1 rounded ${
+                                linkedNote ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                              }`}
+                              onClick={(e) => openLink(link, e)}
+                            >
+                              {link}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+                  )}
+                  
+                  <div className="mt-6">
+                    <h3 className="text-lg font-medium mb-2">Backlinks</h3>
+                    {backlinks.length === 0 ? (
+                      <p className="text-gray-500 italic text-sm">No notes link here yet</p>
+                    ) : (
+                      <ul>
+                        {backlinks.map(({ note, snippets }) => (
+                          <li key={note.id} className="mb-3">
+                            <span
+                              className="cursor-pointer text-green-600 underline font-medium"
+                              onClick={(e) => handleNoteClick(note, e)}
+                            >
+                              {note.title}
+                            </span>
+                            {snippets.map((snippet, i) => (
+                              <p key={i} className="text-sm text-gray-600 bg-gray-50 rounded px-2 py-1 mt-1">
+                                {snippet}
+                              </p>
+                            ))}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  
+                  {unlinkedMentions.length > 0 && (
+                    <div className="mt-6">
+                      <h3 className="text-lg font-medium mb-2">Unlinked Mentions</h3>
+                      <ul>
+                        {unlinkedMentions.map(mention => (
+                          <li
+                            key={`${mention.note.id}-${mention.index}`}
+                            className="mb-3 flex items-start justify-between gap-2"
+                          >
+                            <div>
+                              <span
+                                className="cursor-pointer font-medium underline"
+                                onClick={(e) => handleNoteClick(mention.note, e)}
+                              >
+                                {mention.note.title}
+                              </span>
+                              <p className="text-sm text-gray-600">{mention.snippet}</p>
+                            </div>
+                            <button
+                              className="bg-blue-500 text-white px-2 py-1 rounded text-sm shrink-0"
+                              onClick={() => linkUnlinkedMention(mention)}
+                            >
+                              Link
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
-          )}
-        </div>
+          </div>
+          {workspace.panes.map(renderPane)}
+        </SplitPanes>
       </div>
     </div>
   );
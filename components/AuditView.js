@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { auditVault } from '../lib/audit';
+
+// One group of findings with checkboxes and the bulk fix for the checked ones
+function AuditSection({ title, description, items, excluded, onToggle, actions, renderItem }) {
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-medium">
+        {title} <span className="text-sm text-gray-500">({items.length})</span>
+      </h3>
+      <p className="text-sm text-gray-500 mb-2">{description}</p>
+      {items.length === 0 ? (
+        <p className="text-sm text-green-700">Nothing to fix.</p>
+      ) : (
+        <>
+          <ul className="text-sm mb-2 max-h-64 overflow-y-auto border rounded">
+            {items.map(item => (
+              <li key={item.key} className="flex items-center gap-2 px-2 py-1 border-b last:border-b-0">
+                <input
+                  type="checkbox"
+                  checked={!excluded.has(item.key)}
+                  onChange={() => onToggle(item.key)}
+                />
+                {renderItem(item)}
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">{actions}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Vault maintenance report with bulk fixes for each kind of problem
+export default function AuditView({
+  notes,
+  onOpenNote,
+  onFixLinks,
+  onLinkFromIndex,
+  onRenameCollisions,
+  onRenameFiles,
+  onTrashNotes,
+  onReplaceTags,
+  attachments,
+  onDeleteAttachments
+}) {
+  const [excluded, setExcluded] = useState(new Set());
+  // Chosen replacement per broken link / one-off tag; '' means "create note" / "remove tag"
+  const [choices, setChoices] = useState({});
+
+  const report = auditVault(notes, attachments);
+
+  const toggle = (key) => {
+    const next = new Set(excluded);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setExcluded(next);
+  };
+
+  const choiceFor = (item) => (choices[item.key] !== undefined ? choices[item.key] : item.suggestions[0] || '');
+  const setChoice = (key, value) => setChoices({ ...choices, [key]: value });
+  const checked = (items) => items.filter(item => !excluded.has(item.key));
+
+  const noteLink = (note) => (
+    <span className="cursor-pointer text-blue-600 hover:underline" onClick={() => onOpenNote(note)}>
+      {note.title}
+    </span>
+  );
+
+  const button = (label, onClick, color = 'bg-blue-500 hover:bg-blue-600') => (
+    <button className={`${color} text-white px-3 py-1 rounded text-sm`} onClick={onClick}>
+      {label}
+    </button>
+  );
+
+  const brokenLinks = report.brokenLinks;
+  const orphans = report.orphans.map(note => ({ key: note.id, note }));
+  // Every note in a collision group but the first gets a new title
+  const collisions = report.collisions.flatMap(({ path, notes: group }) =>
+    group.slice(1).map(note => ({ key: note.id, note, path, keeps: group[0] }))
+  );
+  const mismatches = report.filenameMismatches.map(item => ({ ...item, key: item.note.id }));
+  const emptyNotes = report.emptyNotes.map(note => ({ key: note.id, note }));
+  const singleUseTags = report.singleUseTags;
+  const unusedAttachments = report.unusedAttachments.map(attachment => ({ key: attachment.path, attachment }));
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-1">Vault Audit</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Checked {notes.length} notes and {attachments.length} attachments. Uncheck anything you don't want a fix applied to.
+      </p>
+
+      <AuditSection
+        title="Broken links"
+        description="Links to notes that don't exist. Point them at a suggested note, or create the missing note."
+        items={brokenLinks}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => (
+          <>
+            <span className="flex-1">
+              {noteLink(item.note)} → <span className="text-red-500">[[{item.target}]]</span>
+            </span>
+            <select
+              className="p-1 border rounded"
+              value={choiceFor(item)}
+              onChange={(e) => setChoice(item.key, e.target.value)}
+            >
+              {item.suggestions.map(title => (
+                <option key={title} value={title}>Link to "{title}"</option>
+              ))}
+              <option value="">Create "{item.target}"</option>
+            </select>
+          </>
+        )}
+        actions={button('Fix checked links', () => {
+          const items = checked(brokenLinks);
+          const fixes = items
+            .filter(item => choiceFor(item))
+            .map(item => ({ noteId: item.note.id, target: item.target, replacement: choiceFor(item) }));
+          const missing = items.filter(item => !choiceFor(item)).map(item => item.target);
+          onFixLinks(fixes, [...new Set(missing)]);
+        })}
+      />
+
+      <AuditSection
+        title="Orphan notes"
+        description={report.isLocked
+          ? 'Unlock the vault to check: encrypted notes might link to any note.'
+          : 'Notes with no links to or from other notes.'}
+        items={orphans}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => <span className="flex-1">{noteLink(item.note)}</span>}
+        actions={button('Link checked notes from a new index note', () => {
+          onLinkFromIndex(checked(orphans).map(item => item.note.id));
+        })}
+      />
+
+      <AuditSection
+        title="Filename collisions"
+        description="Notes whose titles map to the same file name in the same folder."
+        items={collisions}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => (
+          <span className="flex-1">
+            {noteLink(item.note)} and {noteLink(item.keeps)} → <span className="font-mono">{item.path}</span>
+          </span>
+        )}
+        actions={button('Rename checked notes', () => {
+          onRenameCollisions(checked(collisions).map(item => item.note.id));
+        })}
+      />
+
+      <AuditSection
+        title="Filenames that don't match the title"
+        description="Notes whose file on disk is named differently from what their title gives."
+        items={mismatches}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => (
+          <span className="flex-1">
+            {noteLink(item.note)}: <span className="font-mono">{item.note.filename}</span> →{' '}
+            <span className="font-mono">{item.expected}</span>
+          </span>
+        )}
+        actions={button('Rename checked files', () => {
+          onRenameFiles(checked(mismatches).map(item => item.note.id));
+        })}
+      />
+
+      <AuditSection
+        title="Empty notes"
+        description="Notes with no content and no properties."
+        items={emptyNotes}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => <span className="flex-1">{noteLink(item.note)}</span>}
+        actions={button('Move checked notes to the trash', () => {
+          onTrashNotes(checked(emptyNotes).map(item => item.note.id));
+        }, 'bg-red-500 hover:bg-red-600')}
+      />
+
+      <AuditSection
+        title="Tags used only once"
+        description="Often a typo of a more common tag. Replace them with a similar tag, or remove them."
+        items={singleUseTags}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => (
+          <>
+            <span className="flex-1">
+              <span className="text-blue-500">#{item.tag}</span> in {noteLink(item.note)}
+            </span>
+            <select
+              className="p-1 border rounded"
+              value={choiceFor(item)}
+              onChange={(e) => setChoice(item.key, e.target.value)}
+            >
+              {item.suggestions.map(tag => (
+                <option key={tag} value={tag}>Replace with #{tag}</option>
+              ))}
+              <option value="">Remove tag</option>
+            </select>
+          </>
+        )}
+        actions={button('Fix checked tags', () => {
+          onReplaceTags(checked(singleUseTags).map(item => ({
+            noteId: item.note.id,
+            tag: item.tag,
+            replacement: choiceFor(item)
+          })));
+        })}
+      />
+
+      <AuditSection
+        title="Unused attachments"
+        description={report.isLocked
+          ? 'Unlock the vault to check: encrypted notes might embed any attachment.'
+          : 'Images and other files in the vault that no note embeds or links to.'}
+        items={unusedAttachments}
+        excluded={excluded}
+        onToggle={toggle}
+        renderItem={(item) => (
+          <a className="flex-1 font-mono text-blue-600 hover:underline" href={item.attachment.url} target="_blank" rel="noopener noreferrer">
+            {item.attachment.path}
+          </a>
+        )}
+        actions={button('Delete checked attachments', () => {
+          if (window.confirm('Delete the checked attachments? This cannot be undone.')) {
+            onDeleteAttachments(checked(unusedAttachments).map(item => item.attachment.path));
+          }
+        }, 'bg-red-500 hover:bg-red-600')}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { formatDate } from '../lib/templates';
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+// Month calendar marking the days that have a daily note; clicking a day opens or creates it
+export default function CalendarWidget({
+  notes,
+  settings,
+  templates,
+  templateFolder,
+  onOpenDay,
+  onChangeSettings,
+  onChangeTemplateFolder
+}) {
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [showSettings, setShowSettings] = useState(false);
+
+  const titles = new Set(notes.map(note => note.title));
+  const today = formatDate(new Date(), 'YYYY-MM-DD');
+
+  // Monday-first grid, padded with blanks before the 1st
+  const offset = (month.getDay() + 6) % 7;
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array(offset).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1))
+  ];
+
+  const shiftMonth = (delta) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + delta, 1));
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex items-center justify-between mb-1">
+        <button className="px-1 text-gray-600" onClick={() => shiftMonth(-1)}>‹</button>
+        <span className="font-medium">{formatDate(month, 'MMMM YYYY')}</span>
+        <button className="px-1 text-gray-600" onClick={() => shiftMonth(1)}>›</button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-px text-center">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="text-xs text-gray-500">{day}</div>
+        ))}
+        {cells.map((date, i) => {
+          if (!date) return <div key={`blank-${i}`} />;
+
+          const hasNote = titles.has(formatDate(date, settings.format));
+          const isToday = formatDate(date, 'YYYY-MM-DD') === today;
+          return (
+            <button
+              key={i}
+              className={`text-xs rounded py-1 hover:bg-gray-300 ${
+                hasNote ? 'bg-green-200 font-medium' : ''
+              } ${isToday ? 'ring-1 ring-blue-500' : ''}`}
+              title={formatDate(date, settings.format)}
+              onClick={() => onOpenDay(date)}
+            >
+              {date.getDate()}
+            </button>
+          );
+        })}
+      </div>
+
+      <button
+        className="text-xs text-blue-600 hover:underline mt-1"
+        onClick={() => setShowSettings(!showSettings)}
+      >
+        {showSettings ? 'Hide settings' : 'Daily notes & templates settings'}
+      </button>
+
+      {showSettings && (
+        <div className="mt-2 space-y-2">
+          <label className="block">
+            <span className="text-xs text-gray-600">Daily note title format</span>
+            <input
+              type="text"
+              className="w-full p-1 border rounded"
+              value={settings.format}
+              onChange={(e) => onChangeSettings({ ...settings, format: e.target.value })}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-600">Daily note folder</span>
+            <input
+              type="text"
+              className="w-full p-1 border rounded"
+              value={settings.folder}
+              onChange={(e) => onChangeSettings({ ...settings, folder: e.target.value })}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-600">Daily note template</span>
+            <select
+              className="w-full p-1 border rounded"
+              value={settings.template}
+              onChange={(e) => onChangeSettings({ ...settings, template: e.target.value })}
+            >
+              <option value="">(none)</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.title}>{template.title}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-600">Template folder</span>
+            <input
+              type="text"
+              className="w-full p-1 border rounded"
+              value={templateFolder}
+              onChange={(e) => onChangeTemplateFolder(e.target.value)}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState, useRef, useEffect } from 'react';
+import { fuzzyMatch } from '../lib/completion';
+import { formatKeys } from '../lib/keymap';
+
+const MAX_RESULTS = 50;
+
+// Fuzzy-searchable list of commands ({ id, label, keys?, run }) and notes. With `notesOnly` it is
+// the quick switcher, which lists just the notes, found by title or alias.
+export default function CommandPalette({ commands, notes, notesOnly = false, onOpenNote, onClose }) {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+
+  const noteItems = notes.map(note => ({
+    key: `note:${note.id}`,
+    label: note.title,
+    detail: note.folder ? `${note.folder}/` : '',
+    texts: [note.title, ...(note.aliases || [])],
+    run: () => onOpenNote(note)
+  }));
+  const commandItems = notesOnly ? [] : commands.map(command => ({
+    key: `command:${command.id}`,
+    label: command.label,
+    keys: command.keys,
+    texts: [command.label],
+    run: command.run
+  }));
+
+  // An empty query lists the commands (or, in the quick switcher, the notes) as they come
+  let results;
+  if (!query.trim()) {
+    results = (notesOnly ? noteItems : commandItems).slice(0, MAX_RESULTS);
+  } else {
+    results = [...commandItems, ...noteItems]
+      .map(item => {
+        const scores = item.texts.map(text => fuzzyMatch(query.trim(), text)).filter(score => score !== null);
+        return { item, score: scores.length > 0 ? Math.max(...scores) : null };
+      })
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ item }) => item);
+  }
+
+  useEffect(() => {
+    setSelected(0);
+  }, [query]);
+
+  // Keep the highlighted row in view while moving with the arrow keys
+  useEffect(() => {
+    const row = listRef.current && listRef.current.children[selected];
+    if (row) row.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const choose = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(Math.min(selected + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(Math.max(selected - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[selected]) choose(results[selected]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-start justify-center pt-24 z-20" onClick={onClose}>
+      <div className="bg-white rounded shadow-lg w-full max-w-lg" onClick={(e) => e.stopPropagation()}>
+        <input
+          className="w-full p-3 border-b rounded-t outline-none"
+          placeholder={notesOnly ? 'Open a note…' : 'Type a command or a note title…'}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          autoFocus
+        />
+        <ul ref={listRef} className="max-h-80 overflow-y-auto py-1">
+          {results.map((item, i) => (
+            <li
+              key={item.key}
+              className={`flex items-center justify-between px-3 py-2 cursor-pointer text-sm ${
+                i === selected ? 'bg-blue-100' : 'hover:bg-gray-100'
+              }`}
+              onMouseEnter={() => setSelected(i)}
+              onClick={() => choose(item)}
+            >
+              <span className="truncate">
+                {item.label}
+                {item.detail && <span className="text-xs text-gray-500 ml-2">{item.detail}</span>}
+              </span>
+              {item.keys ? (
+                <span className="text-xs text-gray-500 font-mono ml-2">{formatKeys(item.keys)}</span>
+              ) : item.key.startsWith('note:') && !notesOnly ? (
+                <span className="text-xs text-gray-400 ml-2">note</span>
+              ) : null}
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="px-3 py-2 text-sm text-gray-500 italic">No matches</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { diffLines } from '../lib/diff';
+
+// Side-by-side view of a note that changed both in the app and on disk
+export default function ConflictResolver({ conflict, onKeepMine, onTakeDisk, onSaveMerged }) {
+  const { local, disk, path } = conflict;
+  const [merged, setMerged] = useState(local.content);
+
+  const rows = disk ? diffLines(local.content, disk.content) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-20">
+      <div className="bg-white rounded shadow-lg p-6 w-full max-w-5xl max-h-full overflow-y-auto">
+        <h2 className="text-xl font-bold mb-1">Conflict in {path}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {disk
+            ? 'This note was changed in the app and on disk at the same time.'
+            : 'This note has unsaved changes in the app, but its file was deleted on disk.'}
+        </p>
+
+        {disk && (
+          <div className="grid grid-cols-2 gap-2 mb-4 text-sm">
+            <div className="font-medium">Your version: {local.title}</div>
+            <div className="font-medium">On disk: {disk.title}</div>
+            <div className="col-span-2 border rounded overflow-auto max-h-80 font-mono text-xs">
+              <table className="w-full">
+                <tbody>
+                  {rows.map((row, i) => (
+                    <tr key={i}>
+                      <td className={`w-1/2 px-2 whitespace-pre-wrap align-top ${
+                        row.type === 'removed' ? 'bg-red-100' : ''
+                      }`}>
+                        {row.type !== 'added' ? row.text : ''}
+                      </td>
+                      <td className={`w-1/2 px-2 whitespace-pre-wrap align-top border-l ${
+                        row.type === 'added' ? 'bg-green-100' : ''
+                      }`}>
+                        {row.type !== 'removed' ? row.text : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <h3 className="text-sm font-medium mb-1">Merged result</h3>
+        <textarea
+          className="w-full p-2 border rounded h-40 font-mono text-sm"
+          value={merged}
+          onChange={(e) => setMerged(e.target.value)}
+        />
+
+        <div className="mt-4 flex justify-end gap-2">
+          <button
+            className="bg-gray-300 px-4 py-2 rounded"
+            onClick={() => onTakeDisk(conflict)}
+          >
+            {disk ? 'Use disk version' : 'Discard my note'}
+          </button>
+          <button
+            className="bg-blue-500 text-white px-4 py-2 rounded"
+            onClick={() => onKeepMine(conflict)}
+          >
+            Keep mine
+          </button>
+          <button
+            className="bg-green-500 text-white px-4 py-2 rounded"
+            onClick={() => onSaveMerged(conflict, merged)}
+          >
+            Save merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
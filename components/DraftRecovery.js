@@ -0,0 +1,43 @@
+import { NEW_NOTE_DRAFT } from '../lib/storage';
+
+// Drafts autosaved from the editor that were never saved or cancelled, most likely because the
+// tab closed mid-edit or the vault locked itself. Each can be reopened in the editor or thrown away.
+export default function DraftRecovery({ drafts, notes, isLocked, onRecover, onDiscard }) {
+  return (
+    <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded">
+      <h3 className="font-medium mb-2">Unsaved drafts</h3>
+      <ul>
+        {drafts.map(draft => {
+          const note = notes.find(candidate => candidate.id === draft.noteId);
+          const isLockedDraft = isLocked && (draft.sealed || (note && note.sealed));
+          const title = note ? note.title : draft.title || 'New note';
+          const changedSince = note && draft.baseUpdatedAt && note.updatedAt > draft.baseUpdatedAt;
+
+          return (
+            <li key={draft.noteId} className="flex items-center justify-between py-1 text-sm">
+              <span>
+                <span className="font-medium">{title}</span>
+                {!note && draft.noteId !== NEW_NOTE_DRAFT && <span className="text-gray-500"> (note deleted since)</span>}
+                <span className="text-gray-500"> · {new Date(draft.savedAt).toLocaleString()}</span>
+                {changedSince && <span className="text-orange-600"> · the note has been saved since</span>}
+              </span>
+              <span className="flex gap-2">
+                <button
+                  className="bg-blue-500 text-white px-2 py-1 rounded disabled:opacity-50"
+                  disabled={isLockedDraft}
+                  title={isLockedDraft ? 'Unlock the vault to recover this draft' : 'Open the draft in the editor'}
+                  onClick={() => onRecover(draft)}
+                >
+                  Recover
+                </button>
+                <button className="bg-gray-300 px-2 py-1 rounded" onClick={() => onDiscard(draft)}>
+                  Discard
+                </button>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useState } from 'react';
+
+const AUTO_LOCK_OPTIONS = [
+  { minutes: 0, label: 'Never' },
+  { minutes: 1, label: 'After 1 minute' },
+  { minutes: 5, label: 'After 5 minutes' },
+  { minutes: 10, label: 'After 10 minutes' },
+  { minutes: 30, label: 'After 30 minutes' },
+  { minutes: 60, label: 'After 1 hour' }
+];
+
+// Passphrase set-up, unlocking, and the vault's encryption settings. `onSetUp` and `onUnlock`
+// resolve with an error message for the form, or null when they worked.
+export default function EncryptionView({
+  encryption,
+  isLocked,
+  hasLockedNotes,
+  onSetUp,
+  onUnlock,
+  onLock,
+  onChangeSettings
+}) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const isSetUp = Boolean(encryption) || hasLockedNotes;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!isSetUp && passphrase !== confirmation) {
+      setError("The passphrases don't match.");
+      return;
+    }
+
+    setIsWorking(true);
+    const message = await (isSetUp ? onUnlock(passphrase) : onSetUp(passphrase));
+    setIsWorking(false);
+    setError(message || '');
+    if (!message) {
+      setPassphrase('');
+      setConfirmation('');
+    }
+  };
+
+  if (!isSetUp || isLocked) {
+    return (
+      <div className="max-w-md mx-auto">
+        <h2 className="text-2xl font-bold mb-2">{isSetUp ? 'Unlock' : 'Encryption'}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {isSetUp
+            ? 'Enter the passphrase to read and edit the encrypted notes in this vault.'
+            : 'Set a passphrase to encrypt notes in this vault. It is never stored, and encrypted notes ' +
+              "can't be recovered without it."}
+        </p>
+        <form onSubmit={submit}>
+          <input
+            type="password"
+            className="w-full p-2 border rounded mb-2"
+            placeholder="Passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            autoFocus
+          />
+          {!isSetUp && (
+            <input
+              type="password"
+              className="w-full p-2 border rounded mb-2"
+              placeholder="Repeat the passphrase"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+            />
+          )}
+          {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+          <button
+            type="submit"
+            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 disabled:opacity-50"
+            disabled={!passphrase || isWorking}
+          >
+            {isWorking ? 'Working…' : isSetUp ? 'Unlock' : 'Set passphrase'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold">Encryption</h2>
+        <button className="bg-gray-300 px-3 py-1 rounded" onClick={onLock}>
+          Lock now
+        </button>
+      </div>
+
+      <label className="flex items-start gap-2 mb-4">
+        <input
+          type="checkbox"
+          className="mt-1"
+          checked={Boolean(encryption.vaultMode)}
+          onChange={(e) => onChangeSettings({ vaultMode: e.target.checked })}
+        />
+        <span>
+          Encrypt the whole vault
+          <span className="block text-sm text-gray-600">
+            Every note's content, aliases, properties and tags are encrypted in its file, in the browser's
+            cache, history and trash, and in JSON and Markdown exports. Titles stay readable: they name the
+            files, and the note list shows them while the vault is locked, so keep anything private out of them.
+            Without this, only the notes you mark with "Encrypt" are.
+          </span>
+        </span>
+      </label>
+
+      <label className="block mb-4">
+        <span className="block mb-1">Lock automatically</span>
+        <select
+          className="p-2 border rounded"
+          value={encryption.autoLockMinutes || 0}
+          onChange={(e) => onChangeSettings({ autoLockMinutes: Number(e.target.value) })}
+        >
+          {AUTO_LOCK_OPTIONS.map(option => (
+            <option key={option.minutes} value={option.minutes}>{option.label}</option>
+          ))}
+        </select>
+        <span className="block text-sm text-gray-600 mt-1">when there has been no typing or mouse activity</span>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+// Collapsible folder tree for the sidebar. Notes dragged from the list can be dropped on a folder.
+
+const NOTE_DRAG_TYPE = 'application/x-zettel-note';
+
+export const startNoteDrag = (e, note) => {
+  e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+  e.dataTransfer.effectAllowed = 'move';
+};
+
+// Turn sorted folder paths into nested { name, path, children } nodes
+const buildTree = (folders) => {
+  const root = { name: '', path: '', children: [] };
+  const nodes = new Map([['', root]]);
+
+  for (const path of folders) {
+    const slash = path.lastIndexOf('/');
+    const parent = nodes.get(slash === -1 ? '' : path.slice(0, slash)) || root;
+    const node = { name: path.slice(slash + 1), path, children: [] };
+    parent.children.push(node);
+    nodes.set(path, node);
+  }
+
+  return root;
+};
+
+export default function FolderTree({
+  folders,
+  notes,
+  selectedFolder,
+  collapsedFolders,
+  onSelectFolder,
+  onToggleFolder,
+  onMoveNote,
+  onCreateFolder
+}) {
+  const tree = buildTree(folders);
+
+  // Notes directly in each folder
+  const counts = new Map();
+  for (const note of notes) {
+    const folder = note.folder || '';
+    counts.set(folder, (counts.get(folder) || 0) + 1);
+  }
+
+  const dropProps = (path) => ({
+    onDragOver: (e) => {
+      if (e.dataTransfer.types.includes(NOTE_DRAG_TYPE)) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+      }
+    },
+    onDrop: (e) => {
+      const id = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+      if (id) {
+        e.preventDefault();
+        onMoveNote(id, path);
+      }
+    }
+  });
+
+  const renderNode = (node, depth) => {
+    const isCollapsed = collapsedFolders.includes(node.path);
+
+    return (
+      <li key={node.path}>
+        <div
+          className={`flex items-center text-sm rounded cursor-pointer hover:bg-gray-300 ${
+            selectedFolder === node.path ? 'bg-gray-300 font-medium' : ''
+          }`}
+          style={{ paddingLeft: `${depth * 12}px` }}
+          onClick={() => onSelectFolder(node.path)}
+          {...dropProps(node.path)}
+        >
+          <span
+            className="w-4 text-gray-500 text-xs"
+            onClick={(e) => {
+              e.stopPropagation();
+              if (node.children.length > 0) onToggleFolder(node.path);
+            }}
+          >
+            {node.children.length > 0 ? (isCollapsed ? '▸' : '▾') : ''}
+          </span>
+          <span className="flex-1 truncate">{node.name}</span>
+          <span className="text-xs text-gray-500 pr-1">{counts.get(node.path) || ''}</span>
+        </div>
+        {!isCollapsed && node.children.length > 0 && (
+          <ul>{node.children.map(child => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-sm font-medium text-gray-700">Folders</h3>
+        <button
+          className="text-xs text-blue-600 hover:underline"
+          onClick={onCreateFolder}
+        >
+          + New folder
+        </button>
+      </div>
+      <ul className="max-h-48 overflow-y-auto">
+        <li>
+          <div
+            className={`text-sm rounded cursor-pointer hover:bg-gray-300 px-1 ${
+              selectedFolder === null ? 'bg-gray-300 font-medium' : ''
+            }`}
+            onClick={() => onSelectFolder(null)}
+          >
+            All notes
+          </div>
+        </li>
+        <li>
+          <div
+            className={`flex text-sm rounded cursor-pointer hover:bg-gray-300 px-1 ${
+              selectedFolder === '' ? 'bg-gray-300 font-medium' : ''
+            }`}
+            onClick={() => onSelectFolder('')}
+            {...dropProps('')}
+          >
+            <span className="flex-1">/ (root)</span>
+            <span className="text-xs text-gray-500">{counts.get('') || ''}</span>
+          </div>
+        </li>
+        {tree.children.map(node => renderNode(node, 0))}
+      </ul>
+    </div>
+  );
+}
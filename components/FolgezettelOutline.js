@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { ID_SCHEMES, buildOutline } from '../lib/zettel';
+
+// Folgezettel chains as a collapsible outline, plus the choice of ID scheme for new notes
+export default function FolgezettelOutline({
+  notes,
+  activeNote,
+  idScheme,
+  onChangeIdScheme,
+  onOpenNote,
+  onCreateFollowUp
+}) {
+  const [collapsed, setCollapsed] = useState([]);
+  const outline = buildOutline(notes);
+
+  const toggle = (id) => {
+    setCollapsed(collapsed.includes(id) ? collapsed.filter(item => item !== id) : [...collapsed, id]);
+  };
+
+  const renderNode = ({ note, children }) => {
+    const isCollapsed = collapsed.includes(note.id);
+
+    return (
+      <li key={note.id}>
+        <div
+          className={`group flex items-center gap-2 py-1 rounded hover:bg-gray-100 ${
+            activeNote && activeNote.id === note.id ? 'bg-gray-100 font-medium' : ''
+          }`}
+        >
+          <span
+            className="w-4 text-gray-500 text-xs cursor-pointer"
+            onClick={() => children.length > 0 && toggle(note.id)}
+          >
+            {children.length > 0 ? (isCollapsed ? '▸' : '▾') : ''}
+          </span>
+          <span className="font-mono text-xs text-gray-500">{note.id}</span>
+          <span className="cursor-pointer hover:underline" onClick={() => onOpenNote(note)}>
+            {note.title}
+          </span>
+          <button
+            className="text-xs text-blue-600 hover:underline invisible group-hover:visible"
+            onClick={() => onCreateFollowUp(note)}
+          >
+            + Follow-up
+          </button>
+        </div>
+        {!isCollapsed && children.length > 0 && (
+          <ul className="ml-6 border-l pl-2">{children.map(renderNode)}</ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">Outline</h2>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          IDs for new notes
+          <select
+            className="p-1 border rounded"
+            value={idScheme}
+            onChange={(e) => onChangeIdScheme(e.target.value)}
+          >
+            {ID_SCHEMES.map(scheme => (
+              <option key={scheme.value} value={scheme.value}>{scheme.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {outline.length === 0 ? (
+        <p className="text-gray-500 italic">
+          No follow-up notes yet. Open a note and click "Follow-up" to start a sequence.
+        </p>
+      ) : (
+        <ul>{outline.map(renderNode)}</ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,360 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { forceSimulation, forceLink, forceManyBody, forceCenter, forceX, forceY } from 'd3-force';
+import { buildGraph, localGraph } from '../lib/graph';
+
+const NODE_COLORS = {
+  note: '#4b5563',
+  orphan: '#9ca3af',
+  active: '#7c3aed',
+  missing: '#ef4444',
+  tag: '#3b82f6'
+};
+
+// Same green/red split formatContent uses for existing and dangling links
+const EDGE_COLORS = {
+  link: 'rgba(22, 163, 74, 0.45)',
+  dangling: 'rgba(239, 68, 68, 0.6)',
+  tag: 'rgba(59, 130, 246, 0.25)'
+};
+
+const nodeRadius = (node) => 3 + Math.sqrt(node.degree) * 1.5;
+
+const nodeColor = (node, activeId) => {
+  if (node.id === activeId) return NODE_COLORS.active;
+  if (node.type === 'note' && node.degree === 0) return NODE_COLORS.orphan;
+  return NODE_COLORS[node.type];
+};
+
+export default function GraphView({ notes, activeNote, onOpenNote, onOpenLink, onSelectTag }) {
+  const [showTags, setShowTags] = useState(false);
+  const [localOnly, setLocalOnly] = useState(false);
+  const [depth, setDepth] = useState(2);
+  const [stats, setStats] = useState({ notes: 0, links: 0, dangling: 0, orphans: 0 });
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const simulationRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const viewRef = useRef({
+    nodes: [],
+    edges: [],
+    transform: { x: 0, y: 0, k: 1 },
+    hovered: null,
+    width: 0,
+    height: 0,
+    activeId: null
+  });
+
+  const activeId = activeNote ? `note:${activeNote.id}` : null;
+  viewRef.current.activeId = activeId;
+
+  // Drawing only reads refs, so it stays the same function across renders and the effects
+  // below can depend on it without restarting
+  const draw = useCallback(() => {
+    frameRef.current = null;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const { nodes, edges, transform, hovered, width, height, activeId } = viewRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    const ctx = canvas.getContext('2d');
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(transform.x, transform.y);
+    ctx.scale(transform.k, transform.k);
+
+    // Edges, batched by type so thousands of lines cost a few strokes
+    ctx.lineWidth = 1 / transform.k;
+    for (const type of Object.keys(EDGE_COLORS)) {
+      ctx.strokeStyle = EDGE_COLORS[type];
+      ctx.beginPath();
+      for (const edge of edges) {
+        if (edge.type !== type) continue;
+        ctx.moveTo(edge.source.x, edge.source.y);
+        ctx.lineTo(edge.target.x, edge.target.y);
+      }
+      ctx.stroke();
+    }
+
+    for (const node of nodes) {
+      ctx.fillStyle = nodeColor(node, activeId);
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, nodeRadius(node), 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    // Labels only once zoomed in, plus the hovered and active nodes
+    ctx.fillStyle = '#111827';
+    ctx.font = `${12 / transform.k}px sans-serif`;
+    ctx.textAlign = 'center';
+    for (const node of nodes) {
+      if (transform.k > 1.5 || node === hovered || node.id === activeId) {
+        ctx.fillText(node.label, node.x, node.y - nodeRadius(node) - 3 / transform.k);
+      }
+    }
+  }, []);
+
+  const scheduleDraw = useCallback(() => {
+    if (frameRef.current === null) {
+      frameRef.current = requestAnimationFrame(draw);
+    }
+  }, [draw]);
+
+  const resetView = () => {
+    const view = viewRef.current;
+    view.transform = { x: view.width / 2, y: view.height / 2, k: 1 };
+    scheduleDraw();
+  };
+
+  // Keep the canvas the same size as its container
+  useEffect(() => {
+    const container = containerRef.current;
+    const canvas = canvasRef.current;
+
+    const resize = () => {
+      const view = viewRef.current;
+      const ratio = window.devicePixelRatio || 1;
+      const firstLayout = view.width === 0;
+
+      view.width = container.clientWidth;
+      view.height = container.clientHeight;
+      canvas.width = view.width * ratio;
+      canvas.height = view.height * ratio;
+      canvas.style.width = `${view.width}px`;
+      canvas.style.height = `${view.height}px`;
+
+      if (firstLayout) {
+        view.transform = { x: view.width / 2, y: view.height / 2, k: 1 };
+      }
+      scheduleDraw();
+    };
+
+    resize();
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+
+    return () => {
+      observer.disconnect();
+      if (frameRef.current !== null) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    };
+  }, [scheduleDraw]);
+
+  // Rebuild the graph and restart the layout when the notes or options change
+  useEffect(() => {
+    let graph = buildGraph(notes, { includeTags: showTags });
+    if (localOnly && activeId) {
+      graph = localGraph(graph, activeId, depth);
+    }
+
+    // Keep positions of nodes that survive a rebuild so the layout doesn't jump
+    const previous = new Map(viewRef.current.nodes.map(node => [node.id, node]));
+    const nodes = graph.nodes.map(node => {
+      const old = previous.get(node.id);
+      return old ? { ...node, x: old.x, y: old.y, vx: old.vx, vy: old.vy } : { ...node };
+    });
+    const edges = graph.edges.map(edge => ({ ...edge }));
+
+    viewRef.current.nodes = nodes;
+    viewRef.current.edges = edges;
+    viewRef.current.hovered = null;
+
+    setStats({
+      notes: nodes.filter(node => node.type === 'note').length,
+      links: edges.filter(edge => edge.type === 'link').length,
+      dangling: edges.filter(edge => edge.type === 'dangling').length,
+      orphans: nodes.filter(node => node.type === 'note' && node.degree === 0).length
+    });
+
+    const simulation = forceSimulation(nodes)
+      .force('link', forceLink(edges).id(node => node.id).distance(40))
+      .force('charge', forceManyBody().strength(-40).distanceMax(400))
+      .force('center', forceCenter(0, 0))
+      // Weak pull towards the middle keeps orphans from drifting off-screen
+      .force('x', forceX(0).strength(0.03))
+      .force('y', forceY(0).strength(0.03))
+      .alphaDecay(nodes.length > 1000 ? 0.05 : 0.0228)
+      .on('tick', scheduleDraw);
+
+    simulationRef.current = simulation;
+
+    return () => simulation.stop();
+  }, [notes, showTags, localOnly, depth, activeId, scheduleDraw]);
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { transform } = viewRef.current;
+      const rect = canvas.getBoundingClientRect();
+      const px = e.clientX - rect.left;
+      const py = e.clientY - rect.top;
+      const k = Math.min(8, Math.max(0.05, transform.k * Math.exp(-e.deltaY * 0.001)));
+
+      // Zoom around the cursor
+      viewRef.current.transform = {
+        k: k,
+        x: px - ((px - transform.x) / transform.k) * k,
+        y: py - ((py - transform.y) / transform.k) * k
+      };
+      scheduleDraw();
+    };
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [scheduleDraw]);
+
+  const toGraphCoords = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const { transform } = viewRef.current;
+    return [
+      (e.clientX - rect.left - transform.x) / transform.k,
+      (e.clientY - rect.top - transform.y) / transform.k
+    ];
+  };
+
+  const findNodeAt = (x, y) => {
+    const { nodes, transform } = viewRef.current;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      const r = nodeRadius(node) + 2 / transform.k;
+      if ((node.x - x) ** 2 + (node.y - y) ** 2 <= r * r) return node;
+    }
+    return null;
+  };
+
+  const handleMouseDown = (e) => {
+    const [x, y] = toGraphCoords(e);
+    const node = findNodeAt(x, y);
+
+    dragRef.current = {
+      node: node,
+      startX: e.clientX,
+      startY: e.clientY,
+      transform: { ...viewRef.current.transform },
+      moved: false
+    };
+
+    if (node) {
+      node.fx = node.x;
+      node.fy = node.y;
+      simulationRef.current.alphaTarget(0.3).restart();
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+
+    if (drag) {
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+      if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+
+      if (drag.node) {
+        const [x, y] = toGraphCoords(e);
+        drag.node.fx = x;
+        drag.node.fy = y;
+      } else {
+        viewRef.current.transform = {
+          ...drag.transform,
+          x: drag.transform.x + dx,
+          y: drag.transform.y + dy
+        };
+      }
+      scheduleDraw();
+      return;
+    }
+
+    const [x, y] = toGraphCoords(e);
+    const node = findNodeAt(x, y);
+    if (node !== viewRef.current.hovered) {
+      viewRef.current.hovered = node;
+      canvasRef.current.style.cursor = node ? 'pointer' : 'grab';
+      scheduleDraw();
+    }
+  };
+
+  const handleMouseUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    if (drag.node) {
+      drag.node.fx = null;
+      drag.node.fy = null;
+      simulationRef.current.alphaTarget(0);
+    }
+
+    if (drag.node && !drag.moved) {
+      const node = drag.node;
+      if (node.type === 'note') {
+        onOpenNote(node.note);
+      } else if (node.type === 'missing') {
+        onOpenLink(node.label);
+      } else if (node.type === 'tag') {
+        onSelectTag(node.label.substring(1));
+      }
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={showTags}
+            onChange={(e) => setShowTags(e.target.checked)}
+          />
+          Show tags
+        </label>
+        <label className={`flex items-center gap-1 ${activeNote ? '' : 'text-gray-400'}`}>
+          <input
+            type="checkbox"
+            checked={localOnly && !!activeNote}
+            disabled={!activeNote}
+            onChange={(e) => setLocalOnly(e.target.checked)}
+          />
+          Local graph{activeNote ? ` around "${activeNote.title}"` : ''}
+        </label>
+        {localOnly && activeNote && (
+          <label className="flex items-center gap-1">
+            Depth
+            <input
+              type="number"
+              min="1"
+              max="5"
+              className="w-12 p-1 border rounded"
+              value={depth}
+              onChange={(e) => setDepth(Math.max(1, Math.min(5, Number(e.target.value) || 1)))}
+            />
+          </label>
+        )}
+        <button
+          className="bg-gray-300 px-2 py-1 rounded"
+          onClick={resetView}
+        >
+          Reset view
+        </button>
+        <span className="text-gray-500 ml-auto">
+          {stats.notes} notes · {stats.links} links · {stats.dangling} dangling · {stats.orphans} orphans
+        </span>
+      </div>
+      <div ref={containerRef} className="flex-1 min-h-0 border rounded bg-gray-50 overflow-hidden">
+        <canvas
+          ref={canvasRef}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { diffLines } from '../lib/diff';
+
+// Timeline of a note's saved versions with a line diff between any two of them
+export default function HistoryPanel({
+  versions,
+  onRestore,
+  keepInVault,
+  canKeepInVault,
+  onToggleKeepInVault
+}) {
+  // Compare the previous version with the newest one by default
+  const [newerId, setNewerId] = useState(versions.length > 0 ? versions[0].versionId : null);
+  const [olderId, setOlderId] = useState(versions.length > 1 ? versions[1].versionId : null);
+
+  const newer = versions.find(version => version.versionId === newerId);
+  const older = versions.find(version => version.versionId === olderId);
+  const rows = newer && older ? diffLines(older.note.content, newer.note.content) : [];
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-medium">History</h3>
+        {canKeepInVault && (
+          <label className="flex items-center gap-1 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={keepInVault}
+              onChange={(e) => onToggleKeepInVault(e.target.checked)}
+            />
+            Also keep history in .zettel/history
+          </label>
+        )}
+      </div>
+
+      {versions.length === 0 ? (
+        <p className="text-gray-500 italic text-sm">No saved versions yet</p>
+      ) : (
+        <>
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-normal w-12">Old</th>
+                <th className="font-normal w-12">New</th>
+                <th className="font-normal">Saved</th>
+                <th className="font-normal">Title</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map((version, index) => (
+                <tr key={version.versionId} className="border-t">
+                  <td>
+                    <input
+                      type="radio"
+                      name="older-version"
+                      checked={olderId === version.versionId}
+                      onChange={() => setOlderId(version.versionId)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="radio"
+                      name="newer-version"
+                      checked={newerId === version.versionId}
+                      onChange={() => setNewerId(version.versionId)}
+                    />
+                  </td>
+                  <td className="py-1">
+                    {new Date(version.savedAt).toLocaleString()}
+                    {index === 0 && <span className="text-gray-500"> (latest)</span>}
+                  </td>
+                  <td className="py-1">{version.note.title}</td>
+                  <td className="py-1 text-right">
+                    {index > 0 && (
+                      <button
+                        className="text-blue-600 hover:underline"
+                        onClick={() => onRestore(version)}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {newer && older && (
+            <div className="border rounded font-mono text-xs overflow-auto max-h-96">
+              {rows.map((row, i) => (
+                <div
+                  key={i}
+                  className={`px-2 whitespace-pre-wrap ${
+                    row.type === 'added' ? 'bg-green-100' : row.type === 'removed' ? 'bg-red-100' : ''
+                  }`}
+                >
+                  {row.type === 'added' ? '+ ' : row.type === 'removed' ? '- ' : '  '}
+                  {row.text}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
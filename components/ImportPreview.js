@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { planImport } from '../lib/importers';
+
+const SOURCE_NAMES = {
+  obsidian: 'Obsidian vault',
+  roam: 'Roam Research export',
+  logseq: 'Logseq graph',
+  notion: 'Notion export',
+  json: 'JSON file',
+  markdown: 'Markdown files'
+};
+
+const ACTION_LABELS = {
+  create: 'Create',
+  rename: 'Import with a new title',
+  replace: 'Replace the existing note',
+  skip: 'Skip'
+};
+
+// What an import will do, before anything is written: counts, clashing titles and how to resolve them
+export default function ImportPreview({ preview, existingNotes, canAddAttachments, onImport, onCancel }) {
+  const [targetFolder, setTargetFolder] = useState(preview.name || '');
+  const [resolution, setResolution] = useState('rename');
+  const [resolutions, setResolutions] = useState({});
+
+  const options = { targetFolder: targetFolder.trim().replace(/^\/+|\/+$/g, ''), resolution, resolutions };
+  const { items, counts } = planImport(existingNotes, preview.notes, options);
+  const clashes = items.filter(item => item.clash);
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-1">Import {SOURCE_NAMES[preview.source]}</h2>
+      <p className="text-sm text-gray-500 mb-4">Nothing has been imported yet. Check the summary, then import.</p>
+
+      <ul className="text-sm mb-4 space-y-1">
+        <li>{counts.total} notes found{counts.daily > 0 && `, ${counts.daily} of them daily notes`}</li>
+        <li>{counts.create} new notes will be created</li>
+        {counts.rename > 0 && <li>{counts.rename} notes will get a new title because theirs is taken</li>}
+        {counts.replace > 0 && <li>{counts.replace} existing notes will be replaced</li>}
+        {counts.skip > 0 && <li>{counts.skip} notes will be skipped</li>}
+        {preview.attachments.length > 0 && (
+          <li className={canAddAttachments ? '' : 'text-red-500'}>
+            {preview.attachments.length} attachments
+            {canAddAttachments ? ' will be copied into the vault' : ' will be skipped: reconnect the vault to import them'}
+          </li>
+        )}
+      </ul>
+
+      <label className="block text-sm mb-4">
+        <span className="text-gray-600">Import into folder (daily notes go to the daily notes folder)</span>
+        <input
+          type="text"
+          className="w-full p-2 border rounded"
+          placeholder="/ (root)"
+          value={targetFolder}
+          onChange={(e) => setTargetFolder(e.target.value)}
+        />
+      </label>
+
+      {clashes.length > 0 && (
+        <div className="mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-medium">Title collisions ({clashes.length})</h3>
+            <label className="text-sm text-gray-600">
+              For all:{' '}
+              <select
+                className="p-1 border rounded"
+                value={resolution}
+                onChange={(e) => {
+                  setResolution(e.target.value);
+                  setResolutions({});
+                }}
+              >
+                <option value="rename">{ACTION_LABELS.rename}</option>
+                <option value="replace">{ACTION_LABELS.replace}</option>
+                <option value="skip">{ACTION_LABELS.skip}</option>
+              </select>
+            </label>
+          </div>
+          <ul className="text-sm border rounded max-h-80 overflow-y-auto">
+            {clashes.map(item => (
+              <li key={item.index} className="flex items-center gap-2 px-2 py-1 border-b last:border-b-0">
+                <span className="flex-1">
+                  <span className="font-medium">{item.note.title}</span>
+                  <span className="text-gray-500">
+                    {item.existing ? ' — a note with this title exists' : ' — appears more than once in the import'}
+                  </span>
+                  {item.action === 'rename' && <span className="text-gray-500"> → {item.title}</span>}
+                </span>
+                <select
+                  className="p-1 border rounded"
+                  value={item.action}
+                  onChange={(e) => setResolutions({ ...resolutions, [item.index]: e.target.value })}
+                >
+                  <option value="rename">{ACTION_LABELS.rename}</option>
+                  {item.existing && <option value="replace">{ACTION_LABELS.replace}</option>}
+                  <option value="skip">{ACTION_LABELS.skip}</option>
+                </select>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button className="bg-gray-300 px-4 py-2 rounded" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600"
+          onClick={() => onImport(options)}
+        >
+          Import {counts.create + counts.rename + counts.replace} notes
+        </button>
+      </div>
+    </div>
+  );
+}
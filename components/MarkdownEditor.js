@@ -0,0 +1,190 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { EditorState } from '@codemirror/state';
+import {
+  EditorView,
+  Decoration,
+  MatchDecorator,
+  ViewPlugin,
+  drawSelection,
+  keymap,
+  placeholder as placeholderText
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
+import { syntaxHighlighting, defaultHighlightStyle } from '@codemirror/language';
+import { markdown } from '@codemirror/lang-markdown';
+import { autocompletion, completionKeymap } from '@codemirror/autocomplete';
+import { linkCompletions, tagCompletions } from '../lib/completion';
+import { TAG_PATTERN, TAG_BLOCKER_REGEX } from '../lib/tags';
+
+// Colour [[links]] and #tags the way the rendered note does
+const wikiSyntax = ViewPlugin.fromClass(class {
+  constructor(view) {
+    this.decorator = new MatchDecorator({
+      regexp: new RegExp(`\\[\\[[^\\]\\n]+\\]\\]|(?<![\\p{L}\\p{N}_/&?=.:#-])${TAG_PATTERN.source}`, 'gu'),
+      decoration: (match) => Decoration.mark({ class: match[0].startsWith('[[') ? 'cm-wikilink' : 'cm-tag' })
+    });
+    this.decorations = this.decorator.createDeco(view);
+  }
+
+  update(update) {
+    this.decorations = this.decorator.updateDeco(update, this.decorations);
+  }
+}, { decorations: (plugin) => plugin.decorations });
+
+const theme = EditorView.theme({
+  '&': { height: '100%', fontSize: '14px' },
+  '&.cm-focused': { outline: 'none' },
+  '.cm-scroller': { overflow: 'auto', fontFamily: 'inherit' },
+  '.cm-wikilink': { color: '#16a34a' },
+  '.cm-tag': { color: '#3b82f6' }
+});
+
+// Markdown editor with syntax highlighting and [[link]] / #tag autocomplete.
+// Pasted or dropped files go to `onAttachFiles(files)`, which resolves with the references to insert.
+// The ref exposes focus() and setSelectionRange() like a textarea would.
+const MarkdownEditor = forwardRef(function MarkdownEditor({
+  value,
+  onChange,
+  notes,
+  onCreateNote,
+  onAttachFiles,
+  placeholder,
+  className
+}, ref) {
+  const containerRef = useRef(null);
+  const viewRef = useRef(null);
+
+  // Props from the latest render, for the editor's long-lived extensions
+  const latest = useRef({});
+  latest.current = { value, placeholder, onChange, notes, onCreateNote, onAttachFiles };
+
+  // The editor is created once, reading everything else through `latest`; later `value` changes
+  // are applied by the effect below
+  useEffect(() => {
+    // Replace the typed query (and any closing brackets already there) with the chosen link
+    const applyLink = (suggestion) => (view, completion, from, to) => {
+      const closing = view.state.sliceDoc(to, to + 2) === ']]' ? 2 : 0;
+      const text = `${suggestion.insert}]]`;
+      view.dispatch({
+        changes: { from, to: to + closing, insert: text },
+        selection: { anchor: from + text.length }
+      });
+      if (suggestion.create) latest.current.onCreateNote(suggestion.create);
+    };
+
+    const completeWikiSyntax = (context) => {
+      const link = context.matchBefore(/\[\[[^\]\n]*/);
+      if (link) {
+        return {
+          from: link.from + 2,
+          filter: false,
+          options: linkCompletions(latest.current.notes, link.text.slice(2)).map(suggestion => ({
+            label: suggestion.label,
+            detail: suggestion.detail,
+            type: suggestion.create ? 'keyword' : 'text',
+            apply: applyLink(suggestion)
+          }))
+        };
+      }
+
+      const tag = context.matchBefore(/#[\p{L}\p{M}\p{N}_/-]*/u);
+      if (!tag) return null;
+      if (tag.from > 0 && TAG_BLOCKER_REGEX.test(context.state.sliceDoc(tag.from - 1, tag.from))) return null;
+      if (tag.text === '#' && !context.explicit) {
+        // A lone '#' at the start of a line is more likely a heading than a tag
+        const line = context.state.doc.lineAt(tag.from);
+        if (tag.from === line.from) return null;
+      }
+
+      return {
+        from: tag.from + 1,
+        filter: false,
+        options: tagCompletions(latest.current.notes, tag.text.slice(1)).map(suggestion => ({
+          label: suggestion.label,
+          detail: suggestion.detail,
+          type: 'keyword',
+          apply: suggestion.insert
+        }))
+      };
+    };
+
+    // Store the files and put their references at `pos`, each on its own line
+    const insertAttachments = (view, files, pos) => {
+      if (files.length === 0 || !latest.current.onAttachFiles) return false;
+
+      latest.current.onAttachFiles(files).then(references => {
+        if (references.length === 0) return;
+        const at = Math.min(pos, view.state.doc.length);
+        const before = at > 0 && view.state.sliceDoc(at - 1, at) !== '\n' ? '\n' : '';
+        const text = `${before}${references.join('\n')}\n`;
+        view.dispatch({ changes: { from: at, insert: text }, selection: { anchor: at + text.length } });
+      });
+      return true;
+    };
+
+    const fileEvents = EditorView.domEventHandlers({
+      paste: (event, view) => {
+        const files = [...(event.clipboardData ? event.clipboardData.files : [])];
+        if (!insertAttachments(view, files, view.state.selection.main.head)) return false;
+        event.preventDefault();
+        return true;
+      },
+      drop: (event, view) => {
+        const files = [...(event.dataTransfer ? event.dataTransfer.files : [])];
+        const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+        if (!insertAttachments(view, files, pos === null ? view.state.selection.main.head : pos)) return false;
+        event.preventDefault();
+        return true;
+      }
+    });
+
+    const view = new EditorView({
+      parent: containerRef.current,
+      state: EditorState.create({
+        doc: latest.current.value,
+        extensions: [
+          history(),
+          drawSelection(),
+          EditorView.lineWrapping,
+          markdown(),
+          syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+          wikiSyntax,
+          autocompletion({ override: [completeWikiSyntax], icons: false }),
+          keymap.of([...completionKeymap, ...defaultKeymap, ...historyKeymap]),
+          placeholderText(latest.current.placeholder || ''),
+          theme,
+          fileEvents,
+          EditorView.updateListener.of((update) => {
+            if (update.docChanged) latest.current.onChange(update.state.doc.toString());
+          })
+        ]
+      })
+    });
+    viewRef.current = view;
+
+    return () => view.destroy();
+  }, []);
+
+  // Content replaced from outside (switching notes, templates, conflict resolution)
+  useEffect(() => {
+    const view = viewRef.current;
+    if (view && view.state.doc.toString() !== value) {
+      view.dispatch({ changes: { from: 0, to: view.state.doc.length, insert: value } });
+    }
+  }, [value]);
+
+  useImperativeHandle(ref, () => ({
+    focus: () => viewRef.current.focus(),
+    setSelectionRange: (start, end) => {
+      const length = viewRef.current.state.doc.length;
+      viewRef.current.dispatch({
+        selection: { anchor: Math.min(start, length), head: Math.min(end, length) },
+        scrollIntoView: true
+      });
+    }
+  }));
+
+  return <div ref={containerRef} className={className} />;
+});
+
+export default MarkdownEditor;
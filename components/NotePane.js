@@ -0,0 +1,51 @@
+// A side pane of the workspace: another note with its own back and forward, or the live preview
+// of the note in the main pane. `html` is the rendered content, null when there is nothing to show.
+export default function NotePane({
+  title,
+  html,
+  emptyText,
+  isFocused,
+  canGoBack,
+  canGoForward,
+  onBack,
+  onForward,
+  onOpenInMain,
+  onClose,
+  onFocus,
+  onContentClick
+}) {
+  const navButton = 'px-2 rounded text-gray-600 hover:bg-gray-300 disabled:opacity-30 disabled:hover:bg-transparent';
+
+  return (
+    <div
+      className={`flex flex-col flex-1 min-h-0 bg-white ${isFocused ? 'ring-2 ring-inset ring-blue-200' : ''}`}
+      onPointerDown={onFocus}
+      onFocus={onFocus}
+    >
+      <div className="flex items-center gap-1 border-b bg-gray-100 px-2 py-1 text-sm">
+        {onBack && (
+          <>
+            <button className={navButton} title="Back" disabled={!canGoBack} onClick={onBack}>←</button>
+            <button className={navButton} title="Forward" disabled={!canGoForward} onClick={onForward}>→</button>
+          </>
+        )}
+        <span className="flex-1 truncate font-medium">{title}</span>
+        {onOpenInMain && (
+          <button className={navButton} title="Open in the main pane" onClick={onOpenInMain}>⤢</button>
+        )}
+        <button className={navButton} title="Close pane" onClick={onClose}>×</button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-6">
+        {html === null ? (
+          <p className="text-gray-500 italic">{emptyText}</p>
+        ) : (
+          <div
+            className="prose prose-sm max-w-none"
+            dangerouslySetInnerHTML={{ __html: html }}
+            onClick={onContentClick}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
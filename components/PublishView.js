@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { selectPublishedNotes, isPrivate } from '../lib/publish';
+
+// Choose which notes go into the static website export, then download it
+export default function PublishView({ notes, onExport, onCancel }) {
+  const [siteTitle, setSiteTitle] = useState('Zettelkasten');
+  const [publishedOnly, setPublishedOnly] = useState(false);
+  const [tag, setTag] = useState('');
+
+  const tags = [...new Set(notes.flatMap(note => note.tags))].sort();
+  const selected = selectPublishedNotes(notes, { publishedOnly, tag });
+  const hidden = notes.filter(isPrivate).length;
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-1">Export as Website</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        A zip of plain HTML pages with backlinks, tag pages, search and a graph. Unzip it anywhere or upload it to any static host.
+      </p>
+
+      <label className="block text-sm mb-4">
+        <span className="text-gray-600">Site title</span>
+        <input
+          type="text"
+          className="w-full p-2 border rounded"
+          value={siteTitle}
+          onChange={(e) => setSiteTitle(e.target.value)}
+        />
+      </label>
+
+      <label className="flex items-center gap-2 text-sm mb-4">
+        <input
+          type="checkbox"
+          checked={publishedOnly}
+          onChange={(e) => setPublishedOnly(e.target.checked)}
+        />
+        Only notes with <span className="font-mono">publish: true</span> in their properties
+      </label>
+
+      <label className="block text-sm mb-4">
+        <span className="text-gray-600">Only notes tagged</span>
+        <select
+          className="w-full p-2 border rounded"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+        >
+          <option value="">Any tag</option>
+          {tags.map(name => (
+            <option key={name} value={name}>#{name}</option>
+          ))}
+        </select>
+      </label>
+
+      <ul className="text-sm mb-4 space-y-1">
+        <li>{selected.length} of {notes.length} notes will be published</li>
+        {hidden > 0 && <li>{hidden} notes are marked <span className="font-mono">publish: false</span> and are always left out</li>}
+        <li className="text-gray-500">Links to notes that aren't published show as plain text.</li>
+      </ul>
+
+      <div className="flex justify-end gap-2">
+        <button className="bg-gray-300 px-4 py-2 rounded" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 disabled:opacity-50"
+          disabled={selected.length === 0}
+          onClick={() => onExport(selected, { siteTitle: siteTitle.trim() || 'Zettelkasten' })}
+        >
+          Download Website
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { GRADES, parseAllCards, buildReviewQueue } from '../lib/flashcards';
+
+// Today's flashcard reviews, one card at a time. Space shows the answer, 1–4 grade it.
+// Cards graded "Again" come back at the end of the session.
+export default function ReviewView({ notes, cardStates, today, renderContent, onGrade, onOpenNote }) {
+  const cards = parseAllCards(notes);
+  // The queue is fixed when the session starts, so grading doesn't reshuffle it
+  const [session] = useState(() => buildReviewQueue(cards, cardStates, today));
+  const [queue, setQueue] = useState(session.queue);
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const card = queue[0];
+  const note = card ? notes.find(candidate => candidate.id === card.noteId) : null;
+
+  const grade = (value) => {
+    if (!card || !showAnswer) return;
+    onGrade(card, value);
+    setQueue(value === 1 ? [...queue.slice(1), card] : queue.slice(1));
+    setShowAnswer(false);
+    setReviewed(reviewed + 1);
+  };
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      if ((e.key === ' ' || e.key === 'Enter') && !showAnswer) {
+        e.preventDefault();
+        setShowAnswer(true);
+        return;
+      }
+      const match = GRADES.find(option => option.key === e.key);
+      if (match) grade(match.grade);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const upcoming = [...cardStates.values()].filter(state => state.due > today).length;
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex items-baseline justify-between mb-4">
+        <h2 className="text-2xl font-bold">Review</h2>
+        <span className="text-sm text-gray-500">
+          {session.due.length} due · {session.fresh.length} new · {reviewed} reviewed · {queue.length} left
+        </span>
+      </div>
+
+      {!card ? (
+        <div className="text-center text-gray-500 mt-12">
+          <p className="text-xl mb-2">{cards.length === 0 ? 'No flashcards yet' : 'All done for today'}</p>
+          {cards.length === 0 ? (
+            <p className="text-sm">
+              Write <span className="font-mono">Question :: Answer</span> lines, <span className="font-mono">==cloze==</span> deletions
+              or paragraphs tagged <span className="font-mono">#flashcard</span> in your notes.
+            </p>
+          ) : (
+            <p className="text-sm">{cards.length} cards in the vault, {upcoming} scheduled for later days.</p>
+          )}
+        </div>
+      ) : (
+        <div className="border rounded p-6 bg-gray-50">
+          <div
+            className="prose prose-sm max-w-none mb-4"
+            dangerouslySetInnerHTML={{ __html: renderContent(card.front, card.noteId) }}
+          />
+          {showAnswer ? (
+            <>
+              <hr className="my-4" />
+              <div
+                className="prose prose-sm max-w-none mb-6"
+                dangerouslySetInnerHTML={{ __html: renderContent(card.back, card.noteId) }}
+              />
+              <div className="flex justify-center gap-2">
+                {GRADES.map(option => (
+                  <button
+                    key={option.grade}
+                    className={`px-4 py-2 rounded text-white ${
+                      option.grade === 1 ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'
+                    }`}
+                    onClick={() => grade(option.grade)}
+                  >
+                    {option.label} <span className="text-xs opacity-75">({option.key})</span>
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <div className="flex justify-center">
+              <button
+                className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600"
+                onClick={() => setShowAnswer(true)}
+              >
+                Show answer <span className="text-xs opacity-75">(Space)</span>
+              </button>
+            </div>
+          )}
+          {note && (
+            <div className="text-sm text-gray-500 mt-4">
+              From{' '}
+              <span className="cursor-pointer text-blue-600 hover:underline" onClick={() => onOpenNote(note)}>
+                {note.title}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { SHORTCUT_ACTIONS, keysFromEvent, formatKeys } from '../lib/keymap';
+
+// Cheatsheet of the keyboard shortcuts. "Change" records the next key combination pressed
+// as the action's new shortcut.
+export default function ShortcutsOverlay({ keymap, onRebind, onReset, onClose }) {
+  const [recording, setRecording] = useState(null); // action waiting for its new keys
+
+  const handleKeyDown = (e) => {
+    if (!recording) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    const keys = keysFromEvent(e.nativeEvent);
+    if (!keys) return;
+    // Escape alone gives up, unless it's the key being assigned to "cancel"
+    if (keys !== 'Escape' || recording === 'cancel') onRebind(recording, keys);
+    setRecording(null);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-30 flex items-start justify-center pt-24 z-20"
+      onClick={onClose}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="bg-white rounded shadow-lg w-full max-w-lg p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-xl font-bold">Keyboard shortcuts</h2>
+          <button className="text-gray-500 hover:text-gray-800" onClick={onClose} autoFocus>
+            ×
+          </button>
+        </div>
+        <table className="w-full text-sm">
+          <tbody>
+            {SHORTCUT_ACTIONS.map(action => (
+              <tr key={action.id} className="border-b">
+                <td className="py-2">{action.label}</td>
+                <td className="py-2 font-mono text-gray-700">
+                  {recording === action.id
+                    ? <span className="text-blue-600 italic">Press keys…</span>
+                    : formatKeys(keymap[action.id]) || <span className="text-gray-400">none</span>}
+                </td>
+                <td className="py-2 text-right">
+                  <button
+                    className="text-blue-600 hover:underline"
+                    onClick={() => setRecording(recording === action.id ? null : action.id)}
+                  >
+                    {recording === action.id ? 'Stop' : 'Change'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex justify-between items-center mt-3 text-sm">
+          <span className="text-gray-500">Inside the palette: ↑ ↓ to move, Enter to run, Esc to close</span>
+          <button className="text-blue-600 hover:underline" onClick={onReset}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useState, useRef, Children, Fragment } from 'react';
+import { resizeSizes } from '../lib/workspace';
+
+// Share of the total width the arrow keys move a focused divider by
+const KEY_STEP = 0.05;
+
+// Children side by side with draggable dividers between them. `sizes` are their relative
+// widths; `onResize` gets the new ones when a drag ends.
+export default function SplitPanes({ sizes, onResize, children }) {
+  const containerRef = useRef(null);
+  const [dragSizes, setDragSizes] = useState(null); // widths while a divider is being dragged
+  const panes = Children.toArray(children);
+  const shown = dragSizes || sizes;
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+
+  const startDrag = (index, e) => {
+    e.preventDefault();
+    const width = containerRef.current.getBoundingClientRect().width;
+    const startX = e.clientX;
+    let latest = sizes;
+
+    const move = (event) => {
+      latest = resizeSizes(sizes, index, (event.clientX - startX) / width * total);
+      setDragSizes(latest);
+    };
+    const stop = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', stop);
+      setDragSizes(null);
+      onResize(latest);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', stop);
+  };
+
+  const handleKeyDown = (index, e) => {
+    const step = { ArrowLeft: -KEY_STEP, ArrowRight: KEY_STEP }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    onResize(resizeSizes(sizes, index, step * total));
+  };
+
+  return (
+    <div ref={containerRef} className={`flex flex-1 overflow-hidden ${dragSizes ? 'select-none cursor-col-resize' : ''}`}>
+      {panes.map((pane, i) => (
+        <Fragment key={pane.key}>
+          {i > 0 && (
+            <div
+              role="separator"
+              aria-orientation="vertical"
+              tabIndex={0}
+              title="Drag to resize"
+              className="w-1 shrink-0 cursor-col-resize bg-gray-300 hover:bg-blue-400 focus:bg-blue-400 outline-none"
+              onPointerDown={(e) => startDrag(i - 1, e)}
+              onKeyDown={(e) => handleKeyDown(i - 1, e)}
+            />
+          )}
+          <div className="flex flex-col min-w-0 overflow-hidden" style={{ flex: `${shown[i]} 1 0` }}>
+            {pane}
+          </div>
+        </Fragment>
+      ))}
+    </div>
+  );
+}
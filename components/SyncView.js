@@ -0,0 +1,131 @@
+import { useState } from 'react';
+
+const PROVIDERS = [
+  { id: 'server', label: 'Zettelkasten sync server' },
+  { id: 'webdav', label: 'WebDAV (Nextcloud, ownCloud, Apache…)' }
+];
+
+const BADGES = {
+  synced: { symbol: '✓', className: 'text-green-600', title: 'Synced' },
+  pending: { symbol: '↑', className: 'text-gray-500', title: 'Changed since the last sync' },
+  conflict: { symbol: '!', className: 'text-orange-600 font-bold', title: 'Edited on two devices at once: look for the conflict markers' },
+  error: { symbol: '×', className: 'text-red-600', title: 'Failed to sync' }
+};
+
+// A note's sync status in the note list
+export function SyncBadge({ status }) {
+  const badge = BADGES[status];
+  return <span className={`text-xs ml-1 ${badge.className}`} title={badge.title}>{badge.symbol}</span>;
+}
+
+// Where the vault syncs to, and how the last sync went. `config` is { provider, url, token }
+// for the reference server or { provider, url, username, password } for WebDAV, null when off.
+export default function SyncView({ config, deviceId, syncedAt, isSyncing, counts, onSave, onSyncNow }) {
+  const [form, setForm] = useState(config || { provider: 'server', url: '', token: '', username: '', password: '' });
+
+  const change = (field, value) => setForm({ ...form, [field]: value });
+  const isChanged = JSON.stringify(form) !== JSON.stringify(config);
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSave({ ...form, url: form.url.trim() });
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h2 className="text-2xl font-bold mb-2">Sync</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Keep this vault's notes in step with a copy on a server, shared by all your devices. Edits
+        made on two devices at once are merged; lines changed on both are kept side by side between
+        conflict markers for you to sort out.
+      </p>
+
+      <form onSubmit={submit}>
+        <label className="block mb-2">
+          <span className="block mb-1">Server type</span>
+          <select
+            className="w-full p-2 border rounded"
+            value={form.provider}
+            onChange={(e) => change('provider', e.target.value)}
+          >
+            {PROVIDERS.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.label}</option>
+            ))}
+          </select>
+        </label>
+        <input
+          type="url"
+          className="w-full p-2 border rounded mb-2"
+          placeholder={form.provider === 'webdav' ? 'https://cloud.example.com/remote.php/dav/files/me/Notes' : 'http://localhost:8787'}
+          value={form.url}
+          onChange={(e) => change('url', e.target.value)}
+        />
+        {form.provider === 'webdav' ? (
+          <div className="flex gap-2 mb-2">
+            <input
+              className="flex-1 p-2 border rounded"
+              placeholder="Username"
+              autoComplete="username"
+              value={form.username || ''}
+              onChange={(e) => change('username', e.target.value)}
+            />
+            <input
+              type="password"
+              className="flex-1 p-2 border rounded"
+              placeholder="Password"
+              autoComplete="current-password"
+              value={form.password || ''}
+              onChange={(e) => change('password', e.target.value)}
+            />
+          </div>
+        ) : (
+          <input
+            type="password"
+            className="w-full p-2 border rounded mb-2"
+            placeholder="Access token (SYNC_TOKEN), if the server has one"
+            value={form.token || ''}
+            onChange={(e) => change('token', e.target.value)}
+          />
+        )}
+        <div className="flex gap-2 mb-4">
+          <button
+            type="submit"
+            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 disabled:opacity-50"
+            disabled={!form.url.trim() || !isChanged}
+          >
+            {config ? 'Save' : 'Turn on sync'}
+          </button>
+          {config && (
+            <button type="button" className="bg-gray-300 px-4 py-2 rounded" onClick={() => onSave(null)}>
+              Turn off
+            </button>
+          )}
+        </div>
+      </form>
+
+      {config && (
+        <div className="border-t pt-4 text-sm">
+          <div className="flex justify-between items-center mb-2">
+            <span>
+              {isSyncing ? 'Syncing…' : syncedAt ? `Last synced ${new Date(syncedAt).toLocaleString()}` : 'Not synced yet'}
+            </span>
+            <button
+              className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded disabled:opacity-50"
+              disabled={isSyncing}
+              onClick={onSyncNow}
+            >
+              Sync now
+            </button>
+          </div>
+          <p className="text-gray-600">
+            {counts.pending} waiting to sync · {counts.conflict} with conflicts · {counts.error} failed
+          </p>
+          <p className="text-gray-500 mt-2">
+            This device is <span className="font-mono">{deviceId}</span> in the notes' revisions. Attachments
+            are not synced.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
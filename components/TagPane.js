@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { buildTagTree } from '../lib/tags';
+
+// Sidebar tag hierarchy with usage counts. Clicking tags selects them to filter the note list
+// (all of them, or any of them); each tag can be renamed, merged into another or deleted.
+export default function TagPane({
+  notes,
+  selectedTags,
+  tagMode,
+  onToggleTag,
+  onChangeMode,
+  onClearTags,
+  onRenameTag,
+  onDeleteTag
+}) {
+  const [collapsed, setCollapsed] = useState([]);
+  const tree = buildTagTree(notes);
+
+  const toggleCollapsed = (path) => {
+    setCollapsed(collapsed.includes(path)
+      ? collapsed.filter(p => p !== path)
+      : [...collapsed, path]);
+  };
+
+  const renderNode = (node, depth) => {
+    const isCollapsed = collapsed.includes(node.path);
+    const isSelected = selectedTags.includes(node.path);
+
+    return (
+      <li key={node.path}>
+        <div
+          className={`group flex items-center text-sm rounded cursor-pointer hover:bg-gray-300 ${
+            isSelected ? 'bg-blue-100 font-medium' : ''
+          }`}
+          style={{ paddingLeft: `${depth * 12}px` }}
+          onClick={() => onToggleTag(node.path)}
+        >
+          <span
+            className="w-4 text-gray-500 text-xs"
+            onClick={(e) => {
+              e.stopPropagation();
+              if (node.children.length > 0) toggleCollapsed(node.path);
+            }}
+          >
+            {node.children.length > 0 ? (isCollapsed ? '▸' : '▾') : ''}
+          </span>
+          <span className="flex-1 truncate text-blue-600">#{node.name}</span>
+          <span className="hidden group-hover:inline text-xs">
+            <button
+              className="text-gray-600 hover:underline px-1"
+              title="Rename, or merge into another tag"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRenameTag(node.path);
+              }}
+            >
+              rename
+            </button>
+            <button
+              className="text-red-500 hover:underline px-1"
+              title="Remove this tag (and the tags under it) from every note"
+              onClick={(e) => {
+                e.stopPropagation();
+                onDeleteTag(node.path);
+              }}
+            >
+              delete
+            </button>
+          </span>
+          <span className="text-xs text-gray-500 pr-1">{node.count}</span>
+        </div>
+        {!isCollapsed && node.children.length > 0 && (
+          <ul>{node.children.map(child => renderNode(child, depth + 1))}</ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-sm font-medium text-gray-700">Tags</h3>
+        {selectedTags.length > 0 && (
+          <div className="flex items-center gap-2 text-xs">
+            <select
+              className="border rounded"
+              value={tagMode}
+              onChange={(e) => onChangeMode(e.target.value)}
+              title="Show notes with all of the selected tags, or any of them"
+            >
+              <option value="and">All (AND)</option>
+              <option value="or">Any (OR)</option>
+            </select>
+            <button className="text-blue-600 hover:underline" onClick={onClearTags}>
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+      {tree.length === 0 ? (
+        <p className="text-xs text-gray-500 italic">No tags yet</p>
+      ) : (
+        <ul className="max-h-48 overflow-y-auto">
+          {tree.map(node => renderNode(node, 0))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+// Attachments: non-Markdown files in the vault (images, PDFs, ...) that notes embed or link to.
+// In a directory vault they are files on disk; in the browser vault they are blobs in IndexedDB.
+// The app keeps them as [{ path, type, size, url }], `url` being an object URL for the file.
+
+import { joinPath, splitPath } from './files';
+
+export const ATTACHMENT_FOLDER = 'attachments';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp', 'avif'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'm4a', 'flac'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov'];
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf'
+};
+
+const extensionOf = (path) => {
+  const { name } = splitPath(path);
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+// Whether a link target names a file rather than a note: it has an extension other than .md
+export const isAttachmentPath = (path) => {
+  const extension = extensionOf(path);
+  return extension !== '' && extension !== 'md' && /^[a-z0-9]{1,5}$/.test(extension);
+};
+
+// How an attachment is shown: 'image', 'pdf', 'audio', 'video' or 'file' (a download link)
+export const attachmentKind = (path) => {
+  const extension = extensionOf(path);
+  if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (extension === 'pdf') return 'pdf';
+  if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+  if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  return 'file';
+};
+
+// Where a pasted or dropped file is stored: attachments/<name>, numbered if the name is taken.
+// Pasted screenshots arrive as "image.png", so those get a timestamp instead.
+export const attachmentPathFor = (file, attachments, date = new Date()) => {
+  const taken = new Set(attachments.map(attachment => attachment.path.toLowerCase()));
+  let name = (file.name || '').replace(/[\\/:*?"<>|#^[\]]+/g, '-').trim();
+  if (!name || /^image\.\w+$/i.test(name)) {
+    const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const extension = extensionOf(name) || MIME_EXTENSIONS[file.type] || 'bin';
+    name = `Pasted ${stamp}.${extension}`;
+  }
+  if (!extensionOf(name) && MIME_EXTENSIONS[file.type]) name = `${name}.${MIME_EXTENSIONS[file.type]}`;
+
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  let path = joinPath(ATTACHMENT_FOLDER, name);
+  for (let n = 2; taken.has(path.toLowerCase()); n++) {
+    path = joinPath(ATTACHMENT_FOLDER, `${stem} ${n}${extension}`);
+  }
+  return path;
+};
+
+// The reference inserted into a note for a new attachment. Images, PDFs and media are embedded,
+// anything else is linked. The bare file name is used when no other attachment shares it.
+export const attachmentMarkup = (path, attachments) => {
+  const { name } = splitPath(path);
+  const ambiguous = attachments.some(attachment =>
+    attachment.path !== path && splitPath(attachment.path).name.toLowerCase() === name.toLowerCase()
+  );
+  const target = ambiguous ? path : name;
+  return attachmentKind(path) === 'file' ? `[[${target}]]` : `![[${target}]]`;
+};
+
+// Normalize a Markdown link or image URL to a vault-relative path
+const pathFromUrl = (url) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return null;
+  try {
+    return decodeURI(url).replace(/^\.?\//, '').split(/[?#]/)[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+// Look attachments up by their path in the vault, or by file name alone as Obsidian does
+export const createAttachmentResolver = (attachments) => {
+  const byPath = new Map();
+  const byName = new Map();
+  for (const attachment of attachments) {
+    byPath.set(attachment.path.toLowerCase(), attachment);
+    const name = splitPath(attachment.path).name.toLowerCase();
+    if (!byName.has(name)) byName.set(name, attachment);
+  }
+
+  const resolve = (target) => {
+    if (!target) return null;
+    const key = target.trim().replace(/^\.?\//, '').toLowerCase();
+    return byPath.get(key) || byName.get(splitPath(key).name) || null;
+  };
+  resolve.fromUrl = (url) => resolve(pathFromUrl(url));
+  return resolve;
+};
+
+// Attachment paths referenced from a note: ![[file]], [[file]], ![alt](path) and [text](path)
+export const findAttachmentReferences = (content, resolveAttachment) => {
+  const paths = new Set();
+  for (const match of content.matchAll(/\[\[([^\]\n|#^]+)[^\]\n]*\]\]/g)) {
+    const attachment = resolveAttachment(match[1]);
+    if (attachment) paths.add(attachment.path);
+  }
+  for (const match of content.matchAll(/\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g)) {
+    const attachment = resolveAttachment.fromUrl(match[1]);
+    if (attachment) paths.add(attachment.path);
+  }
+  return paths;
+};
+
+// Attachments that no note embeds or links to
+export const findUnusedAttachments = (notes, attachments) => {
+  const resolveAttachment = createAttachmentResolver(attachments);
+  const used = new Set();
+  for (const note of notes) {
+    for (const path of findAttachmentReferences(note.content, resolveAttachment)) used.add(path);
+  }
+  return attachments.filter(attachment => !used.has(attachment.path));
+};
@@ -0,0 +1,188 @@
+// Vault maintenance report: broken links, orphans, filename problems, empty notes, one-off tags and
+// unused attachments, plus the edits that fix them. Fixes return patches ({ id, title?, filename?, content? }) for the
+// app to apply, so files, history and the search index are updated the usual way.
+
+import { createLinkResolver, getLinkTarget, rewriteLinks } from './links';
+import { renameTag, renameTagList } from './tags';
+import { safeFilename, joinPath } from './files';
+import { createAttachmentResolver, findUnusedAttachments } from './attachments';
+
+const MAX_SUGGESTIONS = 3;
+
+// Number of single-character edits between two strings
+export const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Candidates close enough to `text` to be what was meant, closest first
+const suggest = (text, candidates) => {
+  const needle = text.toLowerCase();
+  return candidates
+    .map(candidate => {
+      const value = candidate.toLowerCase();
+      const distance = value.includes(needle) || needle.includes(value)
+        ? Math.abs(value.length - needle.length) / 2
+        : editDistance(needle, value);
+      return { candidate, distance };
+    })
+    .filter(({ distance }) => distance <= Math.max(2, needle.length * 0.3))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ candidate }) => candidate);
+};
+
+const isBlank = (note) => !note.content.trim() && Object.keys(note.properties || {}).length === 0;
+
+export const auditVault = (notes, attachments = []) => {
+  const resolveLink = createLinkResolver(notes);
+  const resolveAttachment = createAttachmentResolver(attachments);
+  const titles = notes.map(note => note.title);
+
+  // Broken links, one entry per note and missing target
+  const brokenLinks = [];
+  const linkedIds = new Set();
+  for (const note of notes) {
+    const missing = new Set();
+    for (const link of note.links) {
+      const target = getLinkTarget(link);
+      if (!target) continue;
+
+      const linkedNote = resolveLink(target);
+      if (linkedNote) {
+        if (linkedNote.id !== note.id) linkedIds.add(linkedNote.id);
+      } else if (!missing.has(target) && !resolveAttachment(target)) {
+        missing.add(target);
+        brokenLinks.push({ key: `${note.id}|${target}`, note, target, suggestions: suggest(target, titles) });
+      }
+    }
+  }
+
+  // Locked (still encrypted) notes show no links or content, so any note or attachment could be
+  // one they link to: orphans and unused attachments are only reported once the vault is unlocked
+  const isLocked = notes.some(note => note.sealed);
+  const orphans = isLocked ? [] : notes.filter(note => !linkedIds.has(note.id) && !note.links.some(link => {
+    const linkedNote = resolveLink(getLinkTarget(link));
+    return linkedNote && linkedNote.id !== note.id;
+  }));
+
+  // Notes whose titles would be saved to the same file
+  const byPath = new Map();
+  for (const note of notes) {
+    const path = joinPath(note.folder || '', safeFilename(note.title)).toLowerCase();
+    if (!byPath.has(path)) byPath.set(path, []);
+    byPath.get(path).push(note);
+  }
+  const collisions = [...byPath.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([path, group]) => ({ path, notes: group }));
+
+  const filenameMismatches = notes
+    .filter(note => note.filename && note.filename !== safeFilename(note.title))
+    .map(note => ({ note, expected: safeFilename(note.title) }));
+
+  // Nor can locked notes be judged empty
+  const emptyNotes = notes.filter(note => !note.sealed && isBlank(note));
+
+  // Tags used by a single note, with similar tags that are used more often
+  const tagCounts = new Map();
+  for (const note of notes) {
+    for (const tag of note.tags) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+  }
+  const commonTags = [...tagCounts.keys()].filter(tag => tagCounts.get(tag) > 1);
+  const singleUseTags = [];
+  for (const note of notes) {
+    for (const tag of note.tags) {
+      if (tagCounts.get(tag) === 1) {
+        singleUseTags.push({ key: `${note.id}|${tag}`, note, tag, suggestions: suggest(tag, commonTags) });
+      }
+    }
+  }
+
+  const unusedAttachments = isLocked ? [] : findUnusedAttachments(notes, attachments);
+
+  return { brokenLinks, orphans, collisions, filenameMismatches, emptyNotes, singleUseTags, unusedAttachments, isLocked };
+};
+
+// Collect per-note content edits, applying several to the same note in turn
+const contentPatches = (notes, edits) => {
+  const contents = new Map();
+  for (const { noteId, edit } of edits) {
+    const note = notes.find(candidate => candidate.id === noteId);
+    if (!note) continue;
+    contents.set(noteId, edit(contents.has(noteId) ? contents.get(noteId) : note.content));
+  }
+  return [...contents.entries()]
+    .filter(([id, content]) => content !== notes.find(note => note.id === id).content)
+    .map(([id, content]) => ({ id, content }));
+};
+
+// Point broken links at the chosen notes: [{ noteId, target, replacement }]
+export const retargetLinks = (notes, fixes) => {
+  return contentPatches(notes, fixes.map(({ noteId, target, replacement }) => ({
+    noteId,
+    edit: (content) => rewriteLinks(content, target, replacement)
+  })));
+};
+
+// Replace a one-off tag with another, or remove it when `replacement` is empty: [{ noteId, tag, replacement }].
+// Patches are { id, content, frontMatterTags }, as the tag may be declared in front matter.
+export const replaceTags = (notes, fixes) => {
+  const patches = new Map();
+  for (const { noteId, tag, replacement } of fixes) {
+    const note = notes.find(candidate => candidate.id === noteId);
+    if (!note) continue;
+    const patch = patches.get(noteId) || { id: noteId, content: note.content, frontMatterTags: note.frontMatterTags || [] };
+    patch.content = renameTag(patch.content, tag, replacement, { nested: false });
+    patch.frontMatterTags = renameTagList(patch.frontMatterTags, tag, replacement, { nested: false });
+    patches.set(noteId, patch);
+  }
+  return [...patches.values()].filter(patch => {
+    const note = notes.find(candidate => candidate.id === patch.id);
+    return patch.content !== note.content || patch.frontMatterTags.join() !== (note.frontMatterTags || []).join();
+  });
+};
+
+// Give colliding notes distinct titles ("Title (2)", "Title (3)", ...) and relink references to them
+export const renameCollisions = (notes, ids) => {
+  const taken = new Set(notes.map(note => joinPath(note.folder || '', safeFilename(note.title)).toLowerCase()));
+  const renames = [];
+
+  for (const id of ids) {
+    const note = notes.find(candidate => candidate.id === id);
+    if (!note) continue;
+
+    let n = 2;
+    let title = `${note.title} (${n})`;
+    while (taken.has(joinPath(note.folder || '', safeFilename(title)).toLowerCase())) {
+      title = `${note.title} (${++n})`;
+    }
+    taken.add(joinPath(note.folder || '', safeFilename(title)).toLowerCase());
+    renames.push({ note, title });
+  }
+
+  // Links by title to a renamed note follow it, unless another note still has that title
+  const relinks = contentPatches(notes, renames
+    .filter(({ note }) => notes.filter(other => other.title === note.title).length === 1)
+    .flatMap(({ note, title }) => notes.map(other => ({
+      noteId: other.id,
+      edit: (content) => rewriteLinks(content, note.title, title)
+    }))));
+
+  const patches = new Map(relinks.map(patch => [patch.id, patch]));
+  for (const { note, title } of renames) {
+    patches.set(note.id, { ...patches.get(note.id), id: note.id, title, filename: safeFilename(title) });
+  }
+  return [...patches.values()];
+};
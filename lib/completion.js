@@ -0,0 +1,116 @@
+// Suggestions for the editor's [[link]] and #tag autocomplete
+
+const MAX_SUGGESTIONS = 50;
+
+// Score how well `query` fuzzy-matches `text`: every query character must appear in order.
+// Consecutive characters and matches at the start of words score higher; null means no match.
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    position = index + 1;
+  }
+
+  // Prefer exact and prefix matches, then shorter texts
+  if (haystack === needle) score += 100;
+  else if (haystack.startsWith(needle)) score += 20;
+  return score - text.length * 0.01;
+};
+
+// Headings in a note's content, skipping anything inside fenced code blocks
+export const getHeadings = (content) => {
+  const headings = [];
+  let inFence = false;
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) continue;
+
+    const match = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (match) headings.push(match[1]);
+  }
+  return headings;
+};
+
+const rank = (items, query, getText) => {
+  return items
+    .map(item => ({ item, score: fuzzyMatch(query, getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ item }) => item);
+};
+
+// Suggestions for the text typed after "[[". Each has a `label` to show and the
+// `insert` text that replaces the query (without the closing brackets).
+//   Title       -> titles and aliases of existing notes, plus "create" when nothing matches exactly
+//   Title#Head  -> that note's headings
+//   Title|Alias -> that note's aliases, as the link label
+export const linkCompletions = (notes, query) => {
+  const hashIndex = query.indexOf('#');
+  const pipeIndex = query.indexOf('|');
+
+  if (hashIndex !== -1 || pipeIndex !== -1) {
+    const separator = hashIndex !== -1 && (pipeIndex === -1 || hashIndex < pipeIndex) ? '#' : '|';
+    const at = query.indexOf(separator);
+    const rest = query.slice(at + 1);
+    const note = notes.find(candidate => candidate.title === query.slice(0, at).trim());
+    if (!note) return [];
+
+    const options = separator === '#' ? getHeadings(note.content) : note.aliases || [];
+    return rank(options, rest, option => option).map(option => ({
+      label: option,
+      detail: separator === '#' ? 'heading' : 'alias',
+      insert: `${note.title}${separator}${option}`
+    }));
+  }
+
+  const candidates = [];
+  for (const note of notes) {
+    candidates.push({ text: note.title, note, alias: null });
+    for (const alias of note.aliases || []) {
+      candidates.push({ text: alias, note, alias });
+    }
+  }
+
+  const suggestions = rank(candidates, query, candidate => candidate.text).map(({ note, alias }) => (
+    alias
+      ? { label: alias, detail: `alias of ${note.title}`, insert: `${note.title}|${alias}` }
+      : { label: note.title, detail: note.folder || '', insert: note.title }
+  ));
+
+  const title = query.trim();
+  if (title && !notes.some(note => note.title === title)) {
+    suggestions.push({ label: `Create note "${title}"`, detail: 'new', insert: title, create: title });
+  }
+
+  return suggestions;
+};
+
+// Suggestions for the text typed after "#", most used tags first when nothing is typed yet
+export const tagCompletions = (notes, query) => {
+  const counts = new Map();
+  for (const note of notes) {
+    for (const tag of note.tags) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  const tags = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  return rank(tags, query, tag => tag).map(tag => ({
+    label: `#${tag}`,
+    detail: `${counts.get(tag)} note${counts.get(tag) === 1 ? '' : 's'}`,
+    insert: tag
+  }));
+};
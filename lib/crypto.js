@@ -0,0 +1,123 @@
+// Passphrase encryption with WebCrypto: AES-GCM under a 256-bit key derived from the passphrase
+// with PBKDF2 (SHA-256). Only ciphertext and the parameters needed to decrypt it are stored; the
+// key itself lives in memory while the vault is unlocked, and can't be exported from it.
+
+const KDF = 'PBKDF2-SHA256';
+const CIPHER = 'AES-GCM';
+const ITERATIONS = 600000;
+
+// Encrypted with the key to tell a wrong passphrase from a right one
+const CHECK_VALUE = 'zettelkasten';
+
+// The fields of a note that are encrypted. Its ID, title, dates, folder and parent stay readable,
+// so a locked note can still be listed, found by title and linked to.
+const SEALED_FIELDS = ['content', 'aliases', 'properties', 'frontMatterTags', 'encrypted'];
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Key parameters for a new passphrase: { kdf, iterations, salt }
+export const createKeyParams = () => ({
+  kdf: KDF,
+  iterations: ITERATIONS,
+  salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+});
+
+export const deriveKey = async (passphrase, { salt, iterations }) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    { name: CIPHER, length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Encrypt any JSON value: { cipher, kdf, iterations, salt, iv, data }. Everything but `data` is
+// the header needed to decrypt it again with the passphrase.
+export const encryptValue = async (key, params, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: CIPHER, iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return {
+    cipher: CIPHER,
+    kdf: params.kdf,
+    iterations: params.iterations,
+    salt: params.salt,
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  };
+};
+
+// Rejects when the key is wrong or the data was tampered with
+export const decryptValue = async (key, payload) => {
+  const data = await crypto.subtle.decrypt({ name: CIPHER, iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+// A vault's encryption settings for a new passphrase, and the key to go with them
+export const setUpEncryption = async (passphrase) => {
+  const params = createKeyParams();
+  const key = await deriveKey(passphrase, params);
+  return { key, config: { ...params, check: await encryptValue(key, params, CHECK_VALUE) } };
+};
+
+// The key for a passphrase, or null when it's the wrong one. `params` is a vault's encryption
+// settings, or the header of an encrypted note when the vault has none (it came from elsewhere).
+export const unlockWith = async (passphrase, params) => {
+  const key = await deriveKey(passphrase, params);
+  try {
+    await decryptValue(key, params.check || params);
+    return key;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The locked form of a note: its private fields replaced by `sealed`, the encrypted payload
+export const sealNote = async (note, key, params) => {
+  if (note.sealed) return note;
+  const fields = Object.fromEntries(SEALED_FIELDS.map(field => [field, note[field]]));
+  const sealed = {
+    ...note,
+    content: '',
+    tags: [],
+    frontMatterTags: [],
+    links: [],
+    aliases: [],
+    properties: {},
+    sealed: await encryptValue(key, params, fields)
+  };
+  delete sealed.encrypted;
+  return sealed;
+};
+
+// The note a sealed one holds. Tags and links are left for the caller to work out from the content.
+export const openNote = async (note, key) => {
+  if (!note.sealed) return note;
+  const { sealed, ...rest } = note;
+  const fields = await decryptValue(key, sealed);
+  return { ...rest, ...fields, encrypted: Boolean(fields.encrypted) };
+};
+
+// A sealed note's file: the header goes in front matter, the ciphertext is the body
+export const sealedHeader = (sealed) => {
+  const header = { ...sealed };
+  delete header.data;
+  return header;
+};
+
+export const sealedBody = (sealed) => `${sealed.data.match(/.{1,76}/g).join('\n')}\n`;
+
+export const readSealed = (header, body) => ({ ...header, data: body.replace(/\s+/g, '') });
@@ -0,0 +1,49 @@
+// Line-level diff based on the longest common subsequence of the two texts
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] turning `before` into `after`
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Skip the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const lengths = new Int32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      result.push({ type: 'same', text: a[start + i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      result.push({ type: 'removed', text: a[start + i] });
+      i++;
+    } else {
+      result.push({ type: 'added', text: b[start + j] });
+      j++;
+    }
+  }
+  while (i < n) result.push({ type: 'removed', text: a[start + i++] });
+  while (j < m) result.push({ type: 'added', text: b[start + j++] });
+
+  return result.concat(a.slice(endA).map(text => ({ type: 'same', text })));
+};
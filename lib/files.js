@@ -0,0 +1,101 @@
+// Naming rules and path helpers for note files in the selected directory.
+// A note's `folder` is its directory relative to the vault root ('' for the root itself).
+
+// Create a safe filename from a note title
+export const safeFilename = (title) => {
+  return title
+    .replace(/[^a-z0-9]/gi, '-')
+    .toLowerCase() + '.md';
+};
+
+export const joinPath = (folder, name) => {
+  return folder ? `${folder}/${name}` : name;
+};
+
+// Folder part and file name of a relative path
+export const splitPath = (path) => {
+  const slash = path.lastIndexOf('/');
+  return slash === -1
+    ? { folder: '', name: path }
+    : { folder: path.slice(0, slash), name: path.slice(slash + 1) };
+};
+
+// The file a note lives in: the name it was loaded from, or the one derived from its title
+export const getNoteFilename = (note) => {
+  return note.filename || safeFilename(note.title);
+};
+
+// Path of a note's file relative to the vault root
+export const getNotePath = (note) => {
+  return joinPath(note.folder || '', getNoteFilename(note));
+};
+
+// Another note that already uses `path`, if any
+export const findFilenameCollision = (notes, path, excludeId = null) => {
+  return notes.find(note => note.id !== excludeId && getNotePath(note) === path) || null;
+};
+
+// Walk a directory tree, yielding { kind, path, entry } for every folder and markdown file, and
+// with `attachments` set, every other file as kind 'attachment'. Hidden folders (such as .git) are skipped.
+export async function* walkDirectory(handle, folder = '', { attachments = false } = {}) {
+  for await (const entry of handle.values()) {
+    const path = joinPath(folder, entry.name);
+
+    if (entry.kind === 'directory') {
+      if (entry.name.startsWith('.')) continue;
+      yield { kind: 'directory', path, entry };
+      yield* walkDirectory(entry, path, { attachments });
+    } else if (entry.name.endsWith('.md')) {
+      yield { kind: 'file', path, entry };
+    } else if (attachments && !entry.name.startsWith('.')) {
+      yield { kind: 'attachment', path, entry };
+    }
+  }
+}
+
+export const getFolderHandle = async (root, folder, { create = false } = {}) => {
+  let handle = root;
+  for (const part of folder.split('/').filter(Boolean)) {
+    handle = await handle.getDirectoryHandle(part, { create });
+  }
+  return handle;
+};
+
+export const getFileHandleAtPath = async (root, path, { create = false } = {}) => {
+  const { folder, name } = splitPath(path);
+  const folderHandle = await getFolderHandle(root, folder, { create });
+  return folderHandle.getFileHandle(name, { create });
+};
+
+// Write a file, creating it and its folders as needed; resolves with the written File.
+// A failed write is aborted, leaving the old contents in place.
+export const writeFileAtPath = async (root, path, data) => {
+  const fileHandle = await getFileHandleAtPath(root, path, { create: true });
+  const writable = await fileHandle.createWritable();
+  try {
+    await writable.write(data);
+    await writable.close();
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+  return fileHandle.getFile();
+};
+
+export const removeFileAtPath = async (root, path) => {
+  const { folder, name } = splitPath(path);
+  const folderHandle = await getFolderHandle(root, folder);
+  await folderHandle.removeEntry(name);
+};
+
+// Every folder that holds notes, plus its ancestors, sorted
+export const collectFolders = (notes, extraFolders = []) => {
+  const folders = new Set();
+  for (const folder of [...notes.map(note => note.folder || ''), ...extraFolders]) {
+    const parts = folder.split('/').filter(Boolean);
+    for (let i = 1; i <= parts.length; i++) {
+      folders.add(parts.slice(0, i).join('/'));
+    }
+  }
+  return [...folders].sort();
+};
@@ -0,0 +1,239 @@
+// Flashcards parsed from note content, and their spaced-repetition schedule.
+//
+// Three kinds of card:
+//   Question :: Answer              one card per line
+//   A ==cloze== deletion            one card per ==...== in the paragraph
+//   A paragraph tagged #flashcard   the first line is the question, the rest the answer
+//
+// A card is identified by its note and a block ID (" ^fc-3k9x2a") at the end of its line or
+// paragraph. Cards without one get an ID derived from their text; assignCardIds() writes that
+// same ID into the note, so the card keeps it from then on, whatever later edits change.
+
+import { BLOCK_ID_REGEX } from './transclusion';
+
+const BASIC_REGEX = /^(.*?\S)\s+::\s+(\S.*)$/;
+const CLOZE_REGEX = /==([^=\n]+?)==/g;
+const FLASHCARD_TAG_REGEX = /(^|\s)#flashcard(?![\p{L}\p{N}_/-])/u;
+
+// Cards introduced per day, on top of the reviews that are due
+export const NEW_CARDS_PER_DAY = 20;
+
+export const GRADES = [
+  { grade: 1, label: 'Again', key: '1' },
+  { grade: 2, label: 'Hard', key: '2' },
+  { grade: 3, label: 'Good', key: '3' },
+  { grade: 4, label: 'Easy', key: '4' }
+];
+
+// Short FNV-1a hash of a card's text, for IDs that stay put until the text changes
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36).padStart(6, '0').slice(0, 6);
+};
+
+const stripBlockId = (line) => line.replace(BLOCK_ID_REGEX, '');
+const stripListMarker = (line) => line.replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '');
+
+// Consecutive non-blank lines outside code fences: [{ start, end }], `end` inclusive
+const findBlocks = (lines) => {
+  const blocks = [];
+  let inFence = false;
+  let start = -1;
+
+  lines.forEach((line, i) => {
+    const isFence = /^\s*(```|~~~)/.test(line);
+    if (isFence) inFence = !inFence;
+    const inText = !inFence && !isFence && line.trim() !== '';
+
+    if (inText && start === -1) start = i;
+    if (!inText && start !== -1) {
+      blocks.push({ start, end: i - 1 });
+      start = -1;
+    }
+  });
+  if (start !== -1) blocks.push({ start, end: lines.length - 1 });
+
+  return blocks;
+};
+
+// The cards written in a piece of content, before they are tied to a note:
+// [{ kind, front, back, text, clozes, line, blockId, key }]. `line` is where the block ID goes.
+const parseContent = (content) => {
+  const lines = content.split('\n');
+  const cards = [];
+
+  for (const { start, end } of findBlocks(lines)) {
+    const block = lines.slice(start, end + 1);
+    const lastMatch = lines[end].match(BLOCK_ID_REGEX);
+
+    if (block.some(line => FLASHCARD_TAG_REGEX.test(line))) {
+      const [first, ...rest] = block.map(stripBlockId);
+      const front = first.replace(FLASHCARD_TAG_REGEX, '$1').replace(/^#{1,6}\s+/, '').trim();
+      cards.push({
+        kind: 'block',
+        front: front,
+        back: rest.join('\n').trim(),
+        line: end,
+        blockId: lastMatch ? lastMatch[1] : null,
+        key: front
+      });
+      continue;
+    }
+
+    const basic = block.map((line, i) => ({ match: stripBlockId(stripListMarker(line)).match(BASIC_REGEX), i }))
+      .filter(({ match }) => match);
+    if (basic.length > 0) {
+      for (const { match, i } of basic) {
+        const idMatch = lines[start + i].match(BLOCK_ID_REGEX);
+        cards.push({
+          kind: 'basic',
+          front: match[1].trim(),
+          back: match[2].trim(),
+          line: start + i,
+          blockId: idMatch ? idMatch[1] : null,
+          key: match[1].trim()
+        });
+      }
+      continue;
+    }
+
+    const text = block.map(stripBlockId).join('\n');
+    const clozes = [...text.matchAll(CLOZE_REGEX)].map(match => match[1]);
+    if (clozes.length > 0) {
+      cards.push({
+        kind: 'cloze',
+        text: text,
+        clozes: clozes,
+        line: end,
+        blockId: lastMatch ? lastMatch[1] : null,
+        key: text
+      });
+    }
+  }
+
+  return cards;
+};
+
+// Block IDs for the cards that don't have one yet, unique within the note
+const generatedIds = (cards) => {
+  const taken = new Set(cards.map(card => card.blockId).filter(Boolean));
+  return cards.map(card => {
+    if (card.blockId) return card.blockId;
+    const base = `fc-${hashText(card.key)}`;
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+  });
+};
+
+// Every card in a note. Cloze paragraphs give one card per deletion.
+// Cards: { id, noteId, kind, front, back }, with fronts and backs in Markdown.
+export const parseCards = (note) => {
+  const parsed = parseContent(note.content);
+  const ids = generatedIds(parsed);
+
+  return parsed.flatMap((card, i) => {
+    const id = `${note.id}/${ids[i]}`;
+    if (card.kind !== 'cloze') {
+      return [{ id, noteId: note.id, kind: card.kind, front: card.front, back: card.back }];
+    }
+
+    // Hide one deletion at a time; the others are shown as plain text
+    const show = (n, hidden) => {
+      let index = 0;
+      return card.text.replace(CLOZE_REGEX, (match, answer) => {
+        if (index++ !== n) return answer;
+        return hidden ? '**[…]**' : `**${answer}**`;
+      });
+    };
+    return card.clozes.map((_, n) => ({
+      id: `${id}/${n + 1}`,
+      noteId: note.id,
+      kind: 'cloze',
+      front: show(n, true),
+      back: show(n, false)
+    }));
+  });
+};
+
+// Write block IDs into the content for cards that don't have one yet. The IDs are the ones
+// parseCards() already uses, so any schedule recorded before carries over.
+export const assignCardIds = (content) => {
+  const parsed = parseContent(content);
+  const ids = generatedIds(parsed);
+  const lines = content.split('\n');
+
+  parsed.forEach((card, i) => {
+    if (!card.blockId) lines[card.line] = `${lines[card.line].replace(/\s+$/, '')} ^${ids[i]}`;
+  });
+  return lines.join('\n');
+};
+
+export const parseAllCards = (notes) => notes.flatMap(parseCards);
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// A card's schedule after a review, SM-2 style. `state` is null for a new card.
+// States: { id, noteId, ease, interval (days), reps, lapses, due (YYYY-MM-DD), introduced, reviewed }
+export const gradeCard = (state, card, grade, today) => {
+  const previous = state || {
+    id: card.id,
+    noteId: card.noteId,
+    ease: 2.5,
+    interval: 0,
+    reps: 0,
+    lapses: 0,
+    introduced: today
+  };
+
+  let { ease, interval, reps, lapses } = previous;
+  if (grade === 1) {
+    ease = Math.max(1.3, ease - 0.2);
+    if (reps > 0) lapses++;
+    reps = 0;
+    interval = 0;
+  } else {
+    if (grade === 2) ease = Math.max(1.3, ease - 0.15);
+    if (grade === 4) ease += 0.15;
+
+    if (reps === 0) interval = grade === 4 ? 4 : 1;
+    else if (reps === 1) interval = grade === 2 ? 3 : 6;
+    else interval = Math.round(interval * (grade === 2 ? 1.2 : ease) * (grade === 4 ? 1.3 : 1));
+    interval = Math.max(1, interval);
+    reps++;
+  }
+
+  return {
+    ...previous,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    reps,
+    lapses,
+    due: addDays(today, interval),
+    reviewed: today
+  };
+};
+
+// Today's queue: cards that are due, oldest first, then new cards up to the daily limit
+// (less any already introduced today). `states` is a Map of card ID -> state.
+export const buildReviewQueue = (cards, states, today, { newPerDay = NEW_CARDS_PER_DAY } = {}) => {
+  const due = cards
+    .filter(card => states.has(card.id) && states.get(card.id).due <= today)
+    .sort((a, b) => states.get(a.id).due.localeCompare(states.get(b.id).due));
+
+  const introducedToday = [...states.values()].filter(state => state.introduced === today).length;
+  const fresh = cards
+    .filter(card => !states.has(card.id))
+    .slice(0, Math.max(0, newPerDay - introducedToday));
+
+  return { due, fresh, queue: [...due, ...fresh] };
+};
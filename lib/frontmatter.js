@@ -0,0 +1,142 @@
+import { load, dump } from 'js-yaml';
+import { sealedHeader } from './crypto';
+
+// Front-matter keys the app manages itself; everything else is a user property
+export const RESERVED_KEYS = ['id', 'title', 'created', 'updated', 'tags', 'aliases', 'parent', 'encrypted', 'revisions'];
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+
+// YAML turns unquoted dates into Date objects; keep them as ISO strings like the rest of the note
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeValue(v)]));
+  }
+  return value;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Split a markdown file into its front-matter data and body.
+// Files without a (valid) front-matter block come back unchanged with empty data.
+export const parseFrontMatter = (markdown) => {
+  const match = markdown.match(FRONT_MATTER_REGEX);
+  if (!match) return { data: {}, body: markdown, hasFrontMatter: false };
+
+  let data;
+  try {
+    data = load(match[1]) || {};
+  } catch (error) {
+    console.error('Error parsing front matter:', error);
+    return { data: {}, body: markdown, hasFrontMatter: false };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, body: markdown, hasFrontMatter: false };
+  }
+
+  return {
+    data: normalizeValue(data),
+    body: markdown.slice(match[0].length).replace(/^\s*\n/, ''),
+    hasFrontMatter: true
+  };
+};
+
+// Pull the note fields the app understands out of parsed front-matter data
+export const readNoteMetadata = (data) => {
+  const properties = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!RESERVED_KEYS.includes(key)) {
+      properties[key] = value;
+    }
+  }
+
+  return {
+    id: data.id !== undefined && data.id !== null ? String(data.id) : null,
+    title: typeof data.title === 'string' ? data.title : null,
+    createdAt: data.created ? String(data.created) : null,
+    updatedAt: data.updated ? String(data.updated) : null,
+    tags: toList(data.tags),
+    aliases: toList(data.aliases),
+    parent: data.parent !== undefined && data.parent !== null ? String(data.parent) : null,
+    // The header of an encrypted note, whose body is ciphertext
+    encrypted: data.encrypted && typeof data.encrypted === 'object' ? data.encrypted : null,
+    // How many versions each device has made, for syncing
+    revisions: data.revisions && typeof data.revisions === 'object' ? data.revisions : {},
+    properties: properties
+  };
+};
+
+// Render a note's metadata as a YAML front-matter block. Inline #tags stay in the content;
+// only the tags declared in front matter are written to it.
+export const serializeFrontMatter = (note) => {
+  const data = {
+    id: note.id,
+    created: note.createdAt,
+    updated: note.updatedAt,
+    tags: note.frontMatterTags || [],
+    aliases: note.aliases || []
+  };
+
+  // The note this one follows on from in a folgezettel sequence
+  if (note.parent) {
+    data.parent = note.parent;
+  }
+
+  if (note.revisions && Object.keys(note.revisions).length > 0) {
+    data.revisions = note.revisions;
+  }
+
+  // A sealed note keeps its title here, as its body holds nothing but ciphertext
+  if (note.sealed) {
+    data.title = note.title;
+    data.encrypted = sealedHeader(note.sealed);
+  }
+
+  for (const [key, value] of Object.entries(note.properties || {})) {
+    if (!RESERVED_KEYS.includes(key)) {
+      data[key] = value;
+    }
+  }
+
+  return `---\n${dump(data, { lineWidth: -1 })}---\n`;
+};
+
+// Properties as editable rows of YAML-ish text, and back again
+export const propertiesToRows = (properties = {}) => {
+  return Object.entries(properties).map(([key, value]) => ({
+    key: key,
+    value: typeof value === 'string' ? value : dump(value, { flowLevel: 0 }).trim()
+  }));
+};
+
+export const rowsToProperties = (rows) => {
+  const properties = {};
+
+  for (const row of rows) {
+    const key = row.key.trim();
+    if (!key || RESERVED_KEYS.includes(key)) continue;
+
+    // Let YAML decide the type so `3`, `true` and `[a, b]` round-trip as values, not strings
+    let value;
+    try {
+      value = normalizeValue(load(row.value));
+    } catch (error) {
+      value = row.value;
+    }
+    properties[key] = value === undefined || value === null ? row.value : value;
+  }
+
+  return properties;
+};
+
+// Human-readable form of a property value for the view pane
+export const formatPropertyValue = (value) => {
+  if (Array.isArray(value)) return value.map(formatPropertyValue).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
@@ -0,0 +1,94 @@
+import { getLinkTarget, createLinkResolver } from './links';
+import { isAttachmentPath } from './attachments';
+
+// Build the node/edge lists for the knowledge graph.
+// Note nodes come from `notes`, link edges from each note's `links` (missing
+// targets become dangling nodes, links to files are left out), and tag nodes are added when `includeTags` is set.
+export const buildGraph = (notes, { includeTags = false } = {}) => {
+  const nodes = new Map();
+  const edges = [];
+  const resolveLink = createLinkResolver(notes);
+
+  for (const note of notes) {
+    nodes.set(`note:${note.id}`, {
+      id: `note:${note.id}`,
+      type: 'note',
+      label: note.title,
+      note: note,
+      degree: 0
+    });
+  }
+
+  for (const note of notes) {
+    const source = `note:${note.id}`;
+
+    for (const link of note.links) {
+      const title = getLinkTarget(link);
+      if (!title) continue;
+
+      const linkedNote = resolveLink(title);
+      if (!linkedNote && isAttachmentPath(title)) continue;
+
+      let target;
+      if (linkedNote) {
+        target = `note:${linkedNote.id}`;
+      } else {
+        target = `missing:${title}`;
+        if (!nodes.has(target)) {
+          nodes.set(target, { id: target, type: 'missing', label: title, degree: 0 });
+        }
+      }
+
+      if (target === source) continue;
+      edges.push({ source, target, type: linkedNote ? 'link' : 'dangling' });
+    }
+
+    if (includeTags) {
+      for (const tag of note.tags) {
+        const target = `tag:${tag}`;
+        if (!nodes.has(target)) {
+          nodes.set(target, { id: target, type: 'tag', label: `#${tag}`, degree: 0 });
+        }
+        edges.push({ source, target, type: 'tag' });
+      }
+    }
+  }
+
+  for (const edge of edges) {
+    nodes.get(edge.source).degree++;
+    nodes.get(edge.target).degree++;
+  }
+
+  return { nodes: [...nodes.values()], edges };
+};
+
+// Restrict a graph to the nodes within `depth` hops of `centerId`, ignoring edge direction
+export const localGraph = (graph, centerId, depth) => {
+  const neighbours = new Map();
+  for (const edge of graph.edges) {
+    if (!neighbours.has(edge.source)) neighbours.set(edge.source, []);
+    if (!neighbours.has(edge.target)) neighbours.set(edge.target, []);
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+  }
+
+  const visited = new Set([centerId]);
+  let frontier = [centerId];
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of neighbours.get(id) || []) {
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: graph.nodes.filter(node => visited.has(node.id)),
+    edges: graph.edges.filter(edge => visited.has(edge.source) && visited.has(edge.target))
+  };
+};
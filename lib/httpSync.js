@@ -0,0 +1,59 @@
+// Sync provider for the reference server in server/sync-server.js (see lib/remoteSync.js for
+// the interface). The server keeps a numbered log of changes, so the cursor is just a number.
+
+import { conflictError, remoteFetch } from './remoteSync';
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// If-Match for a known version, If-None-Match: * to only create the file
+const preconditions = (etag) => etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+
+export const createHttpProvider = ({ url, token = '' }) => {
+  const root = url.replace(/\/+$/, '');
+
+  // 404s are left to the caller; a 412 means the file isn't at the version the request expected
+  const request = async (path, { method = 'GET', headers = {}, body } = {}, file = null) => {
+    const response = await remoteFetch(`${root}${path}`, {
+      method,
+      body,
+      cache: 'no-store',
+      headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+    });
+    if (response.status === 412) throw conflictError(file);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`The sync server answered ${response.status} ${response.statusText}`);
+    }
+    return response;
+  };
+
+  return {
+    list: async () => {
+      const response = await request('/files');
+      return (await response.json()).files;
+    },
+
+    get: async (path) => {
+      const response = await request(`/files/${encodePath(path)}`, {}, path);
+      if (response.status === 404) return null;
+      return { text: await response.text(), etag: response.headers.get('ETag') };
+    },
+
+    put: async (path, text, { etag = null } = {}) => {
+      const response = await request(`/files/${encodePath(path)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'text/markdown; charset=utf-8', ...preconditions(etag) },
+        body: text
+      }, path);
+      return { etag: response.headers.get('ETag') };
+    },
+
+    delete: async (path, { etag = null } = {}) => {
+      await request(`/files/${encodePath(path)}`, { method: 'DELETE', headers: etag ? { 'If-Match': etag } : {} }, path);
+    },
+
+    changes: async (cursor) => {
+      const response = await request(`/changes?since=${cursor || 0}`);
+      return response.json();
+    }
+  };
+};
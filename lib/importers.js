@@ -0,0 +1,573 @@
+// Importers for other note apps. Each one reads a list of entries — { path, text(), blob() } for
+// every file in the export, with paths relative to the export's root — and returns
+//   { notes: [{ title, folder, content, aliases, tags, properties, createdAt, updatedAt, daily }],
+//     attachments: [{ path, entry }] }
+// Notes marked `daily` are journal pages; they are titled with the daily-note format and
+// kept in the daily folder. Links between imported notes are rewritten to [[Title]] form.
+
+import JSZip from 'jszip';
+import { parseFrontMatter, readNoteMetadata } from './frontmatter';
+import { splitPath, joinPath, safeFilename } from './files';
+import { formatDate } from './templates';
+import { rewriteLinks } from './links';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const ordinal = (day) => {
+  if (day % 100 >= 11 && day % 100 <= 13) return `${day}th`;
+  return `${day}${{ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th'}`;
+};
+
+// Roam and Logseq journal titles: "October 19th, 2026" or "Oct 19th, 2026"
+export const parseJournalTitle = (title) => {
+  const match = title.match(/^([A-Za-z]+) (\d{1,2})(?:st|nd|rd|th), (\d{4})$/);
+  if (!match) return null;
+  const month = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(match[1].toLowerCase()) && match[1].length >= 3);
+  return month === -1 ? null : new Date(Number(match[3]), month, Number(match[2]));
+};
+
+const journalTitles = (date) => {
+  const day = ordinal(date.getDate());
+  const month = MONTH_NAMES[date.getMonth()];
+  return [`${month} ${day}, ${date.getFullYear()}`, `${month.slice(0, 3)} ${day}, ${date.getFullYear()}`];
+};
+
+const isHiddenPath = (path) => path.split('/').some(part => part.startsWith('.'));
+
+const stem = (name) => name.replace(/\.[^.]+$/, '');
+
+// Drop a leading "# Title" line that only repeats the note's title
+const stripTitleHeading = (body, title) => {
+  const lines = body.split('\n');
+  if (lines[0] && lines[0].replace(/^#\s+/, '').trim() === title && lines[0].startsWith('# ')) {
+    return lines.slice(1).join('\n').trim();
+  }
+  return body.trim();
+};
+
+// Markdown link destination for a vault path, with spaces and the like escaped
+export const encodePath = (path) => encodeURI(path).replace(/[()]/g, (char) => `%${char.charCodeAt(0).toString(16)}`);
+
+// Rewrite the target of every [[link]] and ![[embed]] with `map(target)`; null leaves it alone
+const mapLinkTargets = (content, map) => {
+  return content.replace(/\[\[(.*?)\]\]/g, (match, link) => {
+    const split = link.search(/[#^|]/);
+    const target = split === -1 ? link : link.slice(0, split);
+    const mapped = map(target.trim());
+    return mapped === null ? match : `[[${mapped}${split === -1 ? '' : link.slice(split)}]]`;
+  });
+};
+
+// Point links to journal pages at the daily notes they became
+const renameDailyLinks = (notes) => {
+  const titles = new Map();
+  for (const note of notes) {
+    if (note.daily) {
+      for (const title of journalTitles(note.date)) titles.set(title.toLowerCase(), note.title);
+    }
+  }
+  for (const note of notes) {
+    note.content = mapLinkTargets(note.content, target => titles.get(target.toLowerCase()) || null);
+  }
+};
+
+const asDailyNote = (note, date, daily) => {
+  note.title = formatDate(date, daily.format);
+  note.folder = daily.folder;
+  note.daily = true;
+  note.date = date;
+  return note;
+};
+
+// An Obsidian vault folder. Titles come from file names, the front matter supplies aliases, tags
+// and properties, and ![[picture.png]] attachment embeds become ordinary Markdown images.
+export const importObsidian = async (entries) => {
+  const visible = entries.filter(entry => !isHiddenPath(entry.path));
+  const attachments = visible.filter(entry => !entry.path.endsWith('.md'));
+
+  // Obsidian links attachments by name alone; the first file with that name wins
+  const attachmentsByName = new Map();
+  for (const entry of attachments) {
+    const { name } = splitPath(entry.path);
+    if (!attachmentsByName.has(name.toLowerCase())) attachmentsByName.set(name.toLowerCase(), entry.path);
+  }
+
+  const notes = [];
+  for (const entry of visible.filter(candidate => candidate.path.endsWith('.md'))) {
+    const { folder, name } = splitPath(entry.path);
+    const { data, body } = parseFrontMatter(await entry.text());
+    const metadata = readNoteMetadata(data);
+    const title = metadata.title || stem(name);
+
+    notes.push({
+      title,
+      folder,
+      content: stripTitleHeading(body, title),
+      aliases: metadata.aliases,
+      tags: metadata.tags,
+      properties: metadata.properties,
+      createdAt: metadata.createdAt,
+      updatedAt: metadata.updatedAt
+    });
+  }
+
+  for (const note of notes) {
+    note.content = note.content.replace(/!\[\[([^\]|#^]+?)(?:\|[^\]]*)?\]\]/g, (match, target) => {
+      const path = attachmentsByName.get(splitPath(target.trim()).name.toLowerCase());
+      return path ? `![${stem(splitPath(path).name)}](${encodePath(path)})` : match;
+    });
+    // [[folder/Note]] and [[Note.md]] links point at files; ours point at titles
+    note.content = mapLinkTargets(note.content, (target) => (
+      target.includes('/') || target.endsWith('.md') ? stem(splitPath(target).name) : null
+    ));
+  }
+
+  return { notes, attachments: attachments.map(entry => ({ path: entry.path, entry })) };
+};
+
+// Roam Research JSON export: pages with nested blocks become notes with nested lists. Block refs
+// ((uid)) become links to the block, {{embed: ((uid))}} an embed, and daily pages daily notes.
+export const importRoam = async (entries, { daily }) => {
+  const pages = [];
+  for (const entry of entries.filter(candidate => candidate.path.endsWith('.json'))) {
+    const data = JSON.parse(await entry.text());
+    if (Array.isArray(data)) pages.push(...data);
+  }
+
+  // Where every block lives, and which blocks are referenced (they get a ^uid marker)
+  const blocks = new Map();
+  const referenced = new Set();
+  const indexBlocks = (children, page) => {
+    for (const block of children || []) {
+      blocks.set(block.uid, { page, text: block.string || '' });
+      for (const match of (block.string || '').matchAll(/\(\(([\w-]{6,})\)\)/g)) referenced.add(match[1]);
+      indexBlocks(block.children, page);
+    }
+  };
+  pages.forEach(page => indexBlocks(page.children, page));
+
+  const blockTitle = (uid) => {
+    const block = blocks.get(uid);
+    return block ? block.page.importTitle || block.page.title : null;
+  };
+
+  const convertText = (text) => {
+    return text
+      .replace(/\{\{\[?\[?embed\]?\]?:\s*\(\(([\w-]+)\)\)\s*\}\}/g, (match, uid) => (
+        blockTitle(uid) ? `![[${blockTitle(uid)}^${uid}]]` : match
+      ))
+      .replace(/\(\(([\w-]{6,})\)\)/g, (match, uid) => {
+        if (!blockTitle(uid)) return match;
+        const label = blocks.get(uid).text.split('\n')[0].replace(/\[\[|\]\]|\||\(\(|\)\)/g, '').trim();
+        return `[[${blockTitle(uid)}^${uid}|${label || uid}]]`;
+      })
+      .replace(/\{\{\[?\[?TODO\]?\]?\}\}\s*/g, '[ ] ')
+      .replace(/\{\{\[?\[?DONE\]?\]?\}\}\s*/g, '[x] ')
+      .replace(/#\[\[([^\]]+)\]\]/g, '[[$1]]')
+      .replace(/\^\^(.+?)\^\^/g, '<mark>$1</mark>')
+      .replace(/(^|[^_])__([^_]+?)__(?!_)/g, '$1*$2*');
+  };
+
+  const renderBlocks = (children, depth) => {
+    const lines = [];
+    for (const block of children || []) {
+      const indent = '  '.repeat(depth);
+      const heading = block.heading ? `${'#'.repeat(block.heading)} ` : '';
+      const marker = referenced.has(block.uid) ? ` ^${block.uid}` : '';
+      const [first, ...rest] = convertText(block.string || '').split('\n');
+      lines.push(`${indent}- ${heading}${first}${marker}`);
+      rest.forEach(line => lines.push(`${indent}  ${line}`));
+      lines.push(...renderBlocks(block.children, depth + 1));
+    }
+    return lines;
+  };
+
+  // Titles first, so links and block refs can use the daily-note titles
+  for (const page of pages) {
+    const date = parseJournalTitle(page.title);
+    if (date) page.importTitle = formatDate(date, daily.format);
+  }
+
+  const notes = pages.map(page => {
+    const note = {
+      title: page.title,
+      folder: '',
+      content: renderBlocks(page.children, 0).join('\n'),
+      aliases: [],
+      tags: [],
+      properties: {},
+      createdAt: page['create-time'] ? new Date(page['create-time']).toISOString() : null,
+      updatedAt: page['edit-time'] ? new Date(page['edit-time']).toISOString() : null
+    };
+    const date = parseJournalTitle(page.title);
+    return date ? asDailyNote(note, date, daily) : note;
+  });
+
+  renameDailyLinks(notes);
+  return { notes, attachments: [] };
+};
+
+// Logseq page title from its file name: "a___b.md" and "a%2Fb.md" are the namespaced page "a/b"
+const logseqTitle = (name) => {
+  let title = stem(name).replace(/___/g, '/');
+  try {
+    title = decodeURIComponent(title);
+  } catch (error) {
+    // Not percent-encoded after all
+  }
+  return title;
+};
+
+// A Logseq graph folder: pages/ and journals/ of outline Markdown, with assets/ alongside
+export const importLogseq = async (entries, { daily }) => {
+  const visible = entries.filter(entry => !isHiddenPath(entry.path) && !entry.path.startsWith('logseq/'));
+  const files = [];
+  for (const entry of visible.filter(candidate => /^(pages|journals)\/.+\.md$/.test(candidate.path))) {
+    files.push({ entry, text: await entry.text() });
+  }
+
+  // Page titles and where every block id lives
+  const blocks = new Map();
+  for (const file of files) {
+    const { name } = splitPath(file.entry.path);
+    const titleProperty = file.text.match(/^(?:[\w-]+::.*\n)*title::\s*(.+)$/m);
+    file.title = titleProperty ? titleProperty[1].trim() : logseqTitle(name);
+
+    const journal = file.entry.path.startsWith('journals/') && stem(name).match(/^(\d{4})_(\d{2})_(\d{2})$/);
+    if (journal) {
+      file.date = new Date(Number(journal[1]), Number(journal[2]) - 1, Number(journal[3]));
+      file.title = formatDate(file.date, daily.format);
+    }
+
+    const lines = file.text.split('\n');
+    lines.forEach((line, i) => {
+      const id = line.match(/^\s*id::\s*([\w-]+)\s*$/);
+      if (!id) return;
+      let block = i - 1;
+      while (block >= 0 && !/^\s*- /.test(lines[block])) block--;
+      blocks.set(id[1], { title: file.title, text: block >= 0 ? lines[block].replace(/^\s*- /, '') : '' });
+    });
+  }
+
+  const notes = files.map(file => {
+    const properties = {};
+    let aliases = [];
+    let tags = [];
+    const lines = file.text.split('\n');
+
+    // Page properties are the key:: value lines before the first block
+    while (lines.length > 0 && /^[\w-]+::/.test(lines[0])) {
+      const [, key, value] = lines.shift().match(/^([\w-]+)::\s*(.*)$/);
+      const list = value.split(',').map(item => item.replace(/\[\[|\]\]|^#/g, '').trim()).filter(Boolean);
+      if (key === 'alias') aliases = list;
+      else if (key === 'tags') tags = list;
+      else if (key !== 'title') properties[key] = value;
+    }
+
+    // Block ids move onto their block as ^id markers; other block properties are dropped
+    const body = [];
+    for (const line of lines) {
+      const property = line.match(/^\s*([\w-]+)::\s*(.*)$/);
+      if (property) {
+        if (property[1] === 'id') {
+          for (let i = body.length - 1; i >= 0; i--) {
+            if (/^\s*- /.test(body[i])) {
+              body[i] = `${body[i]} ^${property[2].trim()}`;
+              break;
+            }
+          }
+        }
+        continue;
+      }
+      body.push(line);
+    }
+
+    const content = body.join('\n')
+      .replace(/\{\{embed \[\[([^\]]+)\]\]\s*\}\}/g, '![[$1]]')
+      .replace(/\{\{embed \(\(([\w-]+)\)\)\s*\}\}/g, (match, id) => (
+        blocks.has(id) ? `![[${blocks.get(id).title}^${id}]]` : match
+      ))
+      .replace(/\(\(([\w-]+)\)\)/g, (match, id) => {
+        if (!blocks.has(id)) return match;
+        const label = blocks.get(id).text.replace(/\s\^[\w-]+$/, '').replace(/\[\[|\]\]|\||\(\(|\)\)/g, '').trim();
+        return `[[${blocks.get(id).title}^${id}|${label || id}]]`;
+      })
+      .replace(/^(\s*- )(?:TODO|NOW|LATER|DOING) /gm, '$1[ ] ')
+      .replace(/^(\s*- )DONE /gm, '$1[x] ')
+      .replace(/#\[\[([^\]]+)\]\]/g, '[[$1]]')
+      .replace(/\]\((?:\.\.\/)+assets\//g, '](assets/')
+      .trim();
+
+    const note = {
+      title: file.title,
+      folder: '',
+      content,
+      aliases,
+      tags,
+      properties,
+      createdAt: null,
+      updatedAt: null
+    };
+    return file.date ? asDailyNote(note, file.date, daily) : note;
+  });
+
+  renameDailyLinks(notes);
+  const attachments = visible.filter(entry => entry.path.startsWith('assets/'));
+  return { notes, attachments: attachments.map(entry => ({ path: entry.path, entry })) };
+};
+
+// Notion appends " 0123456789abcdef0123456789abcdef" to every exported file and folder name
+const NOTION_ID_REGEX = /\s[0-9a-f]{32}(?=\.\w+$|\/|$)/g;
+
+const stripNotionIds = (path) => path.replace(NOTION_ID_REGEX, '');
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and line breaks inside quotes
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// A Notion "Markdown & CSV" export (the zip's entries). Hash suffixes are stripped from names,
+// links between pages become [[links]], and database CSVs turn into properties on their pages.
+export const importNotion = async (entries) => {
+  const visible = entries.filter(entry => !isHiddenPath(entry.path));
+  const pages = visible.filter(entry => entry.path.endsWith('.md'));
+  const csvs = visible.filter(entry => entry.path.endsWith('.csv'));
+  const attachments = visible.filter(entry => !entry.path.endsWith('.md') && !entry.path.endsWith('.csv'));
+
+  const notes = [];
+  const notesByPath = new Map();
+  for (const entry of pages) {
+    const path = stripNotionIds(entry.path);
+    const { folder, name } = splitPath(path);
+    const text = await entry.text();
+    const heading = text.match(/^# (.+)$/m);
+    const title = heading && text.trimStart().startsWith('# ') ? heading[1].trim() : stem(name);
+
+    const note = {
+      title,
+      folder,
+      content: stripTitleHeading(text.trim(), title),
+      aliases: [],
+      tags: [],
+      properties: {},
+      createdAt: null,
+      updatedAt: null,
+      sourceFolder: splitPath(entry.path).folder
+    };
+    notes.push(note);
+    notesByPath.set(path, note);
+  }
+
+  // Database rows: the first column is the page title, the rest become properties. Newer
+  // exports write both "Name.csv" and "Name_all.csv"; the _all file has every row.
+  const databases = new Map();
+  for (const entry of csvs) {
+    const path = stripNotionIds(entry.path.replace(/_all\.csv$/, '.csv'));
+    if (!databases.has(path) || entry.path.endsWith('_all.csv')) databases.set(path, entry);
+  }
+  for (const [path, entry] of databases) {
+    const [header, ...rows] = parseCSV(await entry.text());
+    if (!header) continue;
+    const folder = path.replace(/\.csv$/, '');
+
+    for (const row of rows) {
+      const title = (row[0] || '').trim();
+      if (!title) continue;
+
+      const properties = {};
+      header.slice(1).forEach((key, i) => {
+        if (key.trim() && row[i + 1] && row[i + 1].trim()) properties[key.trim()] = row[i + 1].trim();
+      });
+
+      let note = notes.find(candidate => candidate.folder === folder && candidate.title === title);
+      if (!note) {
+        note = { title, folder, content: '', aliases: [], tags: [], properties: {}, createdAt: null, updatedAt: null };
+        notes.push(note);
+      }
+      note.properties = { ...note.properties, ...properties };
+
+      // The page repeats its properties as "Key: value" lines under the title
+      const repeated = new Set(Object.entries(properties).map(([key, value]) => `${key}: ${value}`));
+      note.content = note.content.split('\n').filter(line => !repeated.has(line.trim())).join('\n').trim();
+    }
+  }
+
+  // [Text](Other%20Page%20<id>.md) links become [[Other Page|Text]]; attachment paths lose their ids
+  for (const note of notes) {
+    note.content = note.content.replace(/(!?)\[([^\]]*)\]\(([^)\s]+)\)/g, (match, bang, text, href) => {
+      if (/^[a-z]+:/i.test(href) || href.startsWith('#')) return match;
+
+      let decoded;
+      try {
+        decoded = decodeURIComponent(href);
+      } catch (error) {
+        return match;
+      }
+      const path = stripNotionIds(joinPath(note.sourceFolder || '', decoded).split('/').reduce((parts, part) => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+        return parts;
+      }, []).join('/'));
+
+      const linked = notesByPath.get(path);
+      if (linked && !bang) {
+        return text && text !== linked.title ? `[[${linked.title}|${text}]]` : `[[${linked.title}]]`;
+      }
+      return `${bang}[${text}](${encodePath(path)})`;
+    });
+    delete note.sourceFolder;
+  }
+
+  return {
+    notes,
+    attachments: attachments.map(entry => ({ path: stripNotionIds(entry.path), entry }))
+  };
+};
+
+const IMPORTED_SUFFIX = 'imported';
+
+// Work out what an import will do: each imported note gets its final folder and title, and is
+// checked against existing notes (and other imported notes) for a clash of title or file.
+// `resolutions` maps an imported note's index to 'skip', 'rename' or 'replace'.
+export const planImport = (existingNotes, imported, { targetFolder = '', resolution = 'rename', resolutions = {} } = {}) => {
+  const existingByTitle = new Map(existingNotes.map(note => [note.title.toLowerCase(), note]));
+  const existingPaths = new Set(existingNotes.map(note => joinPath(note.folder || '', safeFilename(note.title))));
+  const seenTitles = new Set();
+  const usedPaths = new Set(existingPaths);
+
+  const items = imported.map((note, index) => {
+    const folder = note.daily ? note.folder : [targetFolder, note.folder].filter(Boolean).join('/');
+    const existing = existingByTitle.get(note.title.toLowerCase()) || null;
+    const duplicate = seenTitles.has(note.title.toLowerCase());
+    seenTitles.add(note.title.toLowerCase());
+
+    const clash = Boolean(existing) || duplicate || usedPaths.has(joinPath(folder, safeFilename(note.title)));
+    const action = clash ? resolutions[index] || resolution : 'create';
+
+    let title = note.title;
+    if (action === 'rename') {
+      let n = 1;
+      const candidate = () => `${note.title} (${IMPORTED_SUFFIX}${n > 1 ? ` ${n}` : ''})`;
+      while (existingByTitle.has(candidate().toLowerCase()) || seenTitles.has(candidate().toLowerCase()) ||
+        usedPaths.has(joinPath(folder, safeFilename(candidate())))) {
+        n++;
+      }
+      title = candidate();
+      seenTitles.add(title.toLowerCase());
+    }
+
+    // Replacing only works for a clash with an existing note; otherwise it falls back to skipping
+    const finalAction = action === 'replace' && !existing ? 'skip' : action;
+    if (finalAction === 'create' || finalAction === 'rename') usedPaths.add(joinPath(folder, safeFilename(title)));
+
+    return { index, note, folder, title, existing, duplicate, clash, action: finalAction };
+  });
+
+  return {
+    items,
+    counts: {
+      total: imported.length,
+      create: items.filter(item => item.action === 'create').length,
+      rename: items.filter(item => item.action === 'rename').length,
+      replace: items.filter(item => item.action === 'replace').length,
+      skip: items.filter(item => item.action === 'skip').length,
+      clashes: items.filter(item => item.clash).length,
+      daily: imported.filter(note => note.daily).length
+    }
+  };
+};
+
+// Apply a plan: the notes to create (with final titles, folders and links) and the existing notes
+// to overwrite. Links inside the import follow notes that were renamed to avoid a clash, and
+// attachment links move into the target folder along with the attachments.
+export const finishImport = (plan, attachments, { targetFolder = '' } = {}) => {
+  const renamed = plan.items.filter(item => item.action === 'rename' && !item.duplicate);
+  const moveAttachments = (content) => {
+    if (!targetFolder) return content;
+    return attachments.reduce((text, { path }) => (
+      text.split(`](${encodePath(path)})`).join(`](${encodePath(joinPath(targetFolder, path))})`)
+    ), content);
+  };
+  const finish = (item) => ({
+    ...item.note,
+    title: item.title,
+    folder: item.folder,
+    content: moveAttachments(renamed.reduce(
+      (content, other) => rewriteLinks(content, other.note.title, other.title),
+      item.note.content
+    ))
+  });
+
+  return {
+    created: plan.items.filter(item => item.action === 'create' || item.action === 'rename').map(finish),
+    replaced: plan.items.filter(item => item.action === 'replace').map(item => ({
+      existing: item.existing,
+      note: { ...finish(item), title: item.existing.title, folder: item.existing.folder || '' }
+    })),
+    attachments: attachments.map(attachment => ({ ...attachment, path: joinPath(targetFolder, attachment.path) }))
+  };
+};
+
+// Entries for files picked with <input type="file"> (a folder pick gives each file a
+// webkitRelativePath starting with the folder's own name, which is dropped)
+export const entriesFromFiles = (files) => {
+  return [...files].map(file => {
+    const relative = file.webkitRelativePath || file.name;
+    return {
+      path: relative.includes('/') && file.webkitRelativePath ? relative.slice(relative.indexOf('/') + 1) : relative,
+      text: () => file.text(),
+      blob: async () => file
+    };
+  });
+};
+
+// Entries for the files in a zip archive
+export const entriesFromZip = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  return Object.values(zip.files)
+    .filter(entry => !entry.dir)
+    .map(entry => ({
+      path: entry.name,
+      text: () => entry.async('string'),
+      blob: () => entry.async('blob')
+    }));
+};
@@ -0,0 +1,80 @@
+// Keyboard shortcuts: the actions that have one, their default keys, and matching key events
+// against the user's bindings. Keys are written like "Mod+Shift+K", where Mod is Cmd on a Mac
+// and Ctrl elsewhere.
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'palette', label: 'Command palette', keys: 'Mod+K' },
+  { id: 'quickSwitcher', label: 'Quick switcher (open a note by title)', keys: 'Mod+O' },
+  { id: 'save', label: 'Save the note', keys: 'Mod+S' },
+  { id: 'cancel', label: 'Cancel editing, or close', keys: 'Escape' },
+  { id: 'toggleEdit', label: 'Switch between editing and viewing', keys: 'Mod+E' },
+  { id: 'back', label: 'Back to the previous note', keys: 'Alt+ArrowLeft' },
+  { id: 'forward', label: 'Forward to the next note', keys: 'Alt+ArrowRight' },
+  { id: 'newNote', label: 'New note', keys: 'Alt+N' },
+  { id: 'cheatsheet', label: 'Show keyboard shortcuts', keys: 'Mod+/' }
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action.id, action.keys]));
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift'];
+
+// The keys of a keydown event in keymap form, or null for a lone modifier
+export const keysFromEvent = (e, isMac = IS_MAC) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  const parts = [];
+  if (isMac ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (isMac && e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+
+  // Alt changes the character on a Mac (Alt+N types "˜"), so use the physical key for letters
+  // and digits. Shift is only written for keys that don't already show it, like letters.
+  let key = e.key;
+  if (e.code && /^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (e.code && /^Digit\d$/.test(e.code) && e.altKey) key = e.code.slice(5);
+  if (e.shiftKey && (key.length > 1 || /[a-z]/i.test(key))) parts.push('Shift');
+
+  parts.push(key.length === 1 ? key.toUpperCase() : key);
+  return parts.join('+');
+};
+
+// Whether the keys are safe to catch while the user types in a field
+export const isCommandKey = (keys) => /(^|\+)(Mod|Ctrl|Alt)\+/.test(keys) || keys === 'Escape';
+
+// The action bound to a keydown event, if any
+export const actionForEvent = (keymap, e, isMac = IS_MAC) => {
+  const keys = keysFromEvent(e, isMac);
+  if (!keys) return null;
+  const match = Object.entries(keymap).find(([, bound]) => bound === keys);
+  return match ? match[0] : null;
+};
+
+// The keymap with `action` bound to `keys`; any other action on the same keys loses them
+export const rebind = (keymap, action, keys) => {
+  const next = {};
+  for (const [id, bound] of Object.entries(keymap)) {
+    next[id] = id === action ? keys : bound === keys ? '' : bound;
+  }
+  return next;
+};
+
+const KEY_SYMBOLS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+  ' ': 'Space'
+};
+
+// Keys as shown to the user: ⌘⇧K on a Mac, Ctrl+Shift+K elsewhere
+export const formatKeys = (keys, isMac = IS_MAC) => {
+  if (!keys) return '';
+  const names = isMac
+    ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' }
+    : { Mod: 'Ctrl', Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+  const parts = keys.split(/\+(?!$)/).map(part => names[part] || KEY_SYMBOLS[part] || part);
+  return parts.join(isMac ? '' : '+');
+};
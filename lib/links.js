@@ -0,0 +1,141 @@
+// Helpers for working with [[wiki-links]] between notes
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip the alias (|label), heading (#section) and block (^id) parts from a link
+export const getLinkTarget = (link) => link.split('|')[0].split(/[#^]/)[0].trim();
+
+// Look up the note a link target points to: by title first, then by Zettel ID,
+// so [[202610191230]] and [[202610191230|label]] keep working after a rename
+export const createLinkResolver = (notes) => {
+  const byTitle = new Map();
+  const byId = new Map();
+  for (const note of notes) {
+    if (!byTitle.has(note.title)) byTitle.set(note.title, note);
+    if (!byId.has(note.id)) byId.set(note.id, note);
+  }
+  return (target) => byTitle.get(target) || byId.get(target) || null;
+};
+
+// Whether a link target names `note`, by title or by ID
+const targetsNote = (target, note) => target === note.title || target === note.id;
+
+// Cut a single-line excerpt of `content` around the character range [start, end)
+export const getSnippet = (content, start, end, radius = 60) => {
+  const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  const newline = content.indexOf('\n', end);
+  const lineEnd = newline === -1 ? content.length : newline;
+
+  const from = Math.max(lineStart, start - radius);
+  const to = Math.min(lineEnd, end + radius);
+
+  return `${from > lineStart ? '…' : ''}${content.slice(from, to).trim()}${to < lineEnd ? '…' : ''}`;
+};
+
+// Notes whose links point to `target`, with a snippet for each reference
+export const findBacklinks = (notes, target) => {
+  const backlinks = [];
+
+  for (const note of notes) {
+    if (note.id === target.id) continue;
+    if (!note.links.some(link => targetsNote(getLinkTarget(link), target))) continue;
+
+    const linkRegex = /\[\[(.*?)\]\]/g;
+    const snippets = [];
+    let match;
+    while ((match = linkRegex.exec(note.content)) !== null) {
+      if (targetsNote(getLinkTarget(match[1]), target)) {
+        snippets.push(getSnippet(note.content, match.index, match.index + match[0].length));
+      }
+    }
+
+    backlinks.push({ note, snippets });
+  }
+
+  return backlinks;
+};
+
+// Plain-text occurrences of the target's title in other notes that aren't wrapped in [[...]]
+export const findUnlinkedMentions = (notes, target) => {
+  if (!target.title.trim()) return [];
+
+  const mentionRegex = new RegExp(
+    `(?<![\\p{L}\\p{N}_])${escapeRegExp(target.title)}(?![\\p{L}\\p{N}_])`,
+    'giu'
+  );
+  const mentions = [];
+
+  for (const note of notes) {
+    if (note.id === target.id) continue;
+
+    // Ranges covered by existing links, so mentions inside [[...]] are skipped
+    const linkRanges = [];
+    const linkRegex = /\[\[(.*?)\]\]/g;
+    let link;
+    while ((link = linkRegex.exec(note.content)) !== null) {
+      linkRanges.push([link.index, link.index + link[0].length]);
+    }
+
+    let match;
+    while ((match = mentionRegex.exec(note.content)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (linkRanges.some(([from, to]) => start < to && end > from)) continue;
+
+      mentions.push({
+        note,
+        index: start,
+        length: match[0].length,
+        snippet: getSnippet(note.content, start, end)
+      });
+    }
+  }
+
+  return mentions;
+};
+
+// Wrap a single unlinked mention in a [[link]] to `title`. Mentions match in any case, so one
+// written differently keeps its wording as the link's alias: [[Title|original text]].
+export const linkMention = (content, mention, title) => {
+  const text = content.slice(mention.index, mention.index + mention.length);
+  const link = text === title ? `[[${title}]]` : `[[${title}|${text}]]`;
+  return `${content.slice(0, mention.index)}${link}${content.slice(mention.index + mention.length)}`;
+};
+
+// Split a link into its target and the "#Heading" / "^block" / "|alias" suffix that follows it
+const splitLink = (link) => {
+  const match = link.match(/[#^|]/);
+  if (!match) return { target: link.trim(), suffix: '' };
+  return { target: link.slice(0, match.index).trim(), suffix: link.slice(match.index) };
+};
+
+// Notes containing links to `title`, in any of the [[Title]], [[Title|alias]] or [[Title#Heading]] forms
+// (embeds like ![[Title^block]] included)
+export const findLinkReferences = (notes, title) => {
+  const references = [];
+
+  for (const note of notes) {
+    const linkRegex = /\[\[(.*?)\]\]/g;
+    const snippets = [];
+    let match;
+    while ((match = linkRegex.exec(note.content)) !== null) {
+      if (splitLink(match[1]).target === title) {
+        snippets.push(getSnippet(note.content, match.index, match.index + match[0].length));
+      }
+    }
+
+    if (snippets.length > 0) {
+      references.push({ note, count: snippets.length, snippets });
+    }
+  }
+
+  return references;
+};
+
+// Point every link to `oldTitle` at `newTitle`, keeping headings and aliases intact
+export const rewriteLinks = (content, oldTitle, newTitle) => {
+  return content.replace(/\[\[(.*?)\]\]/g, (match, link) => {
+    const { target, suffix } = splitLink(link);
+    return target === oldTitle ? `[[${newTitle}${suffix}]]` : match;
+  });
+};
@@ -0,0 +1,291 @@
+import MarkdownIt from 'markdown-it';
+import footnote from 'markdown-it-footnote';
+import taskLists from 'markdown-it-task-lists';
+import hljs from 'highlight.js';
+import DOMPurify from 'dompurify';
+import 'highlight.js/styles/github.css';
+import { MAX_EMBED_DEPTH, parseEmbed, extractEmbed } from './transclusion';
+import { attachmentKind } from './attachments';
+import { splitPath } from './files';
+import { TAG_PATTERN, TAG_BLOCKER_REGEX } from './tags';
+
+const TAG_REGEX = new RegExp(`^${TAG_PATTERN.source}`, 'u');
+
+// Inline rule for [[Target]], [[Target|label]], [[Target#Heading]] and [[Target^block]]
+const wikiLinkRule = (state, silent) => {
+  const { src, pos } = state;
+  if (src.charCodeAt(pos) !== 0x5b /* [ */ || src.charCodeAt(pos + 1) !== 0x5b) return false;
+
+  const end = src.indexOf(']]', pos + 2);
+  if (end === -1 || end > state.posMax) return false;
+
+  const inner = src.slice(pos + 2, end);
+  if (!inner.trim() || inner.includes('\n')) return false;
+
+  if (!silent) {
+    const { target, heading, label } = parseEmbed(inner);
+    const token = state.push('wikilink', '', 0);
+    token.meta = {
+      target: target,
+      heading: heading,
+      label: label || inner.split('|')[0].trim(),
+      hasLabel: label !== null
+    };
+  }
+
+  state.pos = end + 2;
+  return true;
+};
+
+// Inline rule for #tags; code spans never reach it and URLs are ruled out by the preceding character
+const tagRule = (state, silent) => {
+  const { src, pos } = state;
+  if (src.charCodeAt(pos) !== 0x23 /* # */) return false;
+  if (pos > 0 && TAG_BLOCKER_REGEX.test(src[pos - 1])) return false;
+
+  const match = src.slice(pos, state.posMax).match(TAG_REGEX);
+  if (!match) return false;
+
+  if (!silent) {
+    const token = state.push('tag', '', 0);
+    token.meta = { tag: match[1] };
+  }
+
+  state.pos += match[0].length;
+  return true;
+};
+
+// Inline rule hiding " ^block-id" markers at the end of a line; embeds use them to find the block
+const blockIdRule = (state) => {
+  const { src, pos } = state;
+  if (src.charCodeAt(pos) !== 0x5e /* ^ */) return false;
+  if (pos > 0 && !/\s/.test(src[pos - 1])) return false;
+
+  const match = src.slice(pos, state.posMax).match(/^\^[A-Za-z0-9-]+[ \t]*(?=\n|$)/);
+  if (!match) return false;
+
+  state.pos += match[0].length;
+  return true;
+};
+
+// Inline rule for ![[file.png]] in running text; only attachments embed inline, notes need a line of their own
+const inlineEmbedRule = (state, silent) => {
+  const { src, pos } = state;
+  if (src.charCodeAt(pos) !== 0x21 /* ! */ || !src.startsWith('[[', pos + 1)) return false;
+  if (!state.env.resolveAttachment) return false;
+
+  const end = src.indexOf(']]', pos + 3);
+  if (end === -1 || end > state.posMax) return false;
+
+  const inner = src.slice(pos + 3, end);
+  if (inner.includes('\n')) return false;
+  const { target, label } = parseEmbed(inner);
+  const attachment = state.env.resolveAttachment(target);
+  if (!attachment) return false;
+
+  if (!silent) {
+    const token = state.push('attachment', '', 0);
+    token.meta = { attachment, label };
+  }
+
+  state.pos = end + 2;
+  return true;
+};
+
+// Block rule for a line holding nothing but ![[Target]], ![[Target#Heading]] or ![[Target^block]]
+const embedRule = (state, startLine, endLine, silent) => {
+  // Indented four or more spaces: that's a code block
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+  const line = state.src.slice(state.bMarks[startLine] + state.tShift[startLine], state.eMarks[startLine]);
+  const match = line.trim().match(/^!\[\[([^\]\n]+)\]\]$/);
+  if (!match) return false;
+  if (silent) return true;
+
+  const token = state.push('embed', '', 0);
+  token.map = [startLine, startLine + 1];
+  token.meta = parseEmbed(match[1]);
+
+  state.line = startLine + 1;
+  return true;
+};
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: false,
+  highlight: (code, language) => {
+    if (language && hljs.getLanguage(language)) {
+      try {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+      } catch (error) {
+        console.error('Error highlighting code:', error);
+      }
+    }
+    return '';
+  }
+})
+  .use(footnote)
+  .use(taskLists, { label: true });
+
+md.inline.ruler.before('link', 'inline_embed', inlineEmbedRule);
+md.inline.ruler.before('link', 'wikilink', wikiLinkRule);
+md.inline.ruler.before('link', 'tag', tagRule);
+md.inline.ruler.before('link', 'block_id', blockIdRule);
+md.block.ruler.before('paragraph', 'embed', embedRule, { alt: ['paragraph'] });
+
+const { escapeHtml } = md.utils;
+
+// DOMPurify's default URL check, plus blob: URLs for attachments
+const SAFE_URL_REGEX = /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp|blob):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Iframes are only for PDFs from the vault, or from an exported site's attachments folder: drop any other
+DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+  if (data.tagName === 'iframe' && !/^(blob:|\.\.\/attachments\/)/.test(node.getAttribute('src') || '')) {
+    node.parentNode.removeChild(node);
+  }
+});
+
+// An image, PDF or media file shown in place; anything else becomes a download link.
+// A numeric label (![[photo.png|300]]) sets the width, as in Obsidian.
+const renderAttachment = (attachment, label) => {
+  const { name } = splitPath(attachment.path);
+  const url = escapeHtml(attachment.url);
+  const width = /^\d+$/.test(label || '') ? ` width="${label}"` : '';
+  const title = escapeHtml(label && !width ? label : name);
+
+  switch (attachmentKind(attachment.path)) {
+    case 'image':
+      return `<img src="${url}" alt="${title}"${width} class="max-w-full">`;
+    case 'pdf':
+      return `<iframe src="${url}" title="${title}" class="w-full h-96 border rounded my-2"></iframe>`;
+    case 'audio':
+      return `<audio src="${url}" controls title="${title}"></audio>`;
+    case 'video':
+      return `<video src="${url}" controls title="${title}"${width} class="max-w-full"></video>`;
+    default:
+      return `<a href="${url}" download="${escapeHtml(name)}" class="text-blue-600 underline">${title}</a>`;
+  }
+};
+
+md.renderer.rules.attachment = (tokens, idx) => {
+  const { attachment, label } = tokens[idx].meta;
+  return renderAttachment(attachment, label);
+};
+
+md.renderer.rules.wikilink = (tokens, idx, options, env) => {
+  const { target, heading, hasLabel } = tokens[idx].meta;
+  let { label } = tokens[idx].meta;
+  const linkedNote = env.resolveLink ? env.resolveLink(target) : null;
+
+  // [[report.pdf]] links to an attachment when no note has that name
+  const attachment = !linkedNote && env.resolveAttachment ? env.resolveAttachment(target) : null;
+  if (attachment) {
+    return `<a href="${escapeHtml(attachment.url)}" target="_blank" rel="noopener" class="text-blue-600 underline">${escapeHtml(label)}</a>`;
+  }
+  const exists = env.resolveLink ? Boolean(linkedNote) : true;
+  const color = exists ? 'text-green-600' : 'text-red-500';
+
+  // A bare [[ID]] link reads better as the title of the note it points to
+  if (linkedNote && !hasLabel && linkedNote.title !== target) {
+    label = heading ? `${linkedNote.title}#${heading}` : linkedNote.title;
+  }
+  // Static pages link with real hrefs; links to notes that aren't published become plain text
+  if (env.linkHref) {
+    return linkedNote
+      ? `<a class="wikilink" href="${escapeHtml(env.linkHref(linkedNote))}">${escapeHtml(label)}</a>`
+      : `<span class="wikilink missing">${escapeHtml(label)}</span>`;
+  }
+
+  const headingAttr = heading ? ` data-heading="${escapeHtml(heading)}"` : '';
+
+  return `<span class="cursor-pointer ${color} underline" data-link="${escapeHtml(target)}"${headingAttr}>${escapeHtml(label)}</span>`;
+};
+
+md.renderer.rules.tag = (tokens, idx, options, env) => {
+  const { tag } = tokens[idx].meta;
+  if (env.tagHref) {
+    return `<a class="tag" href="${escapeHtml(env.tagHref(tag))}">#${escapeHtml(tag)}</a>`;
+  }
+  return `<span class="text-blue-500 font-medium" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`;
+};
+
+// The embedded note's content inside a box whose header links back to it.
+// `embedStack` holds the notes being rendered, outermost first, to catch embeds that loop.
+md.renderer.rules.embed = (tokens, idx, options, env) => {
+  const { target, heading, block, label } = tokens[idx].meta;
+  const linkedNote = env.resolveLink ? env.resolveLink(target) : null;
+  const stack = env.embedStack || [];
+
+  const attachment = !linkedNote && env.resolveAttachment ? env.resolveAttachment(target) : null;
+  if (attachment) {
+    return `<p>${renderAttachment(attachment, label)}</p>\n`;
+  }
+
+  const name = `${linkedNote ? linkedNote.title : target}${heading ? ` › ${heading}` : ''}${block ? ` › ^${block}` : ''}`;
+  const color = linkedNote ? 'text-gray-600' : 'text-red-500';
+  const header = env.linkHref && linkedNote
+    ? `<div class="text-xs font-medium mb-1"><a href="${escapeHtml(env.linkHref(linkedNote))}">${escapeHtml(label || name)}</a></div>`
+    : `<div class="text-xs font-medium mb-1"><span class="cursor-pointer ${color} hover:underline" data-link="${escapeHtml(target)}">${escapeHtml(label || name)}</span></div>`;
+
+  let body;
+  const section = linkedNote ? extractEmbed(linkedNote.content, { heading, block }) : null;
+  if (!linkedNote) {
+    body = '<p class="text-gray-500 italic">Note not found</p>';
+  } else if (stack.includes(linkedNote.id)) {
+    body = '<p class="text-gray-500 italic">Not shown: this note is already embedded above (the embeds form a loop)</p>';
+  } else if (stack.length > MAX_EMBED_DEPTH) {
+    body = '<p class="text-gray-500 italic">Not shown: embeds are nested too deeply</p>';
+  } else if (section === null) {
+    body = `<p class="text-gray-500 italic">${block ? 'Block' : 'Heading'} not found</p>`;
+  } else {
+    body = md.render(section, { ...env, embedStack: [...stack, linkedNote.id] });
+  }
+
+  return `<div class="embed border-l-4 border-blue-200 bg-gray-50 rounded-r pl-3 py-1 my-2">${header}${body}</div>\n`;
+};
+
+// Markdown images and links to files in the vault point at the attachment itself
+const attachmentUrl = (env, url) => {
+  const attachment = env.resolveAttachment && url ? env.resolveAttachment.fromUrl(url) : null;
+  return attachment ? attachment.url : null;
+};
+
+const defaultImage = md.renderer.rules.image;
+
+md.renderer.rules.image = (tokens, idx, options, env, self) => {
+  const url = attachmentUrl(env, tokens[idx].attrGet('src'));
+  if (url) tokens[idx].attrSet('src', url);
+  return defaultImage(tokens, idx, options, env, self);
+};
+
+// External links and attachments open in a new tab
+const defaultLinkOpen = md.renderer.rules.link_open ||
+  ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  const url = attachmentUrl(env, tokens[idx].attrGet('href'));
+  if (url) tokens[idx].attrSet('href', url);
+
+  const href = tokens[idx].attrGet('href') || '';
+  if (url || /^https?:\/\//i.test(href)) {
+    tokens[idx].attrSet('target', '_blank');
+    tokens[idx].attrSet('rel', 'noopener noreferrer');
+  }
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+// Render note markdown to sanitized HTML.
+// `resolveLink(target)` returns the note a wiki-link points to, or null to draw it as dangling (red).
+// `noteId` is the note being rendered, so embeds that lead back to it are caught.
+// `resolveAttachment` (from createAttachmentResolver) shows images, PDFs and other files from the vault.
+// For static pages, `linkHref(note)` and `tagHref(tag)` turn links and tags into real anchors.
+export const renderMarkdown = (content, env = {}) => {
+  const { noteId, ...rest } = env;
+  const html = md.render(content, { ...rest, embedStack: noteId ? [noteId] : [] });
+  return DOMPurify.sanitize(html, {
+    ADD_ATTR: ['target'],
+    ADD_TAGS: ['iframe'],
+    ALLOWED_URI_REGEXP: SAFE_URL_REGEX
+  });
+};
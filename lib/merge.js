@@ -0,0 +1,76 @@
+// Three-way merge of text, line by line: changes made on either side since the common base are
+// combined, and lines both sides changed differently are kept between conflict markers
+
+import { diffLines } from './diff';
+
+export const CONFLICT_START = '<<<<<<< this device';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>> other device';
+
+export const hasConflictMarkers = (text) => {
+  return new RegExp(`^${CONFLICT_START}$`, 'm').test(text) && new RegExp(`^${CONFLICT_END}$`, 'm').test(text);
+};
+
+// For each line of `base`, the index of the same line in `other`, or -1 if it was removed there
+const matchLines = (base, other) => {
+  const matches = [];
+  let j = 0;
+  for (const part of diffLines(base, other)) {
+    if (part.type === 'same') matches.push(j++);
+    else if (part.type === 'removed') matches.push(-1);
+    else j++;
+  }
+  return matches;
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+// Returns { text, conflicts }, the number of conflicting chunks
+export const mergeText = (base, local, remote) => {
+  if (local === remote || remote === base) return { text: local, conflicts: 0 };
+  if (local === base) return { text: remote, conflicts: 0 };
+
+  const o = base.split('\n');
+  const a = local.split('\n');
+  const b = remote.split('\n');
+  const toA = matchLines(base, local);
+  const toB = matchLines(base, remote);
+
+  const lines = [];
+  let conflicts = 0;
+
+  // Lines between two points where all three texts agree were changed on one side, both the same
+  // way, or both differently
+  const addChunk = (original, ours, theirs) => {
+    if (sameLines(ours, original)) lines.push(...theirs);
+    else if (sameLines(theirs, original) || sameLines(ours, theirs)) lines.push(...ours);
+    else {
+      lines.push(CONFLICT_START, ...ours, CONFLICT_SEPARATOR, ...theirs, CONFLICT_END);
+      conflicts++;
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < o.length) {
+    let next = i;
+    while (next < o.length && (toA[next] === -1 || toB[next] === -1)) next++;
+    if (next === o.length) break;
+
+    if (next === i && toA[i] === j && toB[i] === k) {
+      lines.push(o[i]);
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+    addChunk(o.slice(i, next), a.slice(j, toA[next]), b.slice(k, toB[next]));
+    i = next;
+    j = toA[next];
+    k = toB[next];
+  }
+  addChunk(o.slice(i), a.slice(j), b.slice(k));
+
+  return { text: lines.join('\n'), conflicts };
+};
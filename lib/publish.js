@@ -0,0 +1,275 @@
+// "Export as website": a zip of static HTML pages that works without a server — one page per
+// note with backlinks, an index, tag pages, a search page and a graph.
+
+import JSZip from 'jszip';
+import { forceSimulation, forceLink, forceManyBody, forceCenter, forceX, forceY } from 'd3-force';
+import { renderMarkdown } from './markdown';
+import { createLinkResolver, findBacklinks } from './links';
+import { buildGraph } from './graph';
+import { ATTACHMENT_FOLDER, createAttachmentResolver, findAttachmentReferences } from './attachments';
+import { joinPath } from './files';
+
+const GRAPH_SIZE = 800;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const slugify = (text) => {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'untitled';
+};
+
+const publishFlag = (note) => String((note.properties || {}).publish);
+
+// Notes marked `publish: false` are never exported
+export const isPrivate = (note) => publishFlag(note) === 'false';
+
+// Nor are encrypted notes, locked or not
+const isEncrypted = (note) => Boolean(note.encrypted || note.sealed);
+
+// Which notes go on the site: with `publishedOnly`, only notes marked `publish: true`;
+// with `tag`, only notes carrying that tag
+export const selectPublishedNotes = (notes, { publishedOnly = false, tag = '' } = {}) => {
+  return notes.filter(note => {
+    if (isPrivate(note) || isEncrypted(note)) return false;
+    if (publishedOnly && publishFlag(note) !== 'true') return false;
+    return !tag || note.tags.includes(tag);
+  });
+};
+
+// File names for pages, from [key, name] pairs: a Map of key -> file name, made unique where
+// names slug the same
+const assignPages = (entries) => {
+  const pages = new Map();
+  const used = new Set();
+  for (const [key, name] of entries) {
+    const base = slugify(name);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    pages.set(key, `${slug}.html`);
+  }
+  return pages;
+};
+
+// Where an attachment goes in the site: under attachments/, at its path in the vault
+const attachmentSitePath = (path) => {
+  return path.startsWith(`${ATTACHMENT_FOLDER}/`) ? path : joinPath(ATTACHMENT_FOLDER, path);
+};
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// The attachments that published notes embed or link to
+const referencedAttachments = (notes, attachments) => {
+  const resolveAttachment = createAttachmentResolver(attachments);
+  const paths = new Set(notes.flatMap(note => [...findAttachmentReferences(note.content, resolveAttachment)]));
+  return attachments.filter(attachment => paths.has(attachment.path));
+};
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 46rem; margin: 0 auto; padding: 1rem; color: #1f2937; line-height: 1.6; }
+header { display: flex; gap: 1rem; align-items: baseline; border-bottom: 1px solid #e5e7eb; margin-bottom: 1.5rem; }
+header .site { font-weight: bold; margin-right: auto; }
+a { color: #2563eb; }
+a.wikilink { color: #16a34a; }
+.wikilink.missing { color: #6b7280; }
+a.tag { color: #3b82f6; text-decoration: none; }
+.meta { color: #6b7280; font-size: 0.875rem; }
+.embed { border-left: 4px solid #bfdbfe; background: #f9fafb; padding: 0.25rem 0.75rem; margin: 0.5rem 0; }
+.backlinks { border-top: 1px solid #e5e7eb; margin-top: 2rem; }
+pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; }
+table { border-collapse: collapse; } td, th { border: 1px solid #e5e7eb; padding: 0.25rem 0.5rem; }
+#query { width: 100%; padding: 0.5rem; font-size: 1rem; }
+svg a:hover circle { fill: #7c3aed; }
+`;
+
+const SEARCH_SCRIPT = `
+const input = document.getElementById('query');
+const results = document.getElementById('results');
+const search = () => {
+  const words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  results.innerHTML = '';
+  if (words.length === 0) return;
+  const matches = window.SEARCH_INDEX
+    .map(page => {
+      const title = page.title.toLowerCase();
+      const text = page.text.toLowerCase();
+      if (!words.every(word => title.includes(word) || text.includes(word) || page.tags.includes(word))) return null;
+      return { page, score: words.filter(word => title.includes(word)).length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+  for (const { page } of matches) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = page.url;
+    link.textContent = page.title;
+    item.appendChild(link);
+    results.appendChild(item);
+  }
+};
+input.addEventListener('input', search);
+input.value = new URLSearchParams(location.search).get('q') || '';
+search();
+`;
+
+// A complete page; `root` is the relative path back to the site root ('' or '../')
+const layout = (siteTitle, title, body, root) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(siteTitle)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<header>
+<a class="site" href="${root}index.html">${escapeHtml(siteTitle)}</a>
+<a href="${root}tags/index.html">Tags</a>
+<a href="${root}graph.html">Graph</a>
+<a href="${root}search.html">Search</a>
+</header>
+${body}
+</body>
+</html>
+`;
+
+const noteList = (notes, href) => {
+  const items = [...notes]
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .map(note => `<li><a href="${escapeHtml(href(note))}">${escapeHtml(note.title)}</a></li>`);
+  return `<ul>\n${items.join('\n')}\n</ul>`;
+};
+
+// Lay the link graph out once at export time and draw it as an SVG of clickable nodes
+const graphSvg = (notes, pages) => {
+  const { nodes, edges } = buildGraph(notes);
+  const noteNodes = nodes.filter(node => node.type === 'note');
+  const noteEdges = edges
+    .filter(edge => edge.type === 'link')
+    .map(edge => ({ source: edge.source, target: edge.target }));
+
+  forceSimulation(noteNodes)
+    .force('link', forceLink(noteEdges).id(node => node.id).distance(40))
+    .force('charge', forceManyBody().strength(-40).distanceMax(400))
+    .force('center', forceCenter(GRAPH_SIZE / 2, GRAPH_SIZE / 2))
+    .force('x', forceX(GRAPH_SIZE / 2).strength(0.03))
+    .force('y', forceY(GRAPH_SIZE / 2).strength(0.03))
+    .stop()
+    .tick(300);
+
+  const lines = noteEdges.map(edge => (
+    `<line x1="${edge.source.x.toFixed(1)}" y1="${edge.source.y.toFixed(1)}" x2="${edge.target.x.toFixed(1)}" y2="${edge.target.y.toFixed(1)}" stroke="#86efac" />`
+  ));
+  const circles = noteNodes.map(node => (
+    `<a href="notes/${escapeHtml(pages.get(node.note.id))}"><title>${escapeHtml(node.label)}</title>` +
+    `<circle cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${(4 + Math.sqrt(node.degree) * 1.5).toFixed(1)}" fill="#4b5563" />` +
+    `<text x="${(node.x + 7).toFixed(1)}" y="${(node.y + 4).toFixed(1)}" font-size="10" fill="#374151">${escapeHtml(node.label)}</text></a>`
+  ));
+
+  // Fit the view to the laid-out nodes, leaving room for labels
+  const xs = noteNodes.map(node => node.x);
+  const ys = noteNodes.map(node => node.y);
+  const left = Math.min(...xs) - 20;
+  const top = Math.min(...ys) - 20;
+  const width = Math.max(...xs) + 120 - left;
+  const height = Math.max(...ys) + 20 - top;
+
+  return `<svg viewBox="${left.toFixed(0)} ${top.toFixed(0)} ${width.toFixed(0)} ${height.toFixed(0)}" width="100%">\n${lines.join('\n')}\n${circles.join('\n')}\n</svg>`;
+};
+
+// Every page of the site, as a Map of path -> contents. Encrypted notes are dropped before
+// anything else, so no page, embed, backlink, search entry or graph node can show them.
+// `attachments` are the vault's; pages point at them under attachments/ (see buildSiteZip).
+export const buildSite = (allNotes, { siteTitle = 'Zettelkasten', attachments = [] } = {}) => {
+  const notes = allNotes.filter(note => !isEncrypted(note));
+  const files = new Map();
+  const pages = assignPages(notes.map(note => [note.id, note.title]));
+  const resolveLink = createLinkResolver(notes);
+  const resolveAttachment = createAttachmentResolver(attachments.map(attachment => ({
+    ...attachment,
+    url: `../${encodePath(attachmentSitePath(attachment.path))}`
+  })));
+  const tags = [...new Set(notes.flatMap(note => note.tags))].sort();
+  const tagPages = assignPages(tags.map(tag => [tag, tag]));
+  const tagPage = (tag) => tagPages.get(tag);
+
+  files.set('style.css', STYLE.trimStart());
+
+  for (const note of notes) {
+    const content = renderMarkdown(note.content, {
+      resolveLink,
+      resolveAttachment,
+      noteId: note.id,
+      linkHref: (linked) => pages.get(linked.id),
+      tagHref: (tag) => `../tags/${tagPage(tag)}`
+    });
+    const backlinks = findBacklinks(notes, note);
+    const tagLinks = note.tags.map(tag => `<a class="tag" href="../tags/${tagPage(tag)}">#${escapeHtml(tag)}</a>`);
+
+    files.set(`notes/${pages.get(note.id)}`, layout(siteTitle, note.title, `
+<article>
+<h1>${escapeHtml(note.title)}</h1>
+<p class="meta">Updated ${escapeHtml(new Date(note.updatedAt).toLocaleDateString())}${tagLinks.length > 0 ? ` · ${tagLinks.join(' ')}` : ''}</p>
+${content}
+</article>
+<section class="backlinks">
+<h2>Backlinks</h2>
+${backlinks.length > 0 ? noteList(backlinks.map(backlink => backlink.note), linked => pages.get(linked.id)) : '<p class="meta">No notes link here.</p>'}
+</section>`, '../'));
+  }
+
+  files.set('index.html', layout(siteTitle, 'All notes', `
+<h1>${escapeHtml(siteTitle)}</h1>
+<p class="meta">${notes.length} notes</p>
+${noteList(notes, note => `notes/${pages.get(note.id)}`)}`, ''));
+
+  files.set('tags/index.html', layout(siteTitle, 'Tags', `
+<h1>Tags</h1>
+<ul>
+${tags.map(tag => `<li><a class="tag" href="${tagPage(tag)}">#${escapeHtml(tag)}</a> <span class="meta">(${notes.filter(note => note.tags.includes(tag)).length})</span></li>`).join('\n')}
+</ul>`, '../'));
+
+  for (const tag of tags) {
+    files.set(`tags/${tagPage(tag)}`, layout(siteTitle, `#${tag}`, `
+<h1>#${escapeHtml(tag)}</h1>
+${noteList(notes.filter(note => note.tags.includes(tag)), note => `../notes/${pages.get(note.id)}`)}`, '../'));
+  }
+
+  // A script rather than JSON, so the search page also works when opened from disk
+  const searchIndex = notes.map(note => ({
+    title: note.title,
+    url: `notes/${pages.get(note.id)}`,
+    tags: note.tags.map(tag => tag.toLowerCase()),
+    text: note.content.replace(/\s+/g, ' ').slice(0, 5000)
+  }));
+  files.set('search-index.js', `window.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`);
+  files.set('search.html', layout(siteTitle, 'Search', `
+<h1>Search</h1>
+<input id="query" type="search" placeholder="Search notes" autofocus>
+<ul id="results"></ul>
+<script src="search-index.js"></script>
+<script>${SEARCH_SCRIPT}</script>`, ''));
+
+  files.set('graph.html', layout(siteTitle, 'Graph', `
+<h1>Graph</h1>
+${graphSvg(notes, pages)}`, ''));
+
+  return files;
+};
+
+// The site as a zip file, with the attachments its pages use. `readAttachment(attachment)`
+// resolves with the file's Blob.
+export const buildSiteZip = async (notes, { attachments = [], readAttachment, ...options } = {}) => {
+  const zip = new JSZip();
+  for (const [path, contents] of buildSite(notes, { ...options, attachments })) {
+    zip.file(path, contents);
+  }
+  const published = notes.filter(note => !isEncrypted(note));
+  for (const attachment of referencedAttachments(published, attachments)) {
+    zip.file(attachmentSitePath(attachment.path), await readAttachment(attachment));
+  }
+  return zip.generateAsync({ type: 'blob' });
+};
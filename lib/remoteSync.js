@@ -0,0 +1,226 @@
+// Syncing a vault's notes with a remote copy of it, shared by several devices.
+//
+// The remote side is a sync provider: any object with these methods, over one folder of files
+// with relative, "/"-separated paths. ETags are opaque strings naming a version of a file.
+//
+//   list()                    -> [{ path, etag }] for every file
+//   get(path)                 -> { text, etag }, or null if there is no such file
+//   put(path, text, { etag }) -> { etag } of the new version. `etag` is the version being replaced,
+//                                or null to create the file; if the file isn't (or is no longer)
+//                                at that version, it throws an error with `isConflict` set.
+//   delete(path, { etag })    -> nothing; fails like put() if the file has changed
+//   changes(cursor)           -> { changes: [{ path, etag, deleted }], cursor }: the files changed
+//                                since `cursor` (every file for a null cursor) and the cursor to
+//                                pass next time
+//
+// Providers make their requests with remoteFetch(), so a request that never reaches the server
+// fails with `isNetwork` set and ends the sync instead of being recorded against one note.
+//
+// Each note carries a revision vector (`revisions`, device ID -> number of versions it has made).
+// The device keeps a base for every note it synced: the remote file as it was then. Against the
+// base it can tell which side changed; when both did, the edits are merged three ways.
+
+import { getNotePath } from './files';
+import { mergeText, hasConflictMarkers } from './merge';
+
+// How many times a note is retried in one sync when the remote file keeps changing under it
+const MAX_ATTEMPTS = 3;
+
+// The error providers throw when a file isn't at the version the write expected
+export const conflictError = (path) => {
+  const error = new Error(`"${path}" was changed on the server`);
+  error.isConflict = true;
+  return error;
+};
+
+// fetch() for providers: offline, an unknown host or a request the browser blocks rejects with
+// an error that has `isNetwork` set
+export const remoteFetch = async (url, options) => {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    const networkError = new Error(`Couldn't reach the server (${error.message})`);
+    networkError.isNetwork = true;
+    throw networkError;
+  }
+};
+
+// Only Markdown files outside the app's own .zettel folder are notes
+export const isSyncedPath = (path) => path.endsWith('.md') && !path.split('/').some(part => part.startsWith('.'));
+
+// A random ID for this device in revision vectors
+export const createDeviceId = () => {
+  return [...crypto.getRandomValues(new Uint8Array(6))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Whether revision vector `a` has seen every version `b` has
+const dominates = (a = {}, b = {}) => {
+  return Object.entries(b).every(([device, count]) => (a[device] || 0) >= count);
+};
+
+// Whether `a` is a later version than `b`, rather than the same one or a concurrent one
+const isNewer = (a, b) => dominates(a, b) && !dominates(b, a);
+
+const combine = (a = {}, b = {}) => {
+  const combined = { ...a };
+  for (const [device, count] of Object.entries(b)) {
+    combined[device] = Math.max(combined[device] || 0, count);
+  }
+  return combined;
+};
+
+const bump = (revisions = {}, deviceId) => ({ ...revisions, [deviceId]: (revisions[deviceId] || 0) + 1 });
+
+// Note fields besides the content that are synced, with the value a note without them has
+const FIELD_DEFAULTS = { title: '', aliases: [], frontMatterTags: [], properties: {}, parent: null, encrypted: false };
+const MERGED_FIELDS = Object.keys(FIELD_DEFAULTS);
+
+const fieldOf = (note, field) => {
+  const value = note[field];
+  return value === undefined || value === null ? FIELD_DEFAULTS[field] : value;
+};
+
+const sameValue = (a, b, field) => JSON.stringify(fieldOf(a, field)) === JSON.stringify(fieldOf(b, field));
+
+// Whether two versions of a note say the same thing; dates and revisions don't count
+export const isSameNote = (a, b) => {
+  return a.content.trim() === b.content.trim() && MERGED_FIELDS.every(field => sameValue(a, b, field));
+};
+
+// Combine two versions of a note changed since `base`: the content merges line by line, other
+// fields are taken from whichever side changed them (this device's, if both did)
+export const mergeNotes = (base, local, remote) => {
+  const merged = { ...remote, revisions: combine(local.revisions, remote.revisions) };
+  for (const field of MERGED_FIELDS) {
+    merged[field] = base && sameValue(local, base, field) ? remote[field] : local[field];
+  }
+  const { text, conflicts } = mergeText(base ? base.content.trim() : '', local.content.trim(), remote.content.trim());
+  merged.content = text;
+  merged.updatedAt = new Date().toISOString();
+  return { note: merged, conflicts };
+};
+
+const statusOf = (note) => note && hasConflictMarkers(note.content) ? 'conflict' : 'synced';
+
+// Sync `notes` with the provider. `bases` is a Map of path -> { path, etag, text } from the last
+// sync, and `cursor` the provider's cursor from then. `encode(note)` gives the text to upload
+// (encrypted, where it has to be) and `decode(text, path)` the readable note from a remote file.
+//
+// Resolves with { results, cursor }, where each result is { path, local, note, base, status }:
+// `local` is the note as it was passed in, `note` what it should now be (null when it is
+// deleted), `base` the new base (null to drop it), and `status` 'synced', 'conflict' (merged with
+// conflict markers) or 'error' with `error`. The caller applies the results; notes it finds
+// edited since it passed them in should keep their edits and their old base.
+export const syncNotes = async ({ provider, notes, bases, cursor, deviceId, encode, decode }) => {
+  const { changes, cursor: nextCursor } = await provider.changes(cursor);
+  const remoteChanges = new Map(changes.filter(change => isSyncedPath(change.path)).map(change => [change.path, change]));
+  const localNotes = new Map(notes.map(note => [getNotePath(note), note]));
+
+  const fetchRemote = async (path) => {
+    const file = await provider.get(path);
+    return file && { ...file, note: await decode(file.text, path) };
+  };
+
+  const adopt = (context, remote) => ({
+    path: context.path,
+    local: context.local,
+    note: remote.note,
+    base: { path: context.path, etag: remote.etag, text: remote.text },
+    status: statusOf(remote.note)
+  });
+
+  // Write this device's version over the remote file at version `etag` (or delete the file, for
+  // no note), starting over from the remote file if it has moved on in the meantime
+  const upload = async (context, note, etag) => {
+    try {
+      if (!note) {
+        await provider.delete(context.path, { etag });
+        return { path: context.path, local: context.local, note: null, base: null, status: 'synced' };
+      }
+
+      const uploaded = { ...note, revisions: bump(note.revisions, deviceId) };
+      const text = await encode(uploaded);
+      const written = await provider.put(context.path, text, { etag });
+      return {
+        path: context.path,
+        local: context.local,
+        note: uploaded,
+        base: { path: context.path, etag: written.etag, text },
+        status: statusOf(uploaded)
+      };
+    } catch (error) {
+      if (!error.isConflict || ++context.attempts >= MAX_ATTEMPTS) throw error;
+      return reconcile(context, await fetchRemote(context.path));
+    }
+  };
+
+  // Settle a note whose remote file changed since the base (`remote` is null once it's deleted)
+  const reconcile = async (context, remote) => {
+    const { local, baseNote, localChanged } = context;
+
+    if (!remote) {
+      if (local && localChanged) return upload(context, local, null);
+      return { path: context.path, local, note: null, base: null, status: 'synced' };
+    }
+    // A note deleted here but edited elsewhere comes back
+    if (!local) return adopt(context, remote);
+
+    const remoteRevisions = remote.note.revisions;
+    if (!localChanged) {
+      // The remote file went back to an older version than ours: put ours back
+      if (isNewer(local.revisions, remoteRevisions)) {
+        return upload(context, local, remote.etag);
+      }
+      return adopt(context, remote);
+    }
+
+    if (isSameNote(local, remote.note)) return adopt(context, remote);
+    // Without a base (the note was on both sides before they ever synced), the revisions tell
+    // whether one side is simply newer
+    if (!baseNote && isNewer(remoteRevisions, local.revisions)) return adopt(context, remote);
+    if (!baseNote && isNewer(local.revisions, remoteRevisions)) return upload(context, local, remote.etag);
+
+    const { note } = mergeNotes(baseNote, local, remote.note);
+    return upload(context, note, remote.etag);
+  };
+
+  const syncPath = async (path) => {
+    const local = localNotes.get(path) || null;
+    const base = bases.get(path) || null;
+    const change = remoteChanges.get(path);
+
+    const baseNote = base ? await decode(base.text, path) : null;
+    const context = {
+      path,
+      local,
+      baseNote,
+      localChanged: local ? !baseNote || !isSameNote(local, baseNote) : Boolean(base),
+      attempts: 0
+    };
+
+    const baseEtag = base ? base.etag : null;
+    const remoteEtag = change ? (change.deleted ? null : change.etag) : baseEtag;
+    if (remoteEtag === baseEtag) {
+      if (context.localChanged) return upload(context, local, baseEtag);
+      return { path, local, note: local, base, status: statusOf(local) };
+    }
+    return reconcile(context, remoteEtag ? await fetchRemote(path) : null);
+  };
+
+  const paths = new Set([...localNotes.keys(), ...bases.keys(), ...remoteChanges.keys()]);
+  const results = [];
+  for (const path of paths) {
+    try {
+      results.push(await syncPath(path));
+    } catch (error) {
+      // Without a connection nothing else will get through either
+      if (error.isNetwork) throw error;
+      console.error(`Error syncing "${path}":`, error);
+      results.push({ path, local: localNotes.get(path) || null, error, status: 'error' });
+    }
+  }
+
+  // Changes that couldn't be applied are asked for again next time
+  const hasErrors = results.some(result => result.status === 'error');
+  return { results, cursor: hasErrors ? cursor : nextCursor };
+};
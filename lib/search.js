@@ -0,0 +1,332 @@
+import { escapeRegExp, getLinkTarget, getSnippet } from './links';
+
+// Field weights for BM25F-style scoring: a hit in the title counts for more than one in the body
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+const K1 = 1.2;
+const B = 0.75;
+
+// Cap on how many index terms an incomplete word expands to while typing
+const MAX_PREFIX_TERMS = 50;
+
+const SEARCH_FIELDS = ['tag', 'title', 'links-to', 'created', 'updated'];
+
+export const tokenize = (text) => {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+};
+
+const indexNote = (note) => {
+  const termFreqs = new Map();
+  let length = 0;
+
+  const addField = (tokens, weight) => {
+    for (const token of tokens) {
+      termFreqs.set(token, (termFreqs.get(token) || 0) + weight);
+      length += weight;
+    }
+  };
+
+  const contentTokens = tokenize(note.content);
+  addField(tokenize(note.title), FIELD_WEIGHTS.title);
+  addField(note.tags.flatMap(tokenize), FIELD_WEIGHTS.tags);
+  addField(contentTokens, FIELD_WEIGHTS.content);
+
+  return {
+    note: note,
+    termFreqs: termFreqs,
+    length: length,
+    // Space-padded token streams for phrase matching
+    titleText: ` ${tokenize(note.title).join(' ')} `,
+    contentText: ` ${contentTokens.join(' ')} `
+  };
+};
+
+// Split a query into OR-groups of clauses.
+// Supports bare terms, "quoted phrases", field:value filters
+// (tag:, title:, links-to:, created:, updated:), -exclusion and OR.
+export const parseQuery = (query) => {
+  const groups = [[]];
+  const clauseRegex = /(-?)(?:([a-z][a-z-]*):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = clauseRegex.exec(query)) !== null) {
+    const [, negation, field, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (!negation && !field && quoted === undefined && bare === 'OR') {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+    if (!value) continue;
+
+    // Unknown prefixes such as "http:" are just part of the search text
+    const knownField = field && SEARCH_FIELDS.includes(field.toLowerCase());
+    const clause = {
+      negate: negation === '-',
+      field: knownField ? field.toLowerCase() : null,
+      phrase: quoted !== undefined,
+      value: field && !knownField ? `${field}:${value}` : value,
+      // Type-ahead: the last bare word may still be incomplete
+      prefix: !knownField && quoted === undefined && clauseRegex.lastIndex === query.length
+    };
+
+    if (clause.field === 'created' || clause.field === 'updated') {
+      const comparison = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+      clause.operator = comparison[1] || '=';
+      clause.date = comparison[2];
+    }
+
+    groups[groups.length - 1].push(clause);
+  }
+
+  return groups.filter(group => group.length > 0);
+};
+
+const compareDates = (isoDate, operator, value) => {
+  // Compare on the same precision as the query, so created:2026-01 matches the whole month
+  const date = (isoDate || '').slice(0, value.length);
+  switch (operator) {
+    case '>': return date > value;
+    case '>=': return date >= value;
+    case '<': return date < value;
+    case '<=': return date <= value;
+    default: return date === value;
+  }
+};
+
+export const createSearchIndex = () => {
+  const docs = new Map();
+  const postings = new Map();
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.termFreqs.keys()) {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  };
+
+  const add = (note) => {
+    remove(note.id);
+
+    const doc = indexNote(note);
+    for (const term of doc.termFreqs.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(note.id);
+    }
+    totalLength += doc.length;
+    docs.set(note.id, doc);
+  };
+
+  // Bring the index in line with `notes`, re-indexing only notes whose object changed
+  const sync = (notes) => {
+    const ids = new Set();
+    for (const note of notes) {
+      ids.add(note.id);
+      const doc = docs.get(note.id);
+      if (!doc || doc.note !== note) add(note);
+    }
+    for (const id of [...docs.keys()]) {
+      if (!ids.has(id)) remove(id);
+    }
+  };
+
+  // Index terms a clause stands for; only the type-ahead term expands to prefixes
+  const expandTerms = (clause) => {
+    const tokens = tokenize(clause.value);
+    if (!clause.prefix || tokens.length !== 1) return tokens;
+
+    const expanded = [];
+    for (const term of postings.keys()) {
+      if (term.startsWith(tokens[0])) expanded.push(term);
+    }
+
+    // Short prefixes match much of the vocabulary; keep the most common completions
+    const completions = expanded
+      .sort((a, b) => postings.get(b).size - postings.get(a).size)
+      .slice(0, MAX_PREFIX_TERMS);
+    if (postings.has(tokens[0]) && !completions.includes(tokens[0])) {
+      completions.push(tokens[0]);
+    }
+    return completions;
+  };
+
+  const bm25 = (doc, term) => {
+    const tf = doc.termFreqs.get(term);
+    if (!tf) return 0;
+
+    const n = postings.get(term).size;
+    const idf = Math.log(1 + (docs.size - n + 0.5) / (n + 0.5));
+    const avgLength = totalLength / docs.size;
+    return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+  };
+
+  // Whether a clause holds for a document, and the BM25 score it contributes
+  const evaluate = (doc, clause) => {
+    const { note } = doc;
+    const value = clause.value.toLowerCase();
+
+    switch (clause.field) {
+      case 'tag':
+        return {
+          matches: note.tags.some(tag => {
+            const lower = tag.toLowerCase();
+            return lower === value || lower.startsWith(`${value}/`);
+          }),
+          score: 0
+        };
+      case 'title':
+        return {
+          matches: clause.phrase
+            ? doc.titleText.includes(` ${tokenize(value).join(' ')} `)
+            : note.title.toLowerCase().includes(value),
+          score: 0
+        };
+      case 'links-to':
+        return {
+          matches: note.links.some(link => getLinkTarget(link).toLowerCase() === value),
+          score: 0
+        };
+      case 'created':
+        return { matches: compareDates(note.createdAt, clause.operator, clause.date), score: 0 };
+      case 'updated':
+        return { matches: compareDates(note.updatedAt, clause.operator, clause.date), score: 0 };
+      default: {
+        const tokens = tokenize(value);
+        if (tokens.length === 0) return { matches: true, score: 0 };
+
+        if (clause.phrase) {
+          const phrase = ` ${tokens.join(' ')} `;
+          const matches = doc.titleText.includes(phrase) || doc.contentText.includes(phrase);
+          return {
+            matches: matches,
+            score: matches ? tokens.reduce((sum, term) => sum + bm25(doc, term), 0) : 0
+          };
+        }
+
+        // Every word of a bare term must be present (it may contain punctuation, e.g. "e-mail")
+        let score = 0;
+        for (const term of clause.terms) {
+          if (!term.some(t => doc.termFreqs.has(t))) return { matches: false, score: 0 };
+          score += Math.max(...term.map(t => bm25(doc, t)));
+        }
+        return { matches: true, score: score };
+      }
+    }
+  };
+
+  // Ranked search. Returns [{ note, score, snippet }], best match first.
+  const search = (query) => {
+    const groups = parseQuery(query);
+    if (groups.length === 0) return null;
+
+    // Expand terms once per query rather than once per document
+    for (const group of groups) {
+      for (const clause of group) {
+        if (!clause.field && !clause.phrase) {
+          const tokens = tokenize(clause.value);
+          clause.terms = tokens.map((token, i) => {
+            const isLast = i === tokens.length - 1;
+            return isLast ? expandTerms({ ...clause, value: token, prefix: clause.prefix }) : [token];
+          });
+        }
+      }
+    }
+
+    const results = [];
+    for (const doc of docs.values()) {
+      let best = null;
+
+      for (const group of groups) {
+        let score = 0;
+        let matches = true;
+
+        for (const clause of group) {
+          const result = evaluate(doc, clause);
+          if (result.matches === clause.negate) {
+            matches = false;
+            break;
+          }
+          if (!clause.negate) score += result.score;
+        }
+
+        if (matches && (best === null || score > best)) best = score;
+      }
+
+      if (best !== null) {
+        results.push({ note: doc.note, score: best });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+
+    const highlighter = buildHighlighter(groups);
+    return results.map(result => ({
+      ...result,
+      snippet: highlighter ? buildSnippet(result.note.content, highlighter) : []
+    }));
+  };
+
+  return { add, remove, sync, search };
+};
+
+// One regex matching every positive term and phrase of the query, for highlighting
+const buildHighlighter = (groups) => {
+  const patterns = [];
+
+  for (const group of groups) {
+    for (const clause of group) {
+      if (clause.negate || (clause.field && clause.field !== 'title')) continue;
+
+      const tokens = tokenize(clause.value);
+      if (tokens.length === 0) continue;
+
+      if (clause.phrase) {
+        patterns.push(tokens.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+'));
+      } else {
+        tokens.forEach((token, i) => {
+          const isPrefix = clause.prefix && i === tokens.length - 1;
+          patterns.push(`${escapeRegExp(token)}${isPrefix ? '[\\p{L}\\p{N}_]*' : ''}`);
+        });
+      }
+    }
+  }
+
+  if (patterns.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${patterns.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+};
+
+// Excerpt around the first hit, split into [{ text, highlight }] segments
+const buildSnippet = (content, highlighter) => {
+  highlighter.lastIndex = 0;
+  const first = highlighter.exec(content);
+  if (!first) return [];
+
+  const excerpt = getSnippet(content, first.index, first.index + first[0].length);
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+
+  highlighter.lastIndex = 0;
+  while ((match = highlighter.exec(excerpt)) !== null) {
+    if (match[0].length === 0) {
+      highlighter.lastIndex++;
+      continue;
+    }
+    if (match.index > lastIndex) {
+      segments.push({ text: excerpt.slice(lastIndex, match.index), highlight: false });
+    }
+    segments.push({ text: match[0], highlight: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < excerpt.length) {
+    segments.push({ text: excerpt.slice(lastIndex), highlight: false });
+  }
+
+  return segments;
+};
@@ -0,0 +1,336 @@
+// IndexedDB persistence: recent vaults (with their directory handles), per-vault note caches,
+// note version history, the trash, browser-vault attachments, flashcard schedules, editor drafts,
+// sync bases and small settings. Directory handles are structured-cloneable, so they survive
+// reloads here.
+
+const DB_NAME = 'zettelkasten';
+const DB_VERSION = 6;
+
+// Versions kept per note; older ones are pruned as new ones are added
+const MAX_VERSIONS = 100;
+
+// The vault used when no directory is selected
+export const BROWSER_VAULT = { id: 'browser', name: 'Browser Storage', handle: null };
+
+const LEGACY_NOTES_KEY = 'zettelkasten-notes';
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          db.createObjectStore('vaults', { keyPath: 'id' });
+          db.createObjectStore('settings');
+          const notes = db.createObjectStore('notes', { keyPath: ['vaultId', 'id'] });
+          notes.createIndex('vaultId', 'vaultId');
+        }
+
+        if (event.oldVersion < 2) {
+          const history = db.createObjectStore('history', { keyPath: 'versionId', autoIncrement: true });
+          history.createIndex('note', ['vaultId', 'noteId']);
+          history.createIndex('vaultId', 'vaultId');
+          const trash = db.createObjectStore('trash', { keyPath: ['vaultId', 'id'] });
+          trash.createIndex('vaultId', 'vaultId');
+        }
+
+        if (event.oldVersion < 3) {
+          const attachments = db.createObjectStore('attachments', { keyPath: ['vaultId', 'path'] });
+          attachments.createIndex('vaultId', 'vaultId');
+        }
+
+        if (event.oldVersion < 4) {
+          const cards = db.createObjectStore('cards', { keyPath: ['vaultId', 'id'] });
+          cards.createIndex('vaultId', 'vaultId');
+        }
+
+        if (event.oldVersion < 5) {
+          const drafts = db.createObjectStore('drafts', { keyPath: ['vaultId', 'noteId'] });
+          drafts.createIndex('vaultId', 'vaultId');
+        }
+
+        if (event.oldVersion < 6) {
+          const syncBases = db.createObjectStore('syncBases', { keyPath: ['vaultId', 'path'] });
+          syncBases.createIndex('vaultId', 'vaultId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+export const getSetting = async (key) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction('settings').objectStore('settings').get(key));
+};
+
+export const setSetting = async (key, value) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('settings', 'readwrite');
+  transaction.objectStore('settings').put(value, key);
+  return transactionDone(transaction);
+};
+
+// Recent vaults, most recently opened first
+export const listVaults = async () => {
+  const db = await openDatabase();
+  const vaults = await requestToPromise(db.transaction('vaults').objectStore('vaults').getAll());
+  return vaults.sort((a, b) => (b.lastOpened || '').localeCompare(a.lastOpened || ''));
+};
+
+export const saveVault = async (vault) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('vaults', 'readwrite');
+  transaction.objectStore('vaults').put(vault);
+  return transactionDone(transaction);
+};
+
+// Forget a vault with everything stored for it here (the directory itself is left alone)
+export const removeVault = async (id) => {
+  const db = await openDatabase();
+  const stores = ['notes', 'history', 'trash', 'attachments', 'cards', 'drafts', 'syncBases'];
+  const transaction = db.transaction(['vaults', ...stores], 'readwrite');
+  transaction.objectStore('vaults').delete(id);
+
+  for (const name of stores) {
+    const store = transaction.objectStore(name);
+    const keys = await requestToPromise(store.index('vaultId').getAllKeys(id));
+    keys.forEach(key => store.delete(key));
+  }
+
+  return transactionDone(transaction);
+};
+
+// The recent vault pointing at the same directory as `handle`, if any
+export const findVaultForHandle = async (handle) => {
+  for (const vault of await listVaults()) {
+    if (vault.handle && await vault.handle.isSameEntry(handle)) {
+      return vault;
+    }
+  }
+  return null;
+};
+
+export const loadVaultNotes = async (vaultId) => {
+  const db = await openDatabase();
+  const records = await requestToPromise(
+    db.transaction('notes').objectStore('notes').index('vaultId').getAll(vaultId)
+  );
+  return records.map(record => record.note);
+};
+
+// Replace a vault's cached notes with `notes`
+export const saveVaultNotes = async (vaultId, notes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('notes', 'readwrite');
+  const store = transaction.objectStore('notes');
+
+  const keys = await requestToPromise(store.index('vaultId').getAllKeys(vaultId));
+  const ids = new Set(notes.map(note => note.id));
+  keys.filter(([, id]) => !ids.has(id)).forEach(key => store.delete(key));
+  notes.forEach(note => store.put({ vaultId, id: note.id, note }));
+
+  return transactionDone(transaction);
+};
+
+// Move notes from the old single localStorage key into the browser vault, once
+export const migrateLegacyNotes = async () => {
+  const saved = localStorage.getItem(LEGACY_NOTES_KEY);
+  if (!saved) return;
+
+  try {
+    const existing = await loadVaultNotes(BROWSER_VAULT.id);
+    if (existing.length === 0) {
+      await saveVaultNotes(BROWSER_VAULT.id, JSON.parse(saved));
+    }
+    localStorage.removeItem(LEGACY_NOTES_KEY);
+  } catch (error) {
+    console.error('Error migrating notes from localStorage:', error);
+  }
+};
+
+// Check (and, when allowed, ask for) read/write access to a stored directory handle.
+// `request` must only be set from a user gesture such as a click.
+export const verifyPermission = async (handle, request = false) => {
+  const options = { mode: 'readwrite' };
+  if (await handle.queryPermission(options) === 'granted') return true;
+  if (request && await handle.requestPermission(options) === 'granted') return true;
+  return false;
+};
+
+// Saved versions of a note, newest first
+export const listVersions = async (vaultId, noteId) => {
+  const db = await openDatabase();
+  const versions = await requestToPromise(
+    db.transaction('history').objectStore('history').index('note').getAll([vaultId, noteId])
+  );
+  return versions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+const keepAsIs = async (note) => note;
+
+// Record a version of a note, unless it is identical to the newest one. `seal` and `open` turn
+// the note into what is stored and back, for vaults that keep their history encrypted.
+export const addVersion = async (vaultId, note, { seal = keepAsIs, open = keepAsIs } = {}) => {
+  const versions = await listVersions(vaultId, note.id);
+  const latest = versions[0] && await open(versions[0].note);
+  if (latest && latest.title === note.title && latest.content === note.content &&
+    JSON.stringify(latest.properties) === JSON.stringify(note.properties)) {
+    return false;
+  }
+  const stored = await seal(note);
+
+  const db = await openDatabase();
+  const transaction = db.transaction('history', 'readwrite');
+  const store = transaction.objectStore('history');
+  store.add({ vaultId, noteId: note.id, savedAt: new Date().toISOString(), note: stored });
+  versions.slice(MAX_VERSIONS - 1).forEach(version => store.delete(version.versionId));
+
+  await transactionDone(transaction);
+  return true;
+};
+
+// Deleted notes, most recently deleted first
+export const listTrash = async (vaultId) => {
+  const db = await openDatabase();
+  const items = await requestToPromise(
+    db.transaction('trash').objectStore('trash').index('vaultId').getAll(vaultId)
+  );
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+export const moveToTrash = async (vaultId, note) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('trash', 'readwrite');
+  transaction.objectStore('trash').put({ vaultId, id: note.id, deletedAt: new Date().toISOString(), note });
+  return transactionDone(transaction);
+};
+
+// Rewrite every note kept in a vault's history and trash with `transform`, e.g. to encrypt them
+export const transformStoredNotes = async (vaultId, transform) => {
+  const db = await openDatabase();
+  for (const name of ['history', 'trash']) {
+    const records = await requestToPromise(db.transaction(name).objectStore(name).index('vaultId').getAll(vaultId));
+    const updated = await Promise.all(records.map(async record => ({ ...record, note: await transform(record.note) })));
+    const transaction = db.transaction(name, 'readwrite');
+    updated.forEach(record => transaction.objectStore(name).put(record));
+    await transactionDone(transaction);
+  }
+};
+
+// Take a note out of the trash, either to restore it or to delete it for good
+export const removeFromTrash = async (vaultId, noteId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('trash', 'readwrite');
+  transaction.objectStore('trash').delete([vaultId, noteId]);
+  return transactionDone(transaction);
+};
+
+// Attachments of a vault without a directory: [{ path, blob }]
+export const listAttachments = async (vaultId) => {
+  const db = await openDatabase();
+  const records = await requestToPromise(
+    db.transaction('attachments').objectStore('attachments').index('vaultId').getAll(vaultId)
+  );
+  return records.map(({ path, blob }) => ({ path, blob }));
+};
+
+export const saveAttachment = async (vaultId, path, blob) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('attachments', 'readwrite');
+  transaction.objectStore('attachments').put({ vaultId, path, blob });
+  return transactionDone(transaction);
+};
+
+export const removeAttachment = async (vaultId, path) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('attachments', 'readwrite');
+  transaction.objectStore('attachments').delete([vaultId, path]);
+  return transactionDone(transaction);
+};
+
+// Review schedules of a vault's flashcards, as a Map of card ID -> state
+export const loadCardStates = async (vaultId) => {
+  const db = await openDatabase();
+  const records = await requestToPromise(
+    db.transaction('cards').objectStore('cards').index('vaultId').getAll(vaultId)
+  );
+  return new Map(records.map(({ state }) => [state.id, state]));
+};
+
+export const saveCardState = async (vaultId, state) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('cards', 'readwrite');
+  transaction.objectStore('cards').put({ vaultId, id: state.id, state });
+  return transactionDone(transaction);
+};
+
+// The draft of a note that hasn't been created yet
+export const NEW_NOTE_DRAFT = 'new';
+
+// Unsaved editor drafts, one per note (plus one for a new note), newest first
+export const listDrafts = async (vaultId) => {
+  const db = await openDatabase();
+  const drafts = await requestToPromise(
+    db.transaction('drafts').objectStore('drafts').index('vaultId').getAll(vaultId)
+  );
+  return drafts.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+export const saveDraft = async (vaultId, draft) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('drafts', 'readwrite');
+  transaction.objectStore('drafts').put({ ...draft, vaultId });
+  return transactionDone(transaction);
+};
+
+export const removeDraft = async (vaultId, noteId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('drafts', 'readwrite');
+  transaction.objectStore('drafts').delete([vaultId, noteId]);
+  return transactionDone(transaction);
+};
+
+// What each synced file was like on the remote side after the last sync, as a Map of path -> base
+export const loadSyncBases = async (vaultId) => {
+  const db = await openDatabase();
+  const records = await requestToPromise(
+    db.transaction('syncBases').objectStore('syncBases').index('vaultId').getAll(vaultId)
+  );
+  return new Map(records.map(({ base }) => [base.path, base]));
+};
+
+// Store the bases in `updates` (a Map of path -> base, or null to drop it); `replace` drops all others
+export const saveSyncBases = async (vaultId, updates, { replace = false } = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction('syncBases', 'readwrite');
+  const store = transaction.objectStore('syncBases');
+  if (replace) {
+    const keys = await requestToPromise(store.index('vaultId').getAllKeys(vaultId));
+    keys.forEach(key => store.delete(key));
+  }
+  updates.forEach((base, path) => {
+    if (base) store.put({ vaultId, path, base });
+    else store.delete([vaultId, path]);
+  });
+  return transactionDone(transaction);
+};
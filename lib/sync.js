@@ -0,0 +1,50 @@
+// Detecting changes made to the notes directory outside the app
+
+import { walkDirectory } from './files';
+
+// Hex SHA-256 of a file's text, used to tell real edits from mtime-only touches
+export const hashContent = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Compare the directory tree against the snapshots ({ lastModified, hash } per relative path) the
+// app recorded when it last read or wrote each file. Files in `pendingWrites` are being written by
+// the app itself and are skipped. Returns [{ type: 'added' | 'modified' | 'deleted', path,
+// markdown, snapshot }]; snapshots of files that were only touched are refreshed in place.
+export const scanForChanges = async (handle, snapshots, pendingWrites = new Set()) => {
+  const changes = [];
+  const seen = new Set();
+
+  for await (const { kind, path, entry } of walkDirectory(handle)) {
+    if (kind !== 'file') continue;
+    seen.add(path);
+    if (pendingWrites.has(path)) continue;
+
+    const file = await entry.getFile();
+    const known = snapshots.get(path);
+    if (known && known.lastModified === file.lastModified) continue;
+
+    const markdown = await file.text();
+    const hash = await hashContent(markdown);
+    if (known && known.hash === hash) {
+      known.lastModified = file.lastModified;
+      continue;
+    }
+
+    changes.push({
+      type: known ? 'modified' : 'added',
+      path: path,
+      markdown: markdown,
+      snapshot: { lastModified: file.lastModified, hash: hash }
+    });
+  }
+
+  for (const path of snapshots.keys()) {
+    if (!seen.has(path) && !pendingWrites.has(path)) {
+      changes.push({ type: 'deleted', path: path, markdown: null, snapshot: null });
+    }
+  }
+
+  return changes;
+};
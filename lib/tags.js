@@ -0,0 +1,130 @@
+// #tags: parsing, the nested tag hierarchy (#project/alpha sits under #project) and bulk
+// rename / merge / delete. Tags may use letters from any script, digits, _, - and /.
+
+import { escapeRegExp } from './links';
+
+// A tag after its '#': it can't end with '/', so "#a/ b" is the tag "a"
+export const TAG_PATTERN = /#([\p{L}\p{M}\p{N}_](?:[\p{L}\p{M}\p{N}_/-]*[\p{L}\p{M}\p{N}_-])?)/u;
+
+// A '#' preceded by any of these is part of a word, URL or entity, not a tag
+export const TAG_BLOCKER_REGEX = /[\p{L}\p{N}_/&?=.:#-]/u;
+
+const TAG_CHARS = '[\\p{L}\\p{M}\\p{N}_/-]';
+const BLOCKER = '(?<![\\p{L}\\p{N}_/&?=.:#-])';
+
+// Apply `edit` to the text outside fenced code blocks and `code spans`, where tags don't count
+const mapOutsideCode = (content, edit) => {
+  return content
+    .split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 === 1 ? part : edit(part)))
+    .join('');
+};
+
+export const extractTags = (content) => {
+  const tags = new Set();
+  const regex = new RegExp(BLOCKER + TAG_PATTERN.source, 'gu');
+  mapOutsideCode(content, (text) => {
+    for (const match of text.matchAll(regex)) tags.add(match[1]);
+    return text;
+  });
+  return [...tags];
+};
+
+// A note's tags: the inline ones plus those declared in its front matter
+export const noteTags = (content, frontMatterTags = []) => {
+  return [...new Set([...extractTags(content), ...frontMatterTags])];
+};
+
+// Front-matter tags worth keeping separately: the ones the content doesn't already have inline
+export const frontMatterOnlyTags = (content, tags) => {
+  const inline = new Set(extractTags(content));
+  return [...new Set(tags.map(tag => String(tag).replace(/^#/, '').trim()))]
+    .filter(tag => tag && !inline.has(tag));
+};
+
+// Whether `tag` is `filter` or nested under it
+export const tagMatches = (tag, filter) => tag === filter || tag.startsWith(`${filter}/`);
+
+// Notes carrying all (mode 'and') or any (mode 'or') of the selected tags, nested tags included
+export const filterByTags = (notes, selected, mode = 'and') => {
+  if (selected.length === 0) return notes;
+  const hasTag = (note, filter) => note.tags.some(tag => tagMatches(tag, filter));
+  return notes.filter(note => (mode === 'or'
+    ? selected.some(filter => hasTag(note, filter))
+    : selected.every(filter => hasTag(note, filter))));
+};
+
+// Nested { name, path, count, children } nodes, sorted by name. `count` is the number of notes
+// with the tag or any tag under it; parents that no note uses directly still get a node.
+export const buildTagTree = (notes) => {
+  const root = { name: '', path: '', count: 0, children: [] };
+  const nodes = new Map([['', root]]);
+  const counted = new Map();
+
+  const nodeFor = (path) => {
+    if (nodes.has(path)) return nodes.get(path);
+    const slash = path.lastIndexOf('/');
+    const parent = nodeFor(slash === -1 ? '' : path.slice(0, slash));
+    const node = { name: path.slice(slash + 1), path, count: 0, children: [] };
+    parent.children.push(node);
+    nodes.set(path, node);
+    return node;
+  };
+
+  for (const note of notes) {
+    for (const tag of note.tags) {
+      const parts = tag.split('/').filter(Boolean);
+      for (let i = 1; i <= parts.length; i++) {
+        const path = parts.slice(0, i).join('/');
+        nodeFor(path);
+        if (!counted.has(path)) counted.set(path, new Set());
+        counted.get(path).add(note.id);
+      }
+    }
+  }
+
+  for (const [path, ids] of counted) nodes.get(path).count = ids.size;
+
+  const sort = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.children.forEach(sort);
+  };
+  sort(root);
+  return root.children;
+};
+
+// Rename #from to #to in the content, nested tags included (#from/x becomes #to/x) unless
+// `nested` is false. An empty `to` deletes the tags.
+export const renameTag = (content, from, to, { nested = true } = {}) => {
+  const suffix = nested ? `(/${TAG_CHARS}*)?` : '()';
+  const regex = new RegExp(`([ \\t]*)${BLOCKER}#${escapeRegExp(from)}${suffix}(?!${TAG_CHARS})`, 'gu');
+  return mapOutsideCode(content, (text) => text.replace(regex, (match, space, rest = '') => (
+    to ? `${space}#${to}${rest}` : ''
+  )));
+};
+
+// The same rename applied to a list of front-matter tags
+export const renameTagList = (tags, from, to, { nested = true } = {}) => {
+  const renamed = tags.flatMap(tag => {
+    if (tag === from) return to ? [to] : [];
+    if (nested && tag.startsWith(`${from}/`)) return to ? [`${to}${tag.slice(from.length)}`] : [];
+    return [tag];
+  });
+  return [...new Set(renamed)];
+};
+
+// Patches ({ id, content, frontMatterTags }) renaming, merging (renaming onto a tag that
+// already exists) or, with an empty `to`, deleting a tag across every note
+export const renameTagPatches = (notes, from, to) => {
+  const patches = [];
+  for (const note of notes) {
+    if (!note.tags.some(tag => tagMatches(tag, from))) continue;
+
+    const content = renameTag(note.content, from, to);
+    const frontMatterTags = renameTagList(note.frontMatterTags || [], from, to);
+    if (content !== note.content || frontMatterTags.join() !== (note.frontMatterTags || []).join()) {
+      patches.push({ id: note.id, content, frontMatterTags });
+    }
+  }
+  return patches;
+};
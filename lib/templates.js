@@ -0,0 +1,90 @@
+// Note templates and daily-note titles.
+//
+// Placeholders: {{title}}, {{date}}, {{time}}, {{date:FORMAT}}, {{time:FORMAT}}, {{cursor}}
+// and {{prompt:Field name}}, which asks the user for a value when the template is used.
+
+export const DEFAULT_DAILY_SETTINGS = {
+  format: 'YYYY-MM-DD',
+  folder: 'daily',
+  template: ''
+};
+
+export const DEFAULT_TEMPLATE_FOLDER = 'templates';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Format a date with moment-style tokens (YYYY, MM, DD, HH, mm, dddd, MMMM, ...).
+// Text in [brackets] is copied literally.
+export const formatDate = (date, format) => {
+  const tokens = {
+    YYYY: () => String(date.getFullYear()),
+    YY: () => String(date.getFullYear()).slice(-2),
+    MMMM: () => MONTH_NAMES[date.getMonth()],
+    MMM: () => MONTH_NAMES[date.getMonth()].slice(0, 3),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    dddd: () => DAY_NAMES[date.getDay()],
+    ddd: () => DAY_NAMES[date.getDay()].slice(0, 3),
+    DD: () => pad(date.getDate()),
+    D: () => String(date.getDate()),
+    HH: () => pad(date.getHours()),
+    H: () => String(date.getHours()),
+    mm: () => pad(date.getMinutes()),
+    ss: () => pad(date.getSeconds())
+  };
+
+  return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|mm|ss/g, (match, literal) => {
+    return literal !== undefined ? literal : tokens[match]();
+  });
+};
+
+// Names of the {{prompt:...}} fields a template asks for, in order of appearance
+export const findTemplatePrompts = (text) => {
+  const prompts = [];
+  const promptRegex = /\{\{\s*prompt:([^}]+?)\s*\}\}/g;
+  let match;
+  while ((match = promptRegex.exec(text)) !== null) {
+    if (!prompts.includes(match[1])) prompts.push(match[1]);
+  }
+  return prompts;
+};
+
+// Fill in a template. Returns the text and where {{cursor}} was (or null).
+export const applyTemplate = (text, { title = '', date = new Date(), values = {} } = {}) => {
+  const filled = text.replace(/\{\{\s*([a-z]+)(?::([^}]*?))?\s*\}\}/gi, (match, name, argument) => {
+    switch (name.toLowerCase()) {
+      case 'title':
+        return title;
+      case 'date':
+        return formatDate(date, argument || 'YYYY-MM-DD');
+      case 'time':
+        return formatDate(date, argument || 'HH:mm');
+      case 'prompt':
+        return values[argument.trim()] !== undefined ? values[argument.trim()] : '';
+      default:
+        return match;
+    }
+  });
+
+  const cursor = filled.search(/\{\{\s*cursor\s*\}\}/i);
+  return {
+    content: filled.replace(/\{\{\s*cursor\s*\}\}/gi, ''),
+    cursor: cursor === -1 ? null : cursor
+  };
+};
+
+// Notes kept in the template folder (or its subfolders)
+export const getTemplates = (notes, templateFolder) => {
+  return notes
+    .filter(note => {
+      const folder = note.folder || '';
+      return folder === templateFolder || folder.startsWith(`${templateFolder}/`);
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+};
@@ -0,0 +1,87 @@
+// Pulling the content of one note into another with ![[Note]], ![[Note#Heading]] and ![[Note^block-id]]
+
+// How many embeds deep rendering goes before showing a link instead
+export const MAX_EMBED_DEPTH = 4;
+
+// Obsidian-style block IDs: " ^block-id" at the end of a line
+export const BLOCK_ID_REGEX = /\s\^([A-Za-z0-9-]+)\s*$/;
+
+// Split the inside of ![[...]] into the note, the heading or block it names, and the label
+export const parseEmbed = (inner) => {
+  const [targetPart, label] = inner.split('|');
+  const match = targetPart.match(/^([^#^]*)(?:#([^^]*))?(?:\^([A-Za-z0-9-]+))?$/);
+  if (!match) return { target: targetPart.trim(), heading: null, block: null, label: label ? label.trim() : null };
+
+  return {
+    target: match[1].trim(),
+    heading: match[2] ? match[2].trim() : null,
+    block: match[3] || null,
+    label: label ? label.trim() : null
+  };
+};
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+// The lines under `heading`, up to the next heading of the same or a higher level
+const extractHeading = (lines, heading) => {
+  const wanted = heading.toLowerCase();
+  let inFence = false;
+  let start = -1;
+  let level = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*(```|~~~)/.test(lines[i])) inFence = !inFence;
+    if (inFence) continue;
+
+    const match = lines[i].match(HEADING_REGEX);
+    if (!match) continue;
+
+    if (start === -1) {
+      if (match[2].toLowerCase() === wanted) {
+        start = i;
+        level = match[1].length;
+      }
+    } else if (match[1].length <= level) {
+      return lines.slice(start, i);
+    }
+  }
+
+  return start === -1 ? null : lines.slice(start);
+};
+
+// The paragraph or list item marked with ^block. A marker on a line of its own
+// refers to the block just above it.
+const extractBlock = (lines, block) => {
+  const index = lines.findIndex(line => {
+    const match = line.match(BLOCK_ID_REGEX) || line.match(/^\^([A-Za-z0-9-]+)\s*$/);
+    return match && match[1] === block;
+  });
+  if (index === -1) return null;
+
+  let end = index;
+  if (/^\^/.test(lines[index].trim())) {
+    end = index - 1;
+    while (end >= 0 && !lines[end].trim()) end--;
+    if (end < 0) return null;
+  }
+
+  // List items are blocks of their own; paragraphs run back to the previous blank line
+  if (/^\s*([-*+]|\d+[.)])\s/.test(lines[end])) {
+    return [lines[end]];
+  }
+  let start = end;
+  while (start > 0 && lines[start - 1].trim() && !HEADING_REGEX.test(lines[start - 1])) start--;
+  return lines.slice(start, end + 1);
+};
+
+// The part of `content` an embed shows: the whole note, a heading's section or a single block.
+// Returns null when the heading or block doesn't exist.
+export const extractEmbed = (content, { heading, block }) => {
+  const lines = content.split('\n');
+  let section = lines;
+  if (block) section = extractBlock(lines, block);
+  else if (heading) section = extractHeading(lines, heading);
+  if (!section) return null;
+
+  return section.map(line => line.replace(BLOCK_ID_REGEX, '')).join('\n').trim();
+};
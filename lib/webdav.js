@@ -0,0 +1,139 @@
+// Sync provider for a WebDAV folder, e.g. on Nextcloud or Apache with mod_dav (see
+// lib/remoteSync.js for the interface). WebDAV has no log of changes, so the cursor is the
+// listing from last time ({ path: etag }) and changes come from comparing it with a new one.
+
+import { conflictError, remoteFetch } from './remoteSync';
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getetag/></d:prop></d:propfind>';
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+const basicAuth = (username, password) => {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+};
+
+// [{ path, etag, isFolder }] from a PROPFIND multistatus response, with paths relative to `rootPath`
+const parseMultistatus = (xml, rootPath, base) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  return [...doc.getElementsByTagNameNS('DAV:', 'response')].map(response => {
+    const text = (name) => {
+      const element = response.getElementsByTagNameNS('DAV:', name)[0];
+      return element ? element.textContent.trim() : null;
+    };
+    const pathname = decodeURIComponent(new URL(text('href'), base).pathname);
+    return {
+      path: pathname.slice(rootPath.length).replace(/\/+$/, ''),
+      etag: text('getetag'),
+      isFolder: response.getElementsByTagNameNS('DAV:', 'collection').length > 0
+    };
+  });
+};
+
+export const createWebDavProvider = ({ url, username = '', password = '' }) => {
+  const root = new URL(`${url.replace(/\/+$/, '')}/`).href;
+  const rootPath = decodeURIComponent(new URL(root).pathname);
+  const auth = username ? { Authorization: basicAuth(username, password) } : {};
+
+  const request = async (path, { method = 'GET', headers = {}, body } = {}) => {
+    return remoteFetch(`${root}${encodePath(path)}`, { method, body, cache: 'no-store', headers: { ...auth, ...headers } });
+  };
+
+  const fail = (response) => {
+    throw new Error(`The WebDAV server answered ${response.status} ${response.statusText}`);
+  };
+
+  const propfind = async (path, depth) => {
+    const response = await request(path, {
+      method: 'PROPFIND',
+      headers: { Depth: String(depth), 'Content-Type': 'application/xml; charset=utf-8' },
+      body: PROPFIND_BODY
+    });
+    if (response.status === 404) return [];
+    if (!response.ok) fail(response);
+    return parseMultistatus(await response.text(), rootPath, root);
+  };
+
+  // Folder by folder, as many servers refuse "Depth: infinity". Hidden folders are left out.
+  const list = async (folder = '') => {
+    const files = [];
+    for (const entry of await propfind(folder ? `${folder}/` : '', 1)) {
+      if (entry.path === folder) continue;
+      if (entry.isFolder) {
+        if (!entry.path.split('/').pop().startsWith('.')) files.push(...await list(entry.path));
+      } else {
+        files.push({ path: entry.path, etag: entry.etag });
+      }
+    }
+    return files;
+  };
+
+  // Create the folders a file goes in, starting with the sync folder itself; a 405 means one
+  // already exists
+  const makeFolders = async (path) => {
+    const parts = path.split('/').slice(0, -1);
+    const folders = ['', ...parts.map((part, i) => `${parts.slice(0, i + 1).join('/')}/`)];
+    for (const folder of folders) {
+      const response = await request(folder, { method: 'MKCOL' });
+      if (!response.ok && response.status !== 405) fail(response);
+    }
+  };
+
+  const put = async (path, text, { etag = null } = {}) => {
+    const send = () => request(path, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'text/markdown; charset=utf-8',
+        ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+      },
+      body: text
+    });
+
+    let response = await send();
+    // 409: the folder it goes in doesn't exist yet
+    if (response.status === 409) {
+      await makeFolders(path);
+      response = await send();
+    }
+    if (response.status === 412) throw conflictError(path);
+    if (!response.ok) fail(response);
+
+    // Not every server sends the new ETag back
+    const written = response.headers.get('ETag');
+    if (written) return { etag: written };
+    const [entry] = await propfind(path, 0);
+    return { etag: entry ? entry.etag : null };
+  };
+
+  return {
+    list: () => list(),
+
+    get: async (path) => {
+      const response = await request(path);
+      if (response.status === 404) return null;
+      if (!response.ok) fail(response);
+      return { text: await response.text(), etag: response.headers.get('ETag') };
+    },
+
+    put,
+
+    delete: async (path, { etag = null } = {}) => {
+      const response = await request(path, { method: 'DELETE', headers: etag ? { 'If-Match': etag } : {} });
+      if (response.status === 412) throw conflictError(path);
+      if (!response.ok && response.status !== 404) fail(response);
+    },
+
+    changes: async (cursor) => {
+      const previous = cursor || {};
+      const snapshot = Object.fromEntries((await list()).map(file => [file.path, file.etag]));
+      const changes = Object.entries(snapshot)
+        .filter(([path, etag]) => previous[path] !== etag)
+        .map(([path, etag]) => ({ path, etag, deleted: false }));
+      for (const path of Object.keys(previous)) {
+        if (!(path in snapshot)) changes.push({ path, etag: null, deleted: true });
+      }
+      return { changes, cursor: snapshot };
+    }
+  };
+};
@@ -0,0 +1,111 @@
+// The workspace layout: tabs in the main pane, and side panes next to it that show other notes
+// or a live preview of the editor. Tabs and note panes each keep a history, { ids, index }, of
+// the notes shown in them for back and forward. `sizes` are the relative widths of the main pane
+// and each side pane, in that order.
+
+// No pane gets narrower than this share of the width while resizing
+const MIN_SHARE = 0.15;
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const emptyHistory = () => ({ ids: [], index: -1 });
+
+export const createTab = (noteId = null) => ({
+  id: createId('tab'),
+  history: noteId ? { ids: [noteId], index: 0 } : emptyHistory()
+});
+
+export const createDefaultWorkspace = () => {
+  const tab = createTab();
+  return { tabs: [tab], activeTab: tab.id, panes: [], sizes: [1] };
+};
+
+// A layout saved in an earlier session, or the default one if it's missing or malformed
+export const restoreWorkspace = (saved) => {
+  if (!saved || !Array.isArray(saved.tabs) || saved.tabs.length === 0 || !Array.isArray(saved.panes)) {
+    return createDefaultWorkspace();
+  }
+  const sizes = Array.isArray(saved.sizes) && saved.sizes.length === saved.panes.length + 1
+    ? saved.sizes
+    : Array(saved.panes.length + 1).fill(1);
+  const activeTab = saved.tabs.some(tab => tab.id === saved.activeTab) ? saved.activeTab : saved.tabs[0].id;
+  return { tabs: saved.tabs, activeTab, panes: saved.panes, sizes };
+};
+
+export const currentNoteId = (history) => history.ids[history.index] || null;
+
+// Showing a note from anywhere but back/forward starts a new branch of the history
+export const pushHistory = (history, noteId) => {
+  if (currentNoteId(history) === noteId) return history;
+  const ids = [...history.ids.slice(0, history.index + 1), noteId];
+  return { ids, index: ids.length - 1 };
+};
+
+// The history moved `step` notes back (-1) or forward (1), skipping notes for which `exists`
+// is false, or null when there is nothing in that direction
+export const stepHistory = (history, step, exists) => {
+  let index = history.index + step;
+  while (index >= 0 && index < history.ids.length && !exists(history.ids[index])) {
+    index += step;
+  }
+  return index < 0 || index >= history.ids.length ? null : { ...history, index };
+};
+
+export const canStep = (history, step, exists) => stepHistory(history, step, exists) !== null;
+
+export const getActiveTab = (workspace) => workspace.tabs.find(tab => tab.id === workspace.activeTab);
+
+export const updateTab = (workspace, tabId, update) => ({
+  ...workspace,
+  tabs: workspace.tabs.map(tab => tab.id === tabId ? { ...tab, ...update(tab) } : tab)
+});
+
+export const addTab = (workspace, noteId = null) => {
+  const tab = createTab(noteId);
+  return { ...workspace, tabs: [...workspace.tabs, tab], activeTab: tab.id };
+};
+
+// Closing the active tab activates its neighbour; the last tab is replaced with an empty one
+export const closeTab = (workspace, tabId) => {
+  const index = workspace.tabs.findIndex(tab => tab.id === tabId);
+  const tabs = workspace.tabs.filter(tab => tab.id !== tabId);
+  if (tabs.length === 0) {
+    const tab = createTab();
+    return { ...workspace, tabs: [tab], activeTab: tab.id };
+  }
+  const activeTab = workspace.activeTab === tabId ? tabs[Math.min(index, tabs.length - 1)].id : workspace.activeTab;
+  return { ...workspace, tabs, activeTab };
+};
+
+// A new side pane, `kind` 'note' (with the note it starts on) or 'preview', as wide as the
+// panes are on average
+export const addPane = (workspace, kind, noteId = null) => {
+  const pane = { id: createId('pane'), kind, history: noteId ? { ids: [noteId], index: 0 } : emptyHistory() };
+  const average = workspace.sizes.reduce((sum, size) => sum + size, 0) / workspace.sizes.length;
+  return { ...workspace, panes: [...workspace.panes, pane], sizes: [...workspace.sizes, average] };
+};
+
+export const updatePane = (workspace, paneId, update) => ({
+  ...workspace,
+  panes: workspace.panes.map(pane => pane.id === paneId ? { ...pane, ...update(pane) } : pane)
+});
+
+export const closePane = (workspace, paneId) => {
+  const index = workspace.panes.findIndex(pane => pane.id === paneId);
+  if (index === -1) return workspace;
+  return {
+    ...workspace,
+    panes: workspace.panes.filter(pane => pane.id !== paneId),
+    sizes: workspace.sizes.filter((size, i) => i !== index + 1)
+  };
+};
+
+// Move the divider after pane `index` by `delta` (in the same units as the sizes)
+export const resizeSizes = (sizes, index, delta) => {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const min = total * MIN_SHARE;
+  const pair = sizes[index] + sizes[index + 1];
+  if (pair < 2 * min) return sizes;
+  const left = Math.min(Math.max(sizes[index] + delta, min), pair - min);
+  return sizes.map((size, i) => i === index ? left : i === index + 1 ? pair - left : size);
+};
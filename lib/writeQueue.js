@@ -0,0 +1,41 @@
+// Serial queue for writes to the vault directory. A write that fails, e.g. because
+// createWritable() rejects while another program holds the file, is retried after a growing
+// delay and only given up on once the retries run out.
+
+const RETRY_DELAYS = [1000, 3000, 10000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `onChange` is called with the number of writes queued or running whenever it changes
+export const createWriteQueue = ({ onChange = () => {}, retryDelays = RETRY_DELAYS } = {}) => {
+  let tail = Promise.resolve();
+  let pending = 0;
+
+  const attempt = async (task) => {
+    for (let i = 0; ; i++) {
+      try {
+        return await task();
+      } catch (error) {
+        if (i >= retryDelays.length) throw error;
+        console.error(`Write failed, retrying in ${retryDelays[i] / 1000}s:`, error);
+        await wait(retryDelays[i]);
+      }
+    }
+  };
+
+  const changed = (delta) => {
+    pending += delta;
+    onChange(pending);
+  };
+
+  return {
+    // Run `task` once the writes queued before it are done; resolves or rejects with its outcome
+    run: (task) => {
+      changed(1);
+      const result = tail.then(() => attempt(task)).finally(() => changed(-1));
+      tail = result.catch(() => {});
+      return result;
+    },
+    pending: () => pending
+  };
+};
@@ -0,0 +1,163 @@
+import { formatDate } from './templates';
+
+// Zettel IDs: how new notes are numbered, and folgezettel (follow-up) sequences.
+//
+// Schemes:
+//   timestamp  202610191230 — creation time to the minute
+//   luhmann    1, 1a, 1a1, 1a2, 1b — numbers and letters alternate, each level branching off the last
+//   ulid       01JAB3X8V5Q2M7K9T4WZ6R1C0D — sortable and globally unique
+
+export const ID_SCHEMES = [
+  { value: 'timestamp', label: 'Timestamp (202610191230)' },
+  { value: 'luhmann', label: 'Luhmann (1a2b)' },
+  { value: 'ulid', label: 'ULID' }
+];
+
+export const DEFAULT_ID_SCHEME = 'timestamp';
+
+const LUHMANN_REGEX = /^\d+(?:[a-z]+\d+)*[a-z]*$/;
+
+// All-digit IDs this long are timestamps (or the old Date.now() IDs), not Luhmann numbers
+const TIMESTAMP_LENGTH = 12;
+
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export const isLuhmannId = (id) => {
+  return LUHMANN_REGEX.test(id) && !(/^\d+$/.test(id) && id.length >= TIMESTAMP_LENGTH);
+};
+
+// "1a2b" -> ["1", "a", "2", "b"]
+const splitLuhmannId = (id) => id.match(/\d+|[a-z]+/g);
+
+// a, b, ... z, aa, ab, ... like spreadsheet columns
+const letterToNumber = (letters) => {
+  return [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 96, 0);
+};
+
+const numberToLetter = (number) => {
+  let letters = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    letters = String.fromCharCode(97 + remainder) + letters;
+    number = Math.floor((number - 1) / 26);
+  }
+  return letters;
+};
+
+const runToNumber = (run) => (/^\d/.test(run) ? Number(run) : letterToNumber(run));
+
+// The Luhmann ID one level up: "1a2" -> "1a", "1" -> null
+export const getLuhmannParent = (id) => {
+  if (!isLuhmannId(id)) return null;
+  const runs = splitLuhmannId(id);
+  return runs.length > 1 ? runs.slice(0, -1).join('') : null;
+};
+
+const ulid = (date) => {
+  let time = '';
+  let milliseconds = date.getTime();
+  for (let i = 0; i < 10; i++) {
+    time = CROCKFORD_BASE32[milliseconds % 32] + time;
+    milliseconds = Math.floor(milliseconds / 32);
+  }
+
+  const random = crypto.getRandomValues(new Uint8Array(16));
+  return time + [...random].map(byte => CROCKFORD_BASE32[byte % 32]).join('');
+};
+
+// A new top-level ID under `scheme` that none of `notes` uses yet
+export const generateId = (scheme, notes, date = new Date()) => {
+  const ids = new Set(notes.map(note => note.id));
+
+  if (scheme === 'luhmann') {
+    const top = notes
+      .map(note => note.id)
+      .filter(id => isLuhmannId(id) && /^\d+$/.test(id))
+      .reduce((max, id) => Math.max(max, Number(id)), 0);
+    return String(top + 1);
+  }
+
+  if (scheme === 'ulid') {
+    return ulid(date);
+  }
+
+  // Two notes created in the same minute: move the second one along to the next free minute
+  const time = new Date(date);
+  let id = formatDate(time, 'YYYYMMDDHHmm');
+  while (ids.has(id)) {
+    time.setMinutes(time.getMinutes() + 1);
+    id = formatDate(time, 'YYYYMMDDHHmm');
+  }
+  return id;
+};
+
+// ID for the next follow-up of `parent`. Luhmann IDs branch off the parent's number
+// ("1a" -> "1a1", "1a2", ...); the other schemes get a fresh ID and rely on the `parent` field.
+export const nextChildId = (scheme, parent, notes, date = new Date()) => {
+  if (scheme !== 'luhmann' || !isLuhmannId(parent.id)) {
+    return generateId(scheme === 'luhmann' ? DEFAULT_ID_SCHEME : scheme, notes, date);
+  }
+
+  const useLetters = /\d$/.test(parent.id);
+  const childRegex = new RegExp(`^${parent.id}(${useLetters ? '[a-z]+' : '\\d+'})$`);
+  const last = notes.reduce((max, note) => {
+    const match = note.id.match(childRegex);
+    return match ? Math.max(max, runToNumber(match[1])) : max;
+  }, 0);
+
+  return parent.id + (useLetters ? numberToLetter(last + 1) : String(last + 1));
+};
+
+// The note `note` follows on from: its `parent` field, or the nearest existing Luhmann ancestor
+export const findParentNote = (note, notesById) => {
+  if (note.parent) return notesById.get(note.parent) || null;
+
+  let id = getLuhmannParent(note.id);
+  while (id) {
+    if (notesById.has(id)) return notesById.get(id);
+    id = getLuhmannParent(id);
+  }
+  return null;
+};
+
+// Order IDs so that 1 < 1a < 1a2 < 1a10 < 1b < 2, with creation time as a tiebreak
+const compareNotes = (a, b) => {
+  const byId = a.id.localeCompare(b.id, undefined, { numeric: true });
+  return byId !== 0 ? byId : (a.createdAt || '').localeCompare(b.createdAt || '');
+};
+
+// Folgezettel chains as nested { note, children } nodes. Notes that neither follow
+// another note nor have follow-ups of their own are left out.
+export const buildOutline = (notes) => {
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const children = new Map();
+  const roots = [];
+
+  for (const note of notes) {
+    const parent = findParentNote(note, notesById);
+    if (parent && parent.id !== note.id) {
+      if (!children.has(parent.id)) children.set(parent.id, []);
+      children.get(parent.id).push(note);
+    } else {
+      roots.push(note);
+    }
+  }
+
+  // `seen` guards against parent fields that loop back on themselves
+  const seen = new Set();
+  const toNode = (note) => {
+    seen.add(note.id);
+    return {
+      note,
+      children: (children.get(note.id) || [])
+        .filter(child => !seen.has(child.id))
+        .sort(compareNotes)
+        .map(toNode)
+    };
+  };
+
+  return roots
+    .filter(note => children.has(note.id))
+    .sort(compareNotes)
+    .map(toNode);
+};
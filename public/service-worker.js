@@ -0,0 +1,86 @@
+// Service worker that lets the app start and run with no network. Pages are fetched network-first,
+// so a new build is picked up when online; scripts, styles and images come from the cache and are
+// refreshed in the background. Notes never pass through here: they live in IndexedDB or on disk.
+
+const CACHE = 'zettelkasten-v2';
+const APP_SHELL = ['./', './index.html', './manifest.json'];
+
+const toUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Cache every file of the current build, as listed in the asset-manifest.json that `npm run build`
+// writes, and drop the hashed bundles of older builds. The first visit loads the bundles before
+// this worker exists, so they have to be fetched here to be there offline. This file doesn't
+// change between builds, so it runs again whenever a page is loaded from the network.
+const cacheBuild = async () => {
+  const response = await fetch(toUrl('./asset-manifest.json'), { cache: 'no-store' });
+  if (!response.ok) return; // the development server has no manifest
+  const { files } = await response.json();
+  const assets = Object.values(files).filter(path => !/\.(map|txt)$/.test(path)).map(toUrl);
+
+  const cache = await caches.open(CACHE);
+  for (const url of assets) {
+    if (!await cache.match(url)) await cache.add(url);
+  }
+  const current = new Set(assets);
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.includes('/static/') && !current.has(request.url)) {
+      await cache.delete(request);
+    }
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(cacheBuild)
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(CACHE)
+              .then(cache => cache.put('./index.html', copy))
+              .then(cacheBuild)
+              .catch(() => {}));
+          }
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE).then(async cache => {
+      const cached = await cache.match(request);
+      const fromNetwork = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+      });
+      if (cached) {
+        event.waitUntil(fromNetwork.catch(() => {}));
+        return cached;
+      }
+      return fromNetwork;
+    })
+  );
+});
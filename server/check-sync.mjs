@@ -0,0 +1,222 @@
+// End-to-end check of syncing through the reference server: starts server/sync-server.js on a free
+// port with a temporary DATA_DIR, syncs two simulated devices through the "Zettelkasten server"
+// provider and checks that edits, merges, conflicts and deletions reach the other device. Needs
+// Node 20.6 or later and nothing else:
+//
+//   node server/check-sync.mjs
+//
+// The devices store notes as JSON rather than Markdown with YAML front matter, which keeps the
+// check free of dependencies; the sync itself only sees the text their encode/decode produce.
+
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { register } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import assert from 'node:assert/strict';
+
+// lib/ is written for the app's bundler: ES modules in .js files, imported without extensions
+const HOOKS = `
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (error) {
+    if (specifier.startsWith('.') && !specifier.endsWith('.js')) return next(specifier + '.js', context);
+    throw error;
+  }
+}
+export async function load(url, context, next) {
+  if (!url.includes('/lib/')) return next(url, context);
+  return { ...await next(url, { ...context, format: 'module' }), format: 'module' };
+}
+`;
+register(`data:text/javascript,${encodeURIComponent(HOOKS)}`, import.meta.url);
+
+const { syncNotes } = await import('../lib/remoteSync.js');
+const { createHttpProvider } = await import('../lib/httpSync.js');
+const { hasConflictMarkers } = await import('../lib/merge.js');
+
+const TOKEN = 'check-token';
+
+const startServer = async (dataDir) => {
+  const server = spawn(process.execPath, [new URL('./sync-server.js', import.meta.url).pathname], {
+    env: { ...process.env, PORT: '0', DATA_DIR: dataDir, SYNC_TOKEN: TOKEN },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  const line = await new Promise((resolve, reject) => {
+    server.stdout.once('data', data => resolve(String(data)));
+    server.once('exit', code => reject(new Error(`The server exited with code ${code}`)));
+  });
+  return { server, url: `http://localhost:${line.match(/port (\d+)/)[1]}` };
+};
+
+const encode = async (note) => JSON.stringify(note, null, 2);
+const decode = async (text) => JSON.parse(text);
+
+const note = (id, title, content, folder = '') => ({
+  id,
+  title,
+  content,
+  folder,
+  aliases: [],
+  frontMatterTags: [],
+  properties: {},
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+});
+
+// A device: its notes, the bases of the last sync and its cursor
+const createDevice = (id) => ({ id, notes: [], bases: new Map(), cursor: null });
+
+// One sync, applied to the device the way the app applies it
+const sync = async (device, provider) => {
+  const { results, cursor } = await syncNotes({
+    provider,
+    notes: device.notes,
+    bases: device.bases,
+    cursor: device.cursor,
+    deviceId: device.id,
+    encode,
+    decode
+  });
+  for (const result of results) {
+    if (result.status === 'error') throw result.error;
+    if (!result.note) {
+      device.notes = device.notes.filter(candidate => candidate !== result.local);
+    } else if (result.note !== result.local) {
+      device.notes = result.local
+        ? device.notes.map(candidate => candidate === result.local ? result.note : candidate)
+        : [...device.notes, result.note];
+    }
+    if (result.base) device.bases.set(result.path, result.base);
+    else device.bases.delete(result.path);
+  }
+  device.cursor = cursor;
+  return results;
+};
+
+const edit = (device, id, change) => {
+  device.notes = device.notes.map(candidate => candidate.id === id
+    ? { ...candidate, content: change(candidate.content), updatedAt: new Date().toISOString() }
+    : candidate);
+};
+
+const find = (device, id) => device.notes.find(candidate => candidate.id === id);
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+check('a new note reaches the other device', async ({ a, b, provider }) => {
+  a.notes.push(note('1', 'Alpha', 'one\ntwo\nthree\nfour\nfive'), note('2', 'Deep', 'in a folder', 'sub/dir'));
+  await sync(a, provider);
+  await sync(b, provider);
+  assert.equal(b.notes.length, 2);
+  assert.equal(find(b, '2').folder, 'sub/dir');
+  assert.deepEqual(find(b, '1').revisions, { [a.id]: 1 });
+});
+
+check('syncing without changes writes nothing', async ({ a, b, provider }) => {
+  const { cursor } = await provider.changes(0);
+  await sync(a, provider);
+  await sync(b, provider);
+  assert.equal((await provider.changes(0)).cursor, cursor);
+});
+
+check('edits to different lines merge', async ({ a, b, provider }) => {
+  edit(a, '1', content => content.replace('one', 'one (a)'));
+  edit(b, '1', content => content.replace('five', 'five (b)'));
+  await sync(a, provider);
+  await sync(b, provider);
+  await sync(a, provider);
+  assert.equal(find(a, '1').content, 'one (a)\ntwo\nthree\nfour\nfive (b)');
+  assert.equal(find(b, '1').content, find(a, '1').content);
+  assert.deepEqual(find(a, '1').revisions, find(b, '1').revisions);
+});
+
+check('edits to the same line keep both between conflict markers', async ({ a, b, provider }) => {
+  edit(a, '1', content => content.replace('three', 'three (a)'));
+  edit(b, '1', content => content.replace('three', 'three (b)'));
+  await sync(a, provider);
+  const results = await sync(b, provider);
+  assert.equal(results.find(result => result.path === 'alpha.md').status, 'conflict');
+  await sync(a, provider);
+  const merged = find(a, '1').content;
+  assert.ok(hasConflictMarkers(merged));
+  assert.ok(merged.includes('three (a)') && merged.includes('three (b)'));
+});
+
+check('a deletion reaches the other device', async ({ a, b, provider }) => {
+  a.notes = a.notes.filter(candidate => candidate.id !== '2');
+  await sync(a, provider);
+  await sync(b, provider);
+  assert.equal(find(b, '2'), undefined);
+  assert.equal(await provider.get('sub/dir/deep.md'), null);
+});
+
+check('a note edited on one device and deleted on the other comes back', async ({ a, b, provider }) => {
+  b.notes = b.notes.filter(candidate => candidate.id !== '1');
+  edit(a, '1', content => `${content}\nmore`);
+  await sync(a, provider);
+  await sync(b, provider);
+  assert.ok(find(b, '1').content.endsWith('more'));
+});
+
+check('a file that fails to sync leaves the others syncing', async ({ a, provider }) => {
+  // Like a bug tripping over a file it doesn't expect
+  const decodeOrFail = async (text, path) => {
+    if (path === 'broken.md') throw new TypeError("Cannot read properties of undefined (reading 'title')");
+    return decode(text);
+  };
+  const { etag } = await provider.put('broken.md', '{}', { etag: null });
+  edit(a, '1', content => `${content}\nwhile broken.md is there`);
+  const { results } = await syncNotes({ ...a, deviceId: a.id, provider, encode, decode: decodeOrFail });
+  assert.equal(results.find(result => result.path === 'broken.md').status, 'error');
+  assert.notEqual(results.find(result => result.path === 'alpha.md').status, 'error');
+  await provider.delete('broken.md', { etag });
+});
+
+check('an unreachable server ends the sync', async ({ a }) => {
+  const offline = createHttpProvider({ url: 'http://127.0.0.1:1', token: TOKEN });
+  await assert.rejects(sync(a, offline), error => error.isNetwork);
+});
+
+check('the server refuses stale writes, bad paths, big files and wrong tokens', async ({ url, provider }) => {
+  await assert.rejects(provider.put('alpha.md', 'x', { etag: '"stale"' }), error => error.isConflict);
+  await assert.rejects(provider.put('alpha.md', 'x', { etag: null }), error => error.isConflict);
+
+  const headers = { Authorization: `Bearer ${TOKEN}` };
+  assert.equal((await fetch(`${url}/files/..%2Fescape.md`, { headers })).status, 400);
+  const big = 'x'.repeat(10 * 1024 * 1024 + 1);
+  assert.equal((await fetch(`${url}/files/big.md`, { method: 'PUT', headers, body: big })).status, 413);
+
+  const intruder = createHttpProvider({ url, token: 'wrong' });
+  await assert.rejects(intruder.list(), /401/);
+});
+
+const dataDir = mkdtempSync(join(tmpdir(), 'zettelkasten-sync-'));
+const { server, url } = await startServer(dataDir);
+const context = {
+  url,
+  provider: createHttpProvider({ url, token: TOKEN }),
+  a: createDevice('device-a'),
+  b: createDevice('device-b')
+};
+
+let failed = 0;
+try {
+  for (const { name, run } of checks) {
+    try {
+      await run(context);
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}\n${error.stack}`);
+    }
+  }
+} finally {
+  server.kill();
+  rmSync(dataDir, { recursive: true, force: true });
+}
+
+console.log(failed === 0 ? `All ${checks.length} checks passed.` : `${failed} of ${checks.length} checks failed.`);
+process.exitCode = failed === 0 ? 0 : 1;
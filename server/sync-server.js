@@ -0,0 +1,192 @@
+// Reference sync server: keeps one shared copy of a vault's files for the app's "Sync" settings
+// (the "Zettelkasten server" provider). It needs nothing but Node:
+//
+//   PORT=8787 DATA_DIR=./sync-data SYNC_TOKEN=secret node server/sync-server.js
+//
+// Files are stored as they are under DATA_DIR/files. Every write and delete gets the next number
+// in a log of changes (DATA_DIR/changes.json), so clients can ask for what changed since the
+// last number they saw. With SYNC_TOKEN set, requests need "Authorization: Bearer <token>".
+//
+//   GET    /files                 { files: [{ path, etag }] }
+//   GET    /files/<path>          the file, with its ETag
+//   PUT    /files/<path>          write it; If-Match: <etag> to replace that version, or
+//                                 If-None-Match: * to only create it. 412 if that's not the case,
+//                                 413 if the file is over 10 MB.
+//   DELETE /files/<path>          remove it, with the same If-Match check
+//   GET    /changes?since=<n>     { changes: [{ path, etag, deleted }], cursor }
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT ? Number(process.env.PORT) : 8787; // 0 picks a free port
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'sync-data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const FILES_DIR = path.join(DATA_DIR, 'files');
+const LOG_FILE = path.join(DATA_DIR, 'changes.json');
+
+const etagOf = (data) => `"${crypto.createHash('sha256').update(data).digest('hex').slice(0, 32)}"`;
+
+// The log keeps the latest change per path (deletions included): { cursor, entries: { path: { seq, etag, deleted } } }
+const loadLog = () => {
+  if (fs.existsSync(LOG_FILE)) return JSON.parse(fs.readFileSync(LOG_FILE, 'utf8'));
+
+  // First start, or files copied in by hand: log everything there is
+  const log = { cursor: 0, entries: {} };
+  const walk = (folder) => {
+    for (const entry of fs.readdirSync(path.join(FILES_DIR, folder), { withFileTypes: true })) {
+      const relative = folder ? `${folder}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(relative);
+      else log.entries[relative] = { seq: ++log.cursor, etag: etagOf(fs.readFileSync(path.join(FILES_DIR, relative))), deleted: false };
+    }
+  };
+  fs.mkdirSync(FILES_DIR, { recursive: true });
+  walk('');
+  return log;
+};
+
+const log = loadLog();
+
+const saveLog = () => {
+  fs.writeFileSync(`${LOG_FILE}.tmp`, JSON.stringify(log));
+  fs.renameSync(`${LOG_FILE}.tmp`, LOG_FILE);
+};
+
+const record = (file, etag, deleted) => {
+  log.entries[file] = { seq: ++log.cursor, etag, deleted };
+  saveLog();
+};
+
+const current = (file) => {
+  const entry = log.entries[file];
+  return entry && !entry.deleted ? entry : null;
+};
+
+// The relative path in a /files/... URL, or null if it would leave the files folder
+const filePath = (pathname) => {
+  let parts;
+  try {
+    parts = pathname.slice('/files/'.length).split('/').map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+  const isSafe = parts.every(part => part && part !== '.' && part !== '..' && !/[\\/\0]/.test(part));
+  return isSafe ? parts.join('/') : null;
+};
+
+const send = (res, status, body = '', headers = {}) => {
+  const isJson = typeof body === 'object' && !Buffer.isBuffer(body);
+  res.writeHead(status, { 'Content-Type': isJson ? 'application/json' : 'text/plain; charset=utf-8', ...headers });
+  res.end(isJson ? JSON.stringify(body) : body);
+};
+
+const tooLarge = () => Object.assign(new Error('File too large'), { status: 413 });
+
+// The request body, or an error with `status` 413 if it's over MAX_FILE_SIZE. An oversized body
+// is still read to the end (and dropped): clients still sending it miss an earlier answer.
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size <= MAX_FILE_SIZE) chunks.push(chunk);
+  });
+  req.on('end', () => (size > MAX_FILE_SIZE ? reject(tooLarge()) : resolve(Buffer.concat(chunks))));
+  req.on('error', reject);
+});
+
+// Whether the If-Match / If-None-Match headers allow changing a file currently at `entry`
+const preconditionsHold = (req, entry) => {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifMatch && (!entry || (ifMatch !== '*' && ifMatch !== entry.etag))) return false;
+  if (ifNoneMatch === '*' && entry) return false;
+  return true;
+};
+
+const handleFile = async (req, res, file) => {
+  const entry = current(file);
+  const location = path.join(FILES_DIR, file);
+
+  if (req.method === 'GET') {
+    if (!entry) return send(res, 404, 'Not found');
+    return send(res, 200, fs.readFileSync(location), { 'Content-Type': 'text/markdown; charset=utf-8', ETag: entry.etag });
+  }
+
+  if (req.method === 'PUT') {
+    const data = await readBody(req);
+    // Checked after the body has arrived, so no other request can change the file in between
+    const latest = current(file);
+    if (!preconditionsHold(req, latest)) return send(res, 412, 'The file has changed');
+    fs.mkdirSync(path.dirname(location), { recursive: true });
+    fs.writeFileSync(`${location}.tmp`, data);
+    fs.renameSync(`${location}.tmp`, location);
+    const etag = etagOf(data);
+    record(file, etag, false);
+    return send(res, latest ? 200 : 201, '', { ETag: etag });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!preconditionsHold(req, entry)) return send(res, 412, 'The file has changed');
+    if (!entry) return send(res, 404, 'Not found');
+    fs.unlinkSync(location);
+    record(file, null, true);
+    return send(res, 204);
+  }
+
+  send(res, 405, 'Method not allowed');
+};
+
+const server = http.createServer(async (req, res) => {
+  // The app runs on another origin, so let browsers make these requests
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  res.setHeader('Vary', 'Origin');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, 'Unauthorized');
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (url.pathname === '/files' && req.method === 'GET') {
+      const files = Object.entries(log.entries)
+        .filter(([, entry]) => !entry.deleted)
+        .map(([file, entry]) => ({ path: file, etag: entry.etag }));
+      return send(res, 200, { files });
+    }
+
+    if (url.pathname === '/changes' && req.method === 'GET') {
+      // A cursor from before the log was reset gets everything
+      let since = Number(url.searchParams.get('since')) || 0;
+      if (since > log.cursor) since = 0;
+      const changes = Object.entries(log.entries)
+        .filter(([, entry]) => entry.seq > since)
+        .sort(([, a], [, b]) => a.seq - b.seq)
+        .map(([file, entry]) => ({ path: file, etag: entry.etag, deleted: entry.deleted }));
+      return send(res, 200, { changes, cursor: log.cursor });
+    }
+
+    if (url.pathname.startsWith('/files/')) {
+      const file = filePath(url.pathname);
+      if (!file) return send(res, 400, 'Bad path');
+      return await handleFile(req, res, file);
+    }
+
+    send(res, 404, 'Not found');
+  } catch (error) {
+    if (error.status === 413) return send(res, 413, error.message);
+    console.error('Error handling request:', error);
+    send(res, 500, 'Server error');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on port ${server.address().port}, storing files in ${DATA_DIR}`);
+});